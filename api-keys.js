@@ -0,0 +1,330 @@
+/**
+ * ApiKeyManager - Issues, authenticates and manages the lifecycle of API keys.
+ * Keys are only ever stored as SHA-256 hashes; the plaintext is returned once,
+ * when a key is issued or rotated.
+ *
+ * Key record: { id, hash, prefix, ownerId, label, source, status, role, scopes,
+ *               plan, createdAt, expiresAt, revokedAt, suspendedAt, rotatedTo, lastUsedAt }
+ *
+ * Roles: admin (everything), user (tool endpoints within its scopes, own keys and
+ * usage), metrics (read-only platform stats, no tool endpoints).
+ * Scopes limit which tool endpoints a key may call; '*' allows all of them.
+ * The plan (see plans.js) sets the key's rate limits and quotas.
+ */
+import crypto from 'crypto';
+import { PLANS, planForKey } from './plans.js';
+
+const KEY_PREFIX = 'x402_';
+
+export const KEY_STATUS = {
+  ACTIVE: 'active',
+  REVOKED: 'revoked',
+  SUSPENDED: 'suspended',
+  EXPIRED: 'expired',
+};
+
+export const ROLES = {
+  ADMIN: 'admin',
+  USER: 'user',
+  METRICS: 'metrics',
+};
+
+export const SCOPES = ['fetch', 'screenshot', 'pdf', 'document', 'summarize', 'extract', 'compare', 'crawl', 'sitemap'];
+const ALL_SCOPES = '*';
+
+export class ApiKeyError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'ApiKeyError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function generateSecret() {
+  return KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+}
+
+/**
+ * Effective status, taking expiry into account.
+ */
+export function keyStatus(record, now = Date.now()) {
+  if (record.status === KEY_STATUS.REVOKED || record.status === KEY_STATUS.SUSPENDED) {
+    return record.status;
+  }
+  if (record.expiresAt && Date.parse(record.expiresAt) <= now) {
+    return KEY_STATUS.EXPIRED;
+  }
+  return KEY_STATUS.ACTIVE;
+}
+
+// Records created before roles existed are plain users with every scope
+export function keyRole(record) {
+  return record.role || ROLES.USER;
+}
+
+export function keyScopes(record) {
+  return record.scopes || [ALL_SCOPES];
+}
+
+/**
+ * Whether a key may call endpoints guarded by `scope`. Admins may call
+ * everything; metrics keys no tool endpoint at all.
+ */
+export function hasScope(record, scope) {
+  const role = keyRole(record);
+  if (role === ROLES.ADMIN) return true;
+  if (role === ROLES.METRICS) return false;
+  const scopes = keyScopes(record);
+  return scopes.includes(ALL_SCOPES) || scopes.includes(scope);
+}
+
+/**
+ * Public view of a key record — never includes the hash.
+ */
+export function describeKey(record) {
+  const { hash, ...rest } = record;
+  return {
+    ...rest,
+    role: keyRole(record),
+    scopes: keyScopes(record),
+    plan: planForKey(record).name,
+    status: keyStatus(record),
+  };
+}
+
+export function parseRole(value) {
+  if (value === undefined || value === null) return ROLES.USER;
+  if (!Object.values(ROLES).includes(value)) {
+    throw new ApiKeyError(`Invalid role. Use one of: ${Object.values(ROLES).join(', ')}`, 'INVALID_ROLE', 400);
+  }
+  return value;
+}
+
+export function parsePlan(value) {
+  if (value === undefined || value === null) return null;
+  if (!PLANS[value]) {
+    throw new ApiKeyError(`Invalid plan. Use one of: ${Object.keys(PLANS).join(', ')}`, 'INVALID_PLAN', 400);
+  }
+  return value;
+}
+
+/**
+ * Validate requested scopes. When `allowed` is given (the issuing key's scopes),
+ * the result may not exceed it, so a restricted key can't mint a broader one.
+ */
+export function parseScopes(value, allowed = [ALL_SCOPES]) {
+  if (value === undefined || value === null) return [...allowed];
+
+  const scopes = Array.isArray(value) ? value : String(value).split(',');
+  const normalized = [...new Set(scopes.map(scope => String(scope).trim()).filter(Boolean))];
+  const unknown = normalized.filter(scope => scope !== ALL_SCOPES && !SCOPES.includes(scope));
+  if (normalized.length === 0 || unknown.length > 0) {
+    throw new ApiKeyError(`Invalid scopes. Use '*' or any of: ${SCOPES.join(', ')}`, 'INVALID_SCOPES', 400);
+  }
+
+  if (!allowed.includes(ALL_SCOPES)) {
+    const wider = normalized.filter(scope => !allowed.includes(scope));
+    if (wider.length > 0) {
+      throw new ApiKeyError(`Cannot grant scopes beyond your own: ${wider.join(', ')}`, 'INVALID_SCOPES', 403);
+    }
+  }
+  return normalized.includes(ALL_SCOPES) ? [ALL_SCOPES] : normalized;
+}
+
+/**
+ * Validate a user-supplied expiry. Returns an ISO string, null (no expiry), or
+ * throws for unparseable or past dates.
+ */
+export function parseExpiry(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const ms = typeof value === 'number' ? value : Date.parse(value);
+  if (Number.isNaN(ms)) {
+    throw new ApiKeyError('Invalid expiresAt. Use an ISO 8601 date.', 'INVALID_EXPIRY', 400);
+  }
+  if (ms <= Date.now()) {
+    throw new ApiKeyError('expiresAt must be in the future', 'INVALID_EXPIRY', 400);
+  }
+  return new Date(ms).toISOString();
+}
+
+function parseLabel(value) {
+  if (value === undefined || value === null) return null;
+  const label = String(value).trim();
+  if (label.length > 100) {
+    throw new ApiKeyError('Label must be 100 characters or fewer', 'INVALID_LABEL', 400);
+  }
+  return label || null;
+}
+
+export class ApiKeyManager {
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Create a new key. Resolves to { key, record } — `key` is the plaintext
+   * secret and must be handed to the caller now; it can't be recovered.
+   */
+  async issue({ ownerId, label, expiresAt, role, scopes, plan, source = 'self-service', ...extra } = {}) {
+    const key = generateSecret();
+    const id = `key_${crypto.randomBytes(6).toString('hex')}`;
+    const record = await this.store.putKey({
+      ...extra,
+      id,
+      hash: hashApiKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 4),
+      ownerId: ownerId || `owner_${crypto.randomBytes(6).toString('hex')}`,
+      label: parseLabel(label),
+      source,
+      role: parseRole(role),
+      scopes: parseScopes(scopes),
+      plan: parsePlan(plan),
+      status: KEY_STATUS.ACTIVE,
+      createdAt: new Date().toISOString(),
+      expiresAt: parseExpiry(expiresAt),
+    });
+    return { key, record };
+  }
+
+  /**
+   * Look up a plaintext key. Resolves to the record, or throws ApiKeyError
+   * describing why the key can't be used.
+   */
+  async authenticate(key) {
+    const record = await this.store.getKeyByHash(hashApiKey(key));
+    if (!record) {
+      throw new ApiKeyError('Invalid API key', 'INVALID_API_KEY', 401);
+    }
+
+    switch (keyStatus(record)) {
+      case KEY_STATUS.REVOKED:
+        throw new ApiKeyError('API key has been revoked', 'KEY_REVOKED', 401);
+      case KEY_STATUS.SUSPENDED:
+        throw new ApiKeyError('API key is suspended. Contact the administrator.', 'KEY_SUSPENDED', 403);
+      case KEY_STATUS.EXPIRED:
+        throw new ApiKeyError('API key has expired', 'KEY_EXPIRED', 401);
+      default:
+        return record;
+    }
+  }
+
+  async get(id) {
+    return this.store.getKey(id);
+  }
+
+  /**
+   * Fetch a key that belongs to ownerId, or throw KEY_NOT_FOUND. Keys owned by
+   * someone else are reported as missing rather than forbidden.
+   */
+  async getOwned(id, ownerId) {
+    const record = await this.store.getKey(id);
+    if (!record || record.ownerId !== ownerId) {
+      throw new ApiKeyError('API key not found', 'KEY_NOT_FOUND', 404);
+    }
+    return record;
+  }
+
+  async list(ownerId) {
+    return this.store.listKeys({ ownerId });
+  }
+
+  async update(id, { label, expiresAt, role, scopes, plan }) {
+    const changes = {};
+    if (label !== undefined) changes.label = parseLabel(label);
+    if (expiresAt !== undefined) changes.expiresAt = parseExpiry(expiresAt);
+    if (role !== undefined) changes.role = parseRole(role);
+    if (scopes !== undefined) changes.scopes = parseScopes(scopes);
+    if (plan !== undefined) changes.plan = parsePlan(plan);
+    return this.store.updateKey(id, changes);
+  }
+
+  async revoke(id) {
+    return this.store.updateKey(id, { status: KEY_STATUS.REVOKED, revokedAt: new Date().toISOString() });
+  }
+
+  async suspend(id) {
+    const current = await this.store.getKey(id);
+    if (current.status === KEY_STATUS.REVOKED) {
+      throw new ApiKeyError('Cannot suspend a revoked key', 'KEY_NOT_ACTIVE', 409);
+    }
+    return this.store.updateKey(id, { status: KEY_STATUS.SUSPENDED, suspendedAt: new Date().toISOString() });
+  }
+
+  async unsuspend(id) {
+    const current = await this.store.getKey(id);
+    if (current.status !== KEY_STATUS.SUSPENDED) {
+      throw new ApiKeyError('Key is not suspended', 'KEY_NOT_SUSPENDED', 409);
+    }
+    return this.store.updateKey(id, { status: KEY_STATUS.ACTIVE, suspendedAt: null });
+  }
+
+  /**
+   * Replace a key with a fresh secret carrying the same owner, label and expiry.
+   * The old key is revoked immediately.
+   */
+  async rotate(id) {
+    const current = await this.store.getKey(id);
+    if (keyStatus(current) !== KEY_STATUS.ACTIVE) {
+      throw new ApiKeyError(`Cannot rotate a ${keyStatus(current)} key`, 'KEY_NOT_ACTIVE', 409);
+    }
+
+    const { id: _id, hash, prefix, status, createdAt, lastUsedAt, revokedAt, suspendedAt, rotatedTo, ...carried } = current;
+    const issued = await this.issue({ ...carried, source: current.source === 'env' ? 'self-service' : current.source });
+    await this.store.updateKey(id, {
+      status: KEY_STATUS.REVOKED,
+      revokedAt: new Date().toISOString(),
+      rotatedTo: issued.record.id,
+    });
+    return issued;
+  }
+
+  /**
+   * Mirror plaintext keys from configuration (API_KEYS / ADMIN_API_KEYS env
+   * vars) into the store. Each entry is { key, role }. Config keys get a stable
+   * id derived from their hash and their role always follows configuration;
+   * keys that were removed from configuration are deleted.
+   */
+  async syncConfigKeys(entries) {
+    const roles = new Map(entries.map(({ key, role }) => [hashApiKey(key), role]));
+
+    for (const record of await this.store.listKeys()) {
+      // Records written before key lifecycle support were owned by "env"
+      const fromConfig = record.source === 'env' || (!record.source && record.ownerId === 'env');
+      if (!fromConfig) continue;
+      if (!roles.has(record.hash)) {
+        await this.store.deleteKey(record.id);
+      } else if (!record.source) {
+        await this.store.updateKey(record.id, { source: 'env', ownerId: record.id, status: KEY_STATUS.ACTIVE });
+      }
+    }
+
+    for (const [hash, role] of roles) {
+      const existing = await this.store.getKeyByHash(hash);
+      if (existing) {
+        if (existing.source === 'env' && existing.role !== role) {
+          await this.store.updateKey(existing.id, { role });
+        }
+        continue;
+      }
+      const id = `key_${hash.slice(0, 12)}`;
+      await this.store.putKey({
+        id,
+        hash,
+        prefix: null,
+        ownerId: id,
+        label: 'env',
+        source: 'env',
+        role,
+        scopes: [ALL_SCOPES],
+        status: KEY_STATUS.ACTIVE,
+        createdAt: new Date().toISOString(),
+        expiresAt: null,
+      });
+    }
+  }
+}
@@ -1,6 +1,8 @@
 /**
  * BrowserPool - Manages concurrent Puppeteer page access with request queuing.
  * Prevents crashes under load by limiting concurrent pages and queuing excess requests.
+ * Every page gets its own incognito browser context, so cookies, storage and
+ * cache never carry over from one request (or API key) to another.
  */
 import puppeteer from 'puppeteer';
 
@@ -8,11 +10,16 @@ export class BrowserPool {
   constructor(options = {}) {
     this.maxConcurrent = parseInt(options.maxConcurrent || process.env.MAX_CONCURRENT || 3);
     this.maxQueueSize = parseInt(options.maxQueueSize || process.env.MAX_QUEUE_SIZE || 50);
+    // How long a page may stay open, on top of the navigation time its caller asks for
     this.pageTimeout = parseInt(options.pageTimeout || process.env.PAGE_TIMEOUT || 30000);
+    // Optional async hook run on every new page before it is handed out
+    this.preparePage = options.preparePage || null;
+    // Extra Chrome flags, e.g. the URL policy's egress proxy
+    this.launchArgs = options.launchArgs || [];
 
     this.browser = null;
     this.activeRequests = 0;
-    this.queue = []; // { resolve, reject, enqueueTime }
+    this.queue = []; // { resolve, reject, enqueueTime, tag, signal, timeoutMs }
     this.completedWaitTimes = []; // rolling window for avg calc
     this.maxWaitTimeSamples = 100;
     this.totalProcessed = 0;
@@ -24,7 +31,7 @@ export class BrowserPool {
     if (!this.browser || !this.browser.isConnected()) {
       this.browser = await puppeteer.launch({
         headless: 'new',
-        args: ['--no-sandbox', '--disable-setuid-sandbox'],
+        args: ['--no-sandbox', '--disable-setuid-sandbox', ...this.launchArgs],
       });
     }
     return this.browser;
@@ -34,14 +41,24 @@ export class BrowserPool {
    * Acquire a page from the pool. Returns a page and a release function.
    * If all slots are busy, the request is queued.
    * Rejects with 503 if queue is full.
+   *
+   * Options:
+   *   tag       - identifies the caller in the queue, see position()
+   *   signal    - AbortSignal; aborting removes a queued request, or closes the
+   *               page of a running one
+   *   timeoutMs - the longest the caller's navigation may take; the page is
+   *               force-closed after that plus pageTimeout
    */
-  acquire() {
+  acquire({ tag, signal, timeoutMs = 0 } = {}) {
     if (this.shuttingDown) {
       return Promise.reject(new PoolError('Server is shutting down', 503));
     }
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
 
     if (this.activeRequests < this.maxConcurrent) {
-      return this._createPage();
+      return this._createPage(signal, timeoutMs);
     }
 
     // Queue the request
@@ -56,27 +73,59 @@ export class BrowserPool {
     }
 
     return new Promise((resolve, reject) => {
-      const entry = { resolve, reject, enqueueTime: Date.now() };
+      const entry = { resolve, reject, enqueueTime: Date.now(), tag, signal, timeoutMs };
       this.queue.push(entry);
+
+      signal?.addEventListener('abort', () => {
+        const index = this.queue.indexOf(entry);
+        if (index !== -1) {
+          this.queue.splice(index, 1);
+          reject(signal.reason);
+        }
+      }, { once: true });
     });
   }
 
-  async _createPage() {
+  /**
+   * 1-based queue position of the request acquired with `tag`, or null if it
+   * isn't waiting.
+   */
+  position(tag) {
+    const index = this.queue.findIndex(entry => entry.tag === tag);
+    return index === -1 ? null : index + 1;
+  }
+
+  async _createPage(signal, timeoutMs = 0) {
     this.activeRequests++;
     try {
       const browser = await this.getBrowser();
-      const page = await browser.newPage();
-
-      // Set up timeout auto-kill
+      const context = await browser.createIncognitoBrowserContext();
+      // Closing the context closes its page and discards everything the page stored
+      const close = () => context.close().catch(() => {});
+      let page;
+      try {
+        page = await context.newPage();
+        if (this.preparePage) await this.preparePage(page);
+      } catch (err) {
+        await close();
+        throw err;
+      }
+
+      // Set up timeout auto-kill, after the caller's own timeouts have had their chance
+      const killAfter = timeoutMs + this.pageTimeout;
       const timeoutHandle = setTimeout(() => {
-        console.warn(`[BrowserPool] Page exceeded timeout (${this.pageTimeout}ms), force-closing`);
+        console.warn(`[BrowserPool] Page exceeded timeout (${killAfter}ms), force-closing`);
         this.totalTimedOut++;
-        page.close().catch(() => {});
-      }, this.pageTimeout);
+        close();
+      }, killAfter);
+
+      const onAbort = () => close();
+      signal?.addEventListener('abort', onAbort, { once: true });
 
       const release = async () => {
         clearTimeout(timeoutHandle);
-        try { await page.close(); } catch {}
+        signal?.removeEventListener('abort', onAbort);
+        await close();
         this.activeRequests--;
         this.totalProcessed++;
         this._processQueue();
@@ -97,7 +146,7 @@ export class BrowserPool {
     const waitTime = Date.now() - entry.enqueueTime;
     this._recordWaitTime(waitTime);
 
-    this._createPage().then(entry.resolve).catch(entry.reject);
+    this._createPage(entry.signal, entry.timeoutMs).then(entry.resolve).catch(entry.reject);
   }
 
   _recordWaitTime(ms) {
@@ -107,13 +156,21 @@ export class BrowserPool {
     }
   }
 
-  _estimateWaitTime() {
+  /**
+   * Estimated wait for a request with `ahead` requests queued in front of it
+   * (defaults to the whole queue).
+   */
+  _estimateWaitTime(ahead = this.queue.length) {
     if (this.completedWaitTimes.length === 0) {
       // No data yet — estimate based on page timeout and queue depth
-      return (this.queue.length / this.maxConcurrent) * (this.pageTimeout / 2);
+      return (ahead / this.maxConcurrent) * (this.pageTimeout / 2);
     }
     const avg = this.completedWaitTimes.reduce((a, b) => a + b, 0) / this.completedWaitTimes.length;
-    return avg * (this.queue.length / this.maxConcurrent + 1);
+    return avg * (ahead / this.maxConcurrent + 1);
+  }
+
+  estimateWait(ahead) {
+    return Math.round(this._estimateWaitTime(ahead));
   }
 
   get avgWaitMs() {
@@ -0,0 +1,322 @@
+/**
+ * ResponseCache - TTL + LRU cache for rendered tool results.
+ *
+ * Entries are keyed by endpoint, normalized URL and the options that affect the
+ * output. The LRU index always lives in memory and is bounded by entry count and
+ * total bytes; bodies are held either in memory or on disk:
+ * - memory: process-local, lost on restart
+ * - disk: one body file plus a small JSON meta file per entry under CACHE_DIR,
+ *   reloaded on startup
+ *
+ * Keys can hold cookie and header values, so entries are indexed by the key's
+ * SHA-256 and the key itself is never stored.
+ *
+ * Concurrent misses for the same key share one render, which runs until the
+ * last request waiting for it is cancelled.
+ *
+ * Config (env): CACHE_ENABLED, CACHE_BACKEND=memory|disk, CACHE_DIR,
+ * CACHE_TTL_SECONDS, CACHE_MAX_ENTRIES, CACHE_MAX_BYTES
+ */
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Normalize a URL so trivially different spellings share a cache entry:
+ * lowercase scheme and host, default port and fragment dropped, query
+ * parameters sorted.
+ */
+export function normalizeUrl(rawUrl) {
+  const url = new URL(rawUrl);
+  url.hash = '';
+  url.searchParams.sort();
+  // URL already lowercases scheme/host and drops default ports
+  return url.href;
+}
+
+/**
+ * Build a cache key from an endpoint, URL and output-affecting options.
+ * Options are sorted so their order doesn't matter; undefined ones are skipped.
+ */
+export function cacheKey(endpoint, url, options = {}) {
+  const parts = Object.keys(options)
+    .filter(name => options[name] !== undefined)
+    .sort()
+    .map(name => `${name}=${JSON.stringify(options[name])}`);
+  return [endpoint, normalizeUrl(url), ...parts].join('|');
+}
+
+class MemoryBodies {
+  constructor() {
+    this.name = 'memory';
+    this.bodies = new Map(); // id -> Buffer
+  }
+
+  async load() {
+    return [];
+  }
+
+  async read(id) {
+    return this.bodies.get(id) || null;
+  }
+
+  async write(id, body) {
+    this.bodies.set(id, body);
+  }
+
+  async remove(id) {
+    this.bodies.delete(id);
+  }
+}
+
+class DiskBodies {
+  constructor(dir) {
+    this.name = 'disk';
+    this.dir = dir;
+  }
+
+  _file(id, ext) {
+    return path.join(this.dir, `${id}.${ext}`);
+  }
+
+  /**
+   * Read back the meta files left by a previous process.
+   */
+  async load() {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    const files = await fs.promises.readdir(this.dir);
+    const metas = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        metas.push(JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8')));
+      } catch {
+        await fs.promises.rm(path.join(this.dir, file), { force: true });
+      }
+    }
+
+    // Bodies without a readable meta file were left by a crash mid-write
+    const known = new Set(metas.map(meta => `${meta.id}.bin`));
+    for (const file of files.filter(f => f.endsWith('.bin') && !known.has(f))) {
+      await fs.promises.rm(path.join(this.dir, file), { force: true });
+    }
+    return metas;
+  }
+
+  async read(id) {
+    try {
+      return await fs.promises.readFile(this._file(id, 'bin'));
+    } catch {
+      return null;
+    }
+  }
+
+  async write(id, body, meta) {
+    await fs.promises.writeFile(this._file(id, 'bin'), body);
+    await fs.promises.writeFile(this._file(id, 'json'), JSON.stringify(meta));
+  }
+
+  async remove(id) {
+    await fs.promises.rm(this._file(id, 'json'), { force: true });
+    await fs.promises.rm(this._file(id, 'bin'), { force: true });
+  }
+}
+
+export class ResponseCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.CACHE_ENABLED !== 'false';
+    this.ttl = parseInt(options.ttlSeconds || process.env.CACHE_TTL_SECONDS || 300) * 1000;
+    this.maxEntries = parseInt(options.maxEntries || process.env.CACHE_MAX_ENTRIES || 500);
+    this.maxBytes = parseInt(options.maxBytes || process.env.CACHE_MAX_BYTES || 100 * 1024 * 1024);
+
+    const backend = options.backend || process.env.CACHE_BACKEND || 'memory';
+    if (backend === 'disk') {
+      this.bodies = new DiskBodies(options.dir || process.env.CACHE_DIR || './data/cache');
+    } else if (backend === 'memory') {
+      this.bodies = new MemoryBodies();
+    } else {
+      throw new Error(`Unknown CACHE_BACKEND: ${backend}`);
+    }
+
+    this.entries = new Map(); // id -> meta, in LRU order (oldest first)
+    this.inflight = new Map(); // key -> { promise, controller, waiters } of a render in progress
+    this.bytes = 0;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  /**
+   * Restore entries persisted by the disk backend. A no-op for memory.
+   */
+  async init() {
+    if (!this.enabled) return;
+    const metas = (await this.bodies.load()).sort((a, b) => a.createdAt - b.createdAt);
+    for (const meta of metas) {
+      // Entries written before keys were hashed carry the plaintext key
+      if (meta.expiresAt <= Date.now() || 'key' in meta) {
+        await this.bodies.remove(meta.id);
+        continue;
+      }
+      this.entries.set(meta.id, meta);
+      this.bytes += meta.size;
+    }
+    await this._evict();
+  }
+
+  _id(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  async _delete(id) {
+    const meta = this.entries.get(id);
+    if (!meta) return;
+    this.entries.delete(id);
+    this.bytes -= meta.size;
+    await this.bodies.remove(meta.id);
+  }
+
+  async _evict() {
+    while (this.entries.size > this.maxEntries || (this.bytes > this.maxBytes && this.entries.size > 0)) {
+      await this._delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Look up a fresh entry. Resolves to { body, contentType, createdAt, age }
+   * (age in seconds) or null.
+   */
+  async get(key) {
+    const id = this._id(key);
+    const meta = this.entries.get(id);
+    if (!meta) return null;
+    if (meta.expiresAt <= Date.now()) {
+      await this._delete(id);
+      return null;
+    }
+
+    const body = await this.bodies.read(id);
+    if (!body) {
+      await this._delete(id);
+      return null;
+    }
+
+    // Move to the most-recently-used end
+    this.entries.delete(id);
+    this.entries.set(id, meta);
+    return {
+      body,
+      contentType: meta.contentType,
+      createdAt: meta.createdAt,
+      age: Math.floor((Date.now() - meta.createdAt) / 1000),
+    };
+  }
+
+  async set(key, { body, contentType }) {
+    if (!this.enabled || body.length > this.maxBytes) return;
+    const id = this._id(key);
+    await this._delete(id);
+
+    const meta = {
+      id,
+      contentType,
+      size: body.length,
+      createdAt: Date.now(),
+      expiresAt: Date.now() + this.ttl,
+    };
+    await this.bodies.write(id, body, meta);
+    this.entries.set(id, meta);
+    this.bytes += meta.size;
+    await this._evict();
+  }
+
+  /**
+   * Serve `key` from cache, or run `render` and cache its result.
+   * `render(signal)` resolves to { body: Buffer, contentType }, or null for
+   * results that must not be cached (e.g. nothing could be extracted). It must
+   * use the signal it is given rather than the caller's: the render is shared
+   * with identical requests, and only aborted once all of them are.
+   * With `fresh`, any cached entry is ignored and replaced. `signal` cancels
+   * this caller's wait.
+   *
+   * Resolves to { hit, age, body, contentType } or null when render gave null.
+   */
+  async wrap(key, render, { fresh = false, signal } = {}) {
+    if (!this.enabled) {
+      const result = await render(signal);
+      return result && { hit: false, age: 0, ...result };
+    }
+
+    if (!fresh) {
+      const cached = await this.get(key);
+      if (cached) {
+        this.hits++;
+        return { hit: true, ...cached };
+      }
+    }
+    this.misses++;
+
+    // Identical requests arriving while a render is running wait for it
+    signal?.throwIfAborted();
+    let pending = this.inflight.get(key);
+    if (!pending) {
+      const controller = new AbortController();
+      pending = { controller, waiters: 0 };
+      pending.promise = (async () => {
+        const result = await render(controller.signal);
+        if (result) await this.set(key, result);
+        return result;
+      })();
+      this.inflight.set(key, pending);
+      const done = () => {
+        if (this.inflight.get(key) === pending) this.inflight.delete(key);
+      };
+      pending.promise.then(done, done);
+    }
+
+    const result = await this._wait(key, pending, signal);
+    return result && { hit: false, age: 0, ...result };
+  }
+
+  // Wait for a shared render until it settles or `signal` aborts; the last
+  // waiter to abort aborts the render
+  _wait(key, pending, signal) {
+    pending.waiters++;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        reject(signal.reason);
+        if (--pending.waiters === 0) {
+          if (this.inflight.get(key) === pending) this.inflight.delete(key);
+          pending.controller.abort(signal.reason);
+        }
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+      pending.promise
+        .then(resolve, reject)
+        .finally(() => signal?.removeEventListener('abort', onAbort));
+    });
+  }
+
+  /**
+   * Drop every entry.
+   */
+  async clear() {
+    const count = this.entries.size;
+    for (const id of [...this.entries.keys()]) {
+      await this._delete(id);
+    }
+    return count;
+  }
+
+  get stats() {
+    return {
+      enabled: this.enabled,
+      backend: this.bodies.name,
+      entries: this.entries.size,
+      bytes: this.bytes,
+      max_entries: this.maxEntries,
+      max_bytes: this.maxBytes,
+      ttl_seconds: this.ttl / 1000,
+      hits: this.hits,
+      misses: this.misses,
+    };
+  }
+}
@@ -0,0 +1,290 @@
+/**
+ * ContactExtract - Email addresses and phone numbers from a rendered page.
+ *
+ * Works on the page's visible text (scripts, styles and hidden elements left
+ * out) plus mailto:/tel: links, never the raw markup, so asset names like
+ * image@2x.png and numbers in inline JSON don't show up.
+ *
+ * Emails are also recovered from common obfuscations: "name [at] domain [dot]
+ * com", "name(at)domain.com" and Cloudflare's data-cfemail encoding. Phone
+ * numbers are parsed with libphonenumber into E.164; numbers written without
+ * a country code are read in the page's country (see inferCountry).
+ *
+ * Each result carries the text around it, so an agent can tell a sales line
+ * from a support line.
+ */
+import { findPhoneNumbersInText, parsePhoneNumberFromString, isSupportedCountry } from 'libphonenumber-js/max';
+
+const MAX_RESULTS = 100;
+const CONTEXT_CHARS = 60;
+
+const SKIPPED_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'SVG', 'CANVAS', 'IFRAME', 'HEAD']);
+const BLOCK_TAGS = new Set([
+  'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'BR', 'DD', 'DIV', 'DL', 'DT', 'FIELDSET', 'FIGCAPTION', 'FIGURE',
+  'FOOTER', 'FORM', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'MAIN', 'NAV', 'OL', 'P', 'PRE',
+  'SECTION', 'TABLE', 'TD', 'TH', 'TR', 'UL',
+]);
+const BLOCK_SELECTOR = [...BLOCK_TAGS].join(',').toLowerCase();
+
+// "Domains" that are really file names: logo@2x.png, sprite@3x.webp, bundle@1.2.3.js
+const ASSET_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|bmp|ico|tiff?|css|js|mjs|map|json|woff2?|ttf|otf|eot|mp[34]|webm|mov|pdf|zip)$/i;
+
+const EMAIL = /[a-z0-9._%+-]+@(?:[a-z0-9-]+\.)+[a-z]{2,24}/gi;
+const VALID_EMAIL = new RegExp(`^${EMAIL.source}$`, 'i');
+// name [at] domain [dot] com, name(at)domain.com, name {at} domain.com
+const BRACKETED_EMAIL = /(?<local>[a-z0-9._%+-]+)\s*[[({<]\s*at\s*[\])}>]\s*(?<domain>[a-z0-9-]+(?:(?:\s*[[({<]\s*dot\s*[\])}>]\s*|\s+dot\s+|\.)[a-z0-9-]+)+)/gi;
+// name at domain dot com: bare words only count when the dots are words too, so "find us at example.com" doesn't
+const WORD_EMAIL = /(?<local>[a-z0-9._%+-]+)\s+at\s+(?<domain>[a-z0-9-]+(?:\s+dot\s+[a-z0-9-]+)+)\b/gi;
+const DOT = /\s*[[({<]\s*dot\s*[\])}>]\s*|\s+dot\s+/gi;
+
+// Dates and long digit runs (SKUs, order and tracking numbers) that can still
+// parse as valid numbers: 2024-01-29, 29.01.2024, 20240129, 1234567890123
+const DATE = /\b\d{4}-\d{1,2}-\d{1,2}\b|\b\d{1,2}[./]\d{1,2}[./]\d{4}\b/;
+const COMPACT_DATE = /^(?:19|20)\d\d(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])$/;
+const LONG_DIGIT_RUN = /\d{13,}/;
+// libphonenumber reads "," and ";" as dial pauses that start an extension
+const PAUSES = /[,;]/g;
+
+// ccTLDs that aren't the ISO country code
+const TLD_COUNTRIES = { uk: 'GB', eu: undefined, su: undefined };
+
+export class ContactError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'ContactError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate a default country for phone numbers (ISO 3166-1 alpha-2).
+ */
+export function parseCountry(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const country = String(value).trim().toUpperCase();
+  if (!isSupportedCountry(country)) {
+    throw new ContactError(`Unsupported country "${value}". Use an ISO 3166-1 alpha-2 code such as US, GB or DE`, 'INVALID_COUNTRY');
+  }
+  return country;
+}
+
+/**
+ * The country national-format numbers on a page most likely belong to: the
+ * ccTLD (example.de), then the region in <html lang="en-GB">, then US.
+ */
+export function inferCountry(document) {
+  const tld = new URL(document.URL).hostname.split('.').pop().toLowerCase();
+  const fromTld = tld in TLD_COUNTRIES ? TLD_COUNTRIES[tld] : tld.toUpperCase();
+  if (fromTld && /^[A-Z]{2}$/.test(fromTld) && isSupportedCountry(fromTld)) return fromTld;
+
+  const region = (document.documentElement.getAttribute('lang') || '').split(/[-_]/)[1]?.toUpperCase();
+  if (region && isSupportedCountry(region)) return region;
+
+  return 'US';
+}
+
+/**
+ * The page's visible text, with line breaks between blocks so values in
+ * neighbouring elements don't run together. Pass `segments` to also get
+ * [{ node, start }] for each text node, so a match can be traced back to the
+ * element it came from (see nodeAt).
+ */
+export function visibleText(document, segments) {
+  let text = '';
+  const walk = node => {
+    if (node.nodeType === 3) {
+      let value = node.nodeValue.replace(/[\s\u00a0]+/g, ' ');
+      if (!text || text.endsWith(' ') || text.endsWith('\n')) value = value.replace(/^ /, '');
+      if (value) {
+        segments?.push({ node, start: text.length });
+        text += value;
+      }
+      return;
+    }
+    if (node.nodeType !== 1) return;
+    const tag = node.tagName.toUpperCase();
+    if (SKIPPED_TAGS.has(tag) || node.hidden || node.getAttribute('aria-hidden') === 'true') return;
+    if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(node.getAttribute('style') || '')) return;
+
+    const block = BLOCK_TAGS.has(tag);
+    const breakLine = () => {
+      if (text && !text.endsWith('\n')) text = text.replace(/ $/, '') + '\n';
+    };
+    if (block) breakLine();
+    node.childNodes.forEach(walk);
+    if (block) breakLine();
+  };
+  walk(document.body || document.documentElement);
+  return text.trimEnd();
+}
+
+/**
+ * The text node holding `index` in visibleText's output.
+ */
+export function nodeAt(segments, index) {
+  let low = 0;
+  let high = segments.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (segments[mid].start <= index) low = mid;
+    else high = mid - 1;
+  }
+  return segments[low]?.node || null;
+}
+
+/**
+ * Up to CONTEXT_CHARS of text either side of text[start, end).
+ */
+export function textSnippet(text, start, end) {
+  const from = Math.max(0, start - CONTEXT_CHARS);
+  const to = Math.min(text.length, end + CONTEXT_CHARS);
+  const body = text.slice(from, to).replace(/\s+/g, ' ').trim();
+  return `${from > 0 ? '…' : ''}${body}${to < text.length ? '…' : ''}`;
+}
+
+// Text of the block a link sits in, centred on the link when it's long
+function linkContext(link) {
+  const block = link.closest(BLOCK_SELECTOR) || link;
+  const text = block.textContent.replace(/\s+/g, ' ').trim();
+  if (text.length <= CONTEXT_CHARS * 2) return text;
+  const own = link.textContent.replace(/\s+/g, ' ').trim();
+  const at = own ? text.indexOf(own) : -1;
+  return at === -1 ? textSnippet(text, 0, 0) : textSnippet(text, at, at + own.length);
+}
+
+function cleanEmail(value) {
+  const email = value.toLowerCase().replace(/^[._%+-]+|[.]+$/g, '');
+  if (!VALID_EMAIL.test(email) || ASSET_EXTENSIONS.test(email) || /@\d+x\./.test(email)) return null;
+  if (email.split('@')[0].length > 64 || email.length > 254) return null;
+  return email;
+}
+
+// Cloudflare email protection: hex pairs, each XORed with the first byte
+function decodeCfEmail(encoded) {
+  if (!/^([0-9a-f]{2}){2,}$/i.test(encoded)) return null;
+  const key = parseInt(encoded.slice(0, 2), 16);
+  let email = '';
+  for (let i = 2; i < encoded.length; i += 2) {
+    email += String.fromCharCode(parseInt(encoded.slice(i, i + 2), 16) ^ key);
+  }
+  return email;
+}
+
+function collector() {
+  const found = new Map();
+  return {
+    add(key, entry) {
+      if (key && !found.has(key) && found.size < MAX_RESULTS) found.set(key, entry);
+    },
+    values: () => [...found.values()],
+  };
+}
+
+/**
+ * Email addresses from mailto: links, Cloudflare-protected addresses and the
+ * visible text, plain or obfuscated.
+ *
+ * @returns {Array<{ email, source: 'mailto'|'cloudflare'|'text'|'obfuscated', context }>}
+ */
+export function extractEmails(document, text = visibleText(document)) {
+  const emails = collector();
+
+  for (const link of document.querySelectorAll('a[href^="mailto:" i]')) {
+    let address = link.getAttribute('href').slice('mailto:'.length).split('?')[0];
+    try {
+      address = decodeURIComponent(address);
+    } catch {
+      // Keep it as written
+    }
+    for (const part of address.split(',')) {
+      const email = cleanEmail(part.trim());
+      if (email) emails.add(email, { email, source: 'mailto', context: linkContext(link) });
+    }
+  }
+
+  for (const el of document.querySelectorAll('[data-cfemail]')) {
+    const decoded = decodeCfEmail(el.getAttribute('data-cfemail'));
+    const email = decoded && cleanEmail(decoded);
+    if (email) emails.add(email, { email, source: 'cloudflare', context: linkContext(el) });
+  }
+
+  for (const match of text.matchAll(EMAIL)) {
+    const email = cleanEmail(match[0]);
+    if (email) emails.add(email, { email, source: 'text', context: textSnippet(text, match.index, match.index + match[0].length) });
+  }
+
+  for (const pattern of [BRACKETED_EMAIL, WORD_EMAIL]) {
+    for (const match of text.matchAll(pattern)) {
+      const { local, domain } = match.groups;
+      const email = cleanEmail(`${local}@${domain.replace(DOT, '.')}`);
+      if (email) emails.add(email, { email, source: 'obfuscated', context: textSnippet(text, match.index, match.index + match[0].length) });
+    }
+  }
+
+  return emails.values();
+}
+
+function phoneEntry(phone, source, context) {
+  return {
+    number: phone.number,
+    national: phone.formatNational(),
+    international: phone.formatInternational(),
+    country: phone.country || null,
+    type: phone.getType() || null,
+    source,
+    context,
+  };
+}
+
+// Whether matched text is a phone number rather than a date or a product code.
+// Unbroken runs of 13+ digits only count with a leading + (E.164).
+function writtenLikePhone(raw) {
+  if (DATE.test(raw) || COMPACT_DATE.test(raw)) return false;
+  return raw.startsWith('+') || !LONG_DIGIT_RUN.test(raw);
+}
+
+/**
+ * Phone numbers from tel: links and the visible text, as E.164.
+ *
+ * @param {Document} document
+ * @param {object} [options]
+ * @param {string} [options.country] - default country for numbers without a country code (inferred if omitted)
+ * @returns {Array<{ number, national, international, country, type, source: 'tel'|'text', context }>}
+ */
+export function extractPhones(document, { country = inferCountry(document) } = {}, text = visibleText(document)) {
+  const phones = collector();
+
+  for (const link of document.querySelectorAll('a[href^="tel:" i]')) {
+    let value = link.getAttribute('href').slice('tel:'.length);
+    try {
+      value = decodeURIComponent(value);
+    } catch {
+      // Keep it as written
+    }
+    const phone = parsePhoneNumberFromString(value, country);
+    if (phone?.isValid()) phones.add(phone.number, phoneEntry(phone, 'tel', linkContext(link)));
+  }
+
+  // Pauses become line breaks, so "2024-01-29, 123456789" isn't one number with
+  // an extension; the text keeps its length, so offsets still point into it
+  const searchable = text.replace(PAUSES, '\n');
+  for (const { number: phone, startsAt, endsAt } of findPhoneNumbersInText(searchable, { defaultCountry: country, leniency: 'VALID', v2: true })) {
+    if (phone.isValid() && writtenLikePhone(text.slice(startsAt, endsAt))) {
+      phones.add(phone.number, phoneEntry(phone, 'text', textSnippet(text, startsAt, endsAt)));
+    }
+  }
+
+  return phones.values();
+}
+
+/**
+ * Both at once, sharing one pass over the visible text.
+ */
+export function extractContacts(document, { emails = true, phones = true, country } = {}) {
+  const text = visibleText(document);
+  return {
+    ...(emails && { emails: extractEmails(document, text) }),
+    ...(phones && { phones: extractPhones(document, { country: country || inferCountry(document) }, text) }),
+  };
+}
@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import { extractPhones } from './contact-extract.js';
+
+const page = (body, url = 'https://shop.example.de/') => new JSDOM(`<body>${body}</body>`, { url }).window.document;
+const numbers = document => extractPhones(document).map(phone => phone.number);
+
+test('dates and product codes are not phone numbers', () => {
+  const document = page(`
+    <p>2024-01-29, 1234567890123</p>
+    <p>Stand: 29.01.2024</p>
+    <p>Bestellung 20240129 versandt</p>
+    <p>EAN 4006381333931, Artikel 1234567890123</p>
+  `);
+  assert.deepEqual(numbers(document), []);
+});
+
+test('finds numbers next to dates and separated by commas', () => {
+  const document = page(`
+    <p>Aktualisiert 2024-01-29, Tel. (030) 901820, Fax 030/90182-100</p>
+    <p>Zentrale 030 1234567, 030 7654321</p>
+    <p>International +4930123456789</p>
+  `);
+  assert.deepEqual(numbers(document), ['+4930901820', '+493090182100', '+49301234567', '+49307654321', '+4930123456789']);
+  assert.ok(extractPhones(document).every(phone => !phone.international.includes('ext')));
+});
+
+test('keeps written extensions', () => {
+  const [phone] = extractPhones(page('<p>Call +1 650-253-0000 ext. 123</p>', 'https://example.com/'));
+  assert.equal(phone.number, '+16502530000');
+  assert.match(phone.international, /ext\. 123$/);
+});
@@ -0,0 +1,453 @@
+/**
+ * ContentDiff - Semantic diff between two rendered pages.
+ *
+ * Compares the Readability extractions block by block (paragraphs, list items,
+ * headings...), pairing removed and added blocks into "changed" blocks with a
+ * sentence-level diff when they are similar enough. Also compares heading
+ * structure, link sets and meta tags of the full pages.
+ *
+ * Output formats: JSON hunks, a unified text diff, or HTML with inline
+ * <ins>/<del> highlights.
+ */
+import { JSDOM } from 'jsdom';
+import { diffArrays, diffSentences, diffWords, formatPatch, structuredPatch } from 'diff';
+
+export const DIFF_FORMATS = ['json', 'unified', 'html'];
+
+const TEXT_BLOCKS = 'p, li, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, figcaption';
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+// Removed/added blocks at least this similar are reported as one changed block
+const CHANGED_THRESHOLD = 0.5;
+const MAX_BLOCKS = 5000;
+// Pairing compares a removed block only with the added blocks near its place
+// in the run, and one diff makes at most MAX_PAIR_COMPARISONS word diffs;
+// blocks left over are reported as removed and added
+const PAIR_WINDOW = 10;
+const MAX_PAIR_COMPARISONS = 5000;
+const MAX_LINKS_LISTED = 200;
+// Give up on fine-grained diffs that take longer than this (ms)
+const DIFF_TIMEOUT = 2000;
+
+const META_TAGS = [
+  ['description', 'meta[name="description"]'],
+  ['keywords', 'meta[name="keywords"]'],
+  ['robots', 'meta[name="robots"]'],
+  ['canonical', 'link[rel="canonical"]'],
+];
+
+/**
+ * Leaf text blocks of an HTML fragment or document, in document order.
+ * Blocks nested inside other blocks are skipped so text isn't counted twice.
+ */
+export function textBlocks(root) {
+  return [...root.querySelectorAll(TEXT_BLOCKS)]
+    .filter(block => !block.querySelector(TEXT_BLOCKS))
+    .map(block => ({ tag: block.tagName.toLowerCase(), text: block.textContent.replace(/\s+/g, ' ').trim() }))
+    .filter(block => block.text)
+    .slice(0, MAX_BLOCKS);
+}
+
+function headings(document) {
+  return [...document.querySelectorAll(HEADINGS)]
+    .map(h => ({ level: parseInt(h.tagName[1]), text: h.textContent.replace(/\s+/g, ' ').trim() }))
+    .filter(h => h.text);
+}
+
+function links(document) {
+  return new Set([...document.querySelectorAll('a[href]')]
+    .map(a => a.href)
+    .filter(href => href.startsWith('http')));
+}
+
+function metaTags(document) {
+  const meta = { title: document.title || null, lang: document.documentElement.lang || null };
+  for (const [name, selector] of META_TAGS) {
+    const el = document.querySelector(selector);
+    meta[name] = el ? (el.getAttribute('content') ?? el.getAttribute('href')) : null;
+  }
+  for (const el of document.querySelectorAll('meta[property^="og:"], meta[name^="twitter:"]')) {
+    const name = el.getAttribute('property') || el.getAttribute('name');
+    meta[name] ??= el.getAttribute('content');
+  }
+  return meta;
+}
+
+/**
+ * Similarity of two strings in [0, 1]: the share of words they have in common.
+ */
+function similarity(a, b) {
+  if (a === b) return 1;
+  const parts = diffWords(a, b, { timeout: DIFF_TIMEOUT });
+  if (!parts) return 0;
+  let common = 0, total = 0;
+  for (const part of parts) {
+    const words = (part.value.match(/\S+/g) || []).length;
+    total += part.added || part.removed ? words : words * 2;
+    if (!part.added && !part.removed) common += words * 2;
+  }
+  return total ? common / total : 1;
+}
+
+function sentenceDiff(before, after) {
+  const parts = diffSentences(before, after, { timeout: DIFF_TIMEOUT });
+  if (!parts) {
+    return [{ op: 'removed', text: before }, { op: 'added', text: after }];
+  }
+  return parts.map(part => ({
+    op: part.added ? 'added' : part.removed ? 'removed' : 'unchanged',
+    text: part.value,
+  }));
+}
+
+const wordCount = text => (text.match(/\S+/g) || []).length;
+
+// Whether two blocks' word counts leave room for CHANGED_THRESHOLD similarity
+function canPair(a, b) {
+  return 2 * Math.min(a.words, b.words) >= CHANGED_THRESHOLD * (a.words + b.words);
+}
+
+/**
+ * Pair a run of removed blocks with the run of added blocks that replaced it.
+ * Each removed block is matched to the most similar unclaimed added block
+ * within PAIR_WINDOW of its position, while `budget.comparisons` lasts.
+ */
+function pairRuns(removed, added, budget) {
+  const hunks = [];
+  const claimed = new Set();
+  for (const [i, old] of removed.entries()) {
+    let best = null;
+    const center = Math.round(i * added.length / removed.length);
+    const end = Math.min(added.length, center + PAIR_WINDOW + 1);
+    for (let j = Math.max(0, center - PAIR_WINDOW); j < end && budget.comparisons > 0; j++) {
+      const candidate = added[j];
+      if (claimed.has(candidate) || !canPair(old, candidate)) continue;
+      budget.comparisons--;
+      const score = similarity(old.text, candidate.text);
+      if (score >= CHANGED_THRESHOLD && (!best || score > best.score)) best = { candidate, score };
+    }
+    if (best) {
+      claimed.add(best.candidate);
+      hunks.push({
+        op: 'changed',
+        tag: best.candidate.tag,
+        before: old.text,
+        after: best.candidate.text,
+        index1: old.index,
+        index2: best.candidate.index,
+        similarity: round(best.score),
+        sentences: sentenceDiff(old.text, best.candidate.text),
+      });
+    } else {
+      hunks.push({ op: 'removed', tag: old.tag, before: old.text, index1: old.index });
+    }
+  }
+  for (const block of added) {
+    if (!claimed.has(block)) hunks.push({ op: 'added', tag: block.tag, after: block.text, index2: block.index });
+  }
+  return hunks;
+}
+
+const round = n => Math.round(n * 10000) / 10000;
+
+// How many blocks two lists share at their start (head) and end (tail)
+function commonEnds(blocks1, blocks2) {
+  const same = (a, b) => a.text === b.text;
+  let head = 0;
+  while (head < blocks1.length && head < blocks2.length && same(blocks1[head], blocks2[head])) head++;
+  let tail = 0;
+  while (tail < blocks1.length - head && tail < blocks2.length - head
+    && same(blocks1[blocks1.length - 1 - tail], blocks2[blocks2.length - 1 - tail])) tail++;
+  return { head, tail };
+}
+
+/**
+ * diffArrays of two block lists by text. When that takes longer than
+ * DIFF_TIMEOUT, only the common start and end are kept and everything between
+ * them counts as removed and added.
+ */
+function diffBlockLists(blocks1, blocks2) {
+  const parts = diffArrays(blocks1, blocks2, { comparator: (a, b) => a.text === b.text, timeout: DIFF_TIMEOUT });
+  if (parts) return parts;
+
+  const { head, tail } = commonEnds(blocks1, blocks2);
+
+  const part = (value, op) => ({ value, count: value.length, ...op });
+  return [
+    part(blocks1.slice(0, head)),
+    part(blocks1.slice(head, blocks1.length - tail), { removed: true }),
+    part(blocks2.slice(head, blocks2.length - tail), { added: true }),
+    part(blocks1.slice(blocks1.length - tail)),
+  ].filter(({ count }) => count);
+}
+
+/**
+ * Block-level diff. Returns { hunks, sequence, stats, similarity } where
+ * `hunks` holds only differences and `sequence` every block in order (for
+ * rendering).
+ */
+function diffBlocks(blocks1, blocks2) {
+  const indexed1 = blocks1.map((block, index) => ({ ...block, index, words: wordCount(block.text) }));
+  const indexed2 = blocks2.map((block, index) => ({ ...block, index, words: wordCount(block.text) }));
+  const parts = diffBlockLists(indexed1, indexed2);
+
+  const sequence = [];
+  const budget = { comparisons: MAX_PAIR_COMPARISONS };
+  let removedRun = [];
+  let addedRun = [];
+  const flush = () => {
+    if (removedRun.length || addedRun.length) sequence.push(...pairRuns(removedRun, addedRun, budget));
+    removedRun = [];
+    addedRun = [];
+  };
+
+  let i1 = 0, i2 = 0;
+  for (const part of parts) {
+    if (part.removed) {
+      removedRun.push(...part.value);
+      i1 += part.count;
+    } else if (part.added) {
+      addedRun.push(...part.value);
+      i2 += part.count;
+    } else {
+      flush();
+      for (let k = 0; k < part.count; k++) {
+        const block = indexed1[i1 + k];
+        sequence.push({ op: 'unchanged', tag: block.tag, text: block.text, index1: i1 + k, index2: i2 + k });
+      }
+      i1 += part.count;
+      i2 += part.count;
+    }
+  }
+  flush();
+
+  const stats = { unchanged: 0, added: 0, removed: 0, changed: 0 };
+  let common = 0;
+  for (const entry of sequence) {
+    stats[entry.op]++;
+    if (entry.op === 'unchanged') common += 2 * entry.text.length;
+    if (entry.op === 'changed') common += entry.similarity * (entry.before.length + entry.after.length);
+  }
+  const total = [...blocks1, ...blocks2].reduce((sum, block) => sum + block.text.length, 0);
+
+  return {
+    sequence,
+    hunks: sequence.filter(entry => entry.op !== 'unchanged'),
+    stats,
+    similarity: total ? round(common / total) : 1,
+  };
+}
+
+function diffHeadings(headings1, headings2) {
+  const parts = diffArrays(headings1, headings2, { comparator: (a, b) => a.text === b.text && a.level === b.level });
+  const removed = parts.filter(p => p.removed).flatMap(p => p.value);
+  const added = parts.filter(p => p.added).flatMap(p => p.value);
+
+  // Same text at a different level is a level change, not a remove + add
+  const levelChanged = [];
+  for (const old of [...removed]) {
+    const match = added.find(h => h.text === old.text);
+    if (match) {
+      levelChanged.push({ text: old.text, from: old.level, to: match.level });
+      removed.splice(removed.indexOf(old), 1);
+      added.splice(added.indexOf(match), 1);
+    }
+  }
+
+  return {
+    before: headings1.length,
+    after: headings2.length,
+    added,
+    removed,
+    levelChanged,
+    outlineChanged: added.length + removed.length + levelChanged.length > 0,
+  };
+}
+
+function diffLinks(links1, links2) {
+  const added = [...links2].filter(href => !links1.has(href));
+  const removed = [...links1].filter(href => !links2.has(href));
+  return {
+    before: links1.size,
+    after: links2.size,
+    common: links1.size - removed.length,
+    added: added.slice(0, MAX_LINKS_LISTED),
+    removed: removed.slice(0, MAX_LINKS_LISTED),
+    addedCount: added.length,
+    removedCount: removed.length,
+  };
+}
+
+function diffMeta(meta1, meta2) {
+  const changes = [];
+  for (const name of new Set([...Object.keys(meta1), ...Object.keys(meta2)])) {
+    const before = meta1[name] ?? null;
+    const after = meta2[name] ?? null;
+    if (before === after) continue;
+    changes.push({
+      name,
+      op: before === null ? 'added' : after === null ? 'removed' : 'changed',
+      before,
+      after,
+    });
+  }
+  return changes;
+}
+
+/**
+ * Diff two lists of text blocks (see textBlocks), e.g. stored snapshots.
+ * Returns { similarity, blocks, hunks }, plus `unified` when asked for.
+ */
+export function diffContent(blocks1, blocks2, { unified = false, context = 3, label1 = 'before', label2 = 'after' } = {}) {
+  const content = diffBlocks(blocks1, blocks2);
+  const result = {
+    similarity: content.similarity,
+    blocks: { before: blocks1.length, after: blocks2.length, ...content.stats },
+    hunks: content.hunks,
+  };
+  if (unified) {
+    result.unified = unifiedDiff(label1, label2, blocks1, blocks2, context);
+  }
+  // Kept off the JSON output; used by the HTML renderer
+  Object.defineProperty(result, 'sequence', { value: content.sequence, enumerable: false });
+  return result;
+}
+
+/**
+ * Diff two pages.
+ *
+ * @param {object} page1 - { url, document, article } — the full JSDOM document
+ *   and the Readability article (null if extraction failed)
+ * @param {object} page2 - same shape
+ * @param {object} [options]
+ * @param {boolean} [options.unified] - include a unified text diff
+ * @param {number} [options.context] - unified diff context lines (default 3)
+ */
+export function diffPages(page1, page2, { unified = false, context = 3 } = {}) {
+  const blocksOf = page => page.article
+    ? textBlocks(new JSDOM(page.article.content).window.document)
+    : textBlocks(page.document.body);
+
+  const content = diffContent(blocksOf(page1), blocksOf(page2), { unified, context, label1: page1.url, label2: page2.url });
+  const { unified: unifiedText, ...rest } = content;
+
+  const result = {
+    ...rest,
+    headings: diffHeadings(headings(page1.document), headings(page2.document)),
+    links: diffLinks(links(page1.document), links(page2.document)),
+    meta: diffMeta(metaTags(page1.document), metaTags(page2.document)),
+    ...(unifiedText !== undefined ? { unified: unifiedText } : {}),
+  };
+  Object.defineProperty(result, 'sequence', { value: content.sequence, enumerable: false });
+  return result;
+}
+
+/**
+ * Unified diff of the extracted text, one block per line. Past DIFF_TIMEOUT
+ * it is a single hunk from the first difference to the last.
+ */
+function unifiedDiff(url1, url2, blocks1, blocks2, context = 3) {
+  const text = blocks => blocks.map(block => block.text).join('\n') + '\n';
+  const patch = structuredPatch(url1, url2, text(blocks1), text(blocks2), '', '', { context, timeout: DIFF_TIMEOUT });
+  return formatPatch(patch ?? wholePatch(url1, url2, blocks1, blocks2, context));
+}
+
+function wholePatch(url1, url2, blocks1, blocks2, context) {
+  const { head, tail } = commonEnds(blocks1, blocks2);
+  const start = Math.max(0, head - context);
+  const after = Math.min(tail, context);
+  const lines = (blocks, from, to, mark) => blocks.slice(from, to).map(block => mark + block.text);
+  return {
+    oldFileName: url1,
+    newFileName: url2,
+    oldHeader: '',
+    newHeader: '',
+    hunks: [{
+      oldStart: start + 1,
+      oldLines: blocks1.length - tail + after - start,
+      newStart: start + 1,
+      newLines: blocks2.length - tail + after - start,
+      lines: [
+        ...lines(blocks1, start, head, ' '),
+        ...lines(blocks1, head, blocks1.length - tail, '-'),
+        ...lines(blocks2, head, blocks2.length - tail, '+'),
+        ...lines(blocks1, blocks1.length - tail, blocks1.length - tail + after, ' '),
+      ],
+    }],
+  };
+}
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const BLOCK_TAGS = new Set(['p', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre']);
+
+function renderBlock(tag, className, inner) {
+  const element = BLOCK_TAGS.has(tag) ? (tag === 'li' ? 'p' : tag) : 'p';
+  return `<${element}${className ? ` class="${className}"` : ''}>${inner}</${element}>`;
+}
+
+/**
+ * Standalone HTML page showing the second page's content with inline
+ * highlights: removed text in <del>, added text in <ins>.
+ */
+export function renderHtmlDiff(diff, url1, url2) {
+  const body = diff.sequence.map(entry => {
+    switch (entry.op) {
+      case 'unchanged':
+        return renderBlock(entry.tag, null, escapeHtml(entry.text));
+      case 'added':
+        return renderBlock(entry.tag, 'added', `<ins>${escapeHtml(entry.after)}</ins>`);
+      case 'removed':
+        return renderBlock(entry.tag, 'removed', `<del>${escapeHtml(entry.before)}</del>`);
+      default:
+        return renderBlock(entry.tag, 'changed', entry.sentences.map(part =>
+          part.op === 'added' ? `<ins>${escapeHtml(part.text)}</ins>`
+            : part.op === 'removed' ? `<del>${escapeHtml(part.text)}</del>`
+            : escapeHtml(part.text)
+        ).join(''));
+    }
+  }).join('\n');
+
+  const metaRows = diff.meta.map(change =>
+    `<tr><td>${escapeHtml(change.name)}</td><td><del>${escapeHtml(change.before ?? '')}</del></td><td><ins>${escapeHtml(change.after ?? '')}</ins></td></tr>`
+  ).join('\n');
+
+  const headingItems = [
+    ...diff.headings.removed.map(h => `<li><del>H${h.level}: ${escapeHtml(h.text)}</del></li>`),
+    ...diff.headings.added.map(h => `<li><ins>H${h.level}: ${escapeHtml(h.text)}</ins></li>`),
+    ...diff.headings.levelChanged.map(h => `<li>${escapeHtml(h.text)}: H${h.from} → H${h.to}</li>`),
+  ].join('\n');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Diff: ${escapeHtml(url1)} → ${escapeHtml(url2)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; max-width: 50rem; margin: 2rem auto; line-height: 1.5; color: #1a202c; }
+  ins { background: #c6f6d5; text-decoration: none; }
+  del { background: #fed7d7; }
+  .added { border-left: 3px solid #38a169; padding-left: .5rem; }
+  .removed { border-left: 3px solid #e53e3e; padding-left: .5rem; }
+  .changed { border-left: 3px solid #d69e2e; padding-left: .5rem; }
+  .summary { background: #f7fafc; border: 1px solid #e2e8f0; padding: 1rem; border-radius: 6px; }
+  table { border-collapse: collapse; } td { border: 1px solid #e2e8f0; padding: .25rem .5rem; vertical-align: top; }
+</style>
+</head>
+<body>
+<div class="summary">
+<p><strong>Before:</strong> ${escapeHtml(url1)}<br><strong>After:</strong> ${escapeHtml(url2)}</p>
+<p><strong>Similarity:</strong> ${(diff.similarity * 100).toFixed(1)}% &middot;
+${diff.blocks.added} added, ${diff.blocks.removed} removed, ${diff.blocks.changed} changed blocks &middot;
+links +${diff.links.addedCount} / -${diff.links.removedCount}</p>
+${headingItems ? `<p><strong>Headings</strong></p><ul>\n${headingItems}\n</ul>` : ''}
+${metaRows ? `<p><strong>Meta tags</strong></p><table>\n${metaRows}\n</table>` : ''}
+</div>
+${body}
+</body>
+</html>
+`;
+}
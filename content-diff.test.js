@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffContent } from './content-diff.js';
+
+const block = text => ({ tag: 'p', text });
+const sentence = (seed, words = 12) => Array.from({ length: words }, (_, i) => `w${seed}x${i}`).join(' ');
+
+test('pairs an edited block as changed', () => {
+  const diff = diffContent(
+    [block('Intro.'), block('The quick brown fox jumps over the lazy dog.'), block('Outro.')],
+    [block('Intro.'), block('The quick brown fox leaps over the lazy dog.'), block('Outro.')]
+  );
+  assert.deepEqual(diff.blocks, { before: 3, after: 3, unchanged: 2, added: 0, removed: 0, changed: 1 });
+  assert.equal(diff.hunks[0].op, 'changed');
+  assert.ok(diff.hunks[0].sentences.some(part => part.op === 'added' && part.text.includes('leaps')));
+});
+
+test('reports unmatched blocks as removed and added', () => {
+  const diff = diffContent([block('Alpha beta gamma.')], [block('Something else entirely.')]);
+  assert.deepEqual(diff.hunks.map(hunk => hunk.op), ['removed', 'added']);
+});
+
+test('pages that differ everywhere are diffed in bounded time', () => {
+  const before = Array.from({ length: 5000 }, (_, i) => block(sentence(`a${i}`)));
+  const after = Array.from({ length: 5000 }, (_, i) => block(sentence(`b${i}`)));
+  const started = Date.now();
+  const diff = diffContent(before, after);
+  assert.ok(Date.now() - started < 10000, `took ${Date.now() - started} ms`);
+  assert.equal(diff.blocks.removed, 5000);
+  assert.equal(diff.blocks.added, 5000);
+});
+
+test('edits across a long page are still paired', () => {
+  const before = Array.from({ length: 2000 }, (_, i) => block(sentence(i)));
+  const after = before.map(({ text }) => block(`${text} more`));
+  const started = Date.now();
+  const diff = diffContent(before, after);
+  assert.ok(Date.now() - started < 10000, `took ${Date.now() - started} ms`);
+  assert.equal(diff.blocks.changed + diff.blocks.removed, 2000);
+  assert.ok(diff.blocks.changed > 0);
+});
+
+test('a unified diff that times out still covers every change', () => {
+  const shared = Array.from({ length: 5 }, (_, i) => block(`Shared ${i}.`));
+  const before = [...shared, ...Array.from({ length: 5000 }, (_, i) => block(sentence(`a${i}`))), ...shared];
+  const after = [...shared, ...Array.from({ length: 5000 }, (_, i) => block(sentence(`b${i}`))), ...shared];
+  const started = Date.now();
+  const { unified } = diffContent(before, after, { unified: true, context: 2 });
+  assert.ok(Date.now() - started < 15000, `took ${Date.now() - started} ms`);
+  const lines = unified.split('\n');
+  assert.equal(lines.filter(line => line.startsWith('@@')).length, 1);
+  assert.ok(lines.includes('@@ -4,5004 +4,5004 @@'));
+  assert.equal(lines.filter(line => line.startsWith('-w')).length, 5000);
+  assert.equal(lines.filter(line => line.startsWith('+w')).length, 5000);
+  assert.equal(lines.filter(line => line.startsWith(' ')).length, 4);
+});
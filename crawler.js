@@ -0,0 +1,217 @@
+/**
+ * Crawler - Walks a site from a start URL, breadth first.
+ *
+ * Pages are fetched one at a time through a caller-supplied `fetchPage`
+ * (the browser pool, in server.js), which also returns the page's links.
+ * Links are followed up to `maxDepth` hops from the start and `maxPages`
+ * pages in total, if they pass the scope rules: same origin as the start
+ * (unless turned off), matching an `include` pattern when there are any,
+ * and matching no `exclude` pattern.
+ *
+ * Politeness: requests to one host are spaced at least `delayMs` apart (more
+ * when robots.txt asks for a longer Crawl-delay and robots are respected).
+ * With `respectRobots`, disallowed URLs are skipped and listed in `skipped`.
+ *
+ * A page that fails is recorded in `errors` and the crawl goes on. Progress,
+ * with the pages so far, is reported after every page.
+ */
+import { setTimeout as sleep } from 'timers/promises';
+import { matchWildcard } from './robots.js';
+
+const DEFAULT_MAX_DEPTH = 2;
+const MAX_DEPTH = 5;
+const DEFAULT_MAX_PAGES = 20;
+const MAX_DELAY_MS = 60000;
+const MAX_PATTERNS = 20;
+const MAX_PATTERN_LENGTH = 200;
+// URLs waiting to be crawled; links found beyond this are dropped
+const MAX_QUEUE = 10000;
+
+// Links to files no page-rendering crawl can read
+const ASSET_EXTENSIONS = /\.(png|jpe?g|gif|svg|webp|avif|bmp|ico|tiff?|css|js|mjs|map|json|xml|rss|woff2?|ttf|otf|eot|mp[34]|webm|mov|avi|pdf|zip|gz|tar|rar|7z|exe|dmg|docx?|xlsx?|pptx?)$/i;
+
+export class CrawlError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'CrawlError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function parseInteger(value, name, { min, max, fallback }) {
+  if (value === undefined || value === null || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new CrawlError(`${name} must be an integer from ${min} to ${max}`, `INVALID_${name.replace(/[A-Z]/g, c => `_${c}`).toUpperCase()}`);
+  }
+  return number;
+}
+
+const parseFlag = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value === true || String(value) === 'true');
+
+/**
+ * A glob as a matcher: `*` is any run of characters, case-insensitively.
+ * Patterns starting with "/" are matched against the path and query, others
+ * against the whole URL.
+ */
+function compilePattern(pattern) {
+  const glob = pattern.toLowerCase();
+  const matches = text => matchWildcard(glob, text.toLowerCase(), { anchored: true });
+  return pattern.startsWith('/')
+    ? url => matches(url.pathname + url.search)
+    : url => matches(url.href);
+}
+
+function parsePatterns(value, name) {
+  if (value === undefined || value === null || value === '') return [];
+  const patterns = Array.isArray(value) ? value : String(value).split(',');
+  if (patterns.some(pattern => typeof pattern !== 'string')) {
+    throw new CrawlError(`${name} must be a list of URL patterns`, 'INVALID_PATTERN');
+  }
+  const trimmed = patterns.map(pattern => pattern.trim()).filter(Boolean);
+  if (trimmed.length > MAX_PATTERNS || trimmed.some(pattern => pattern.length > MAX_PATTERN_LENGTH)) {
+    throw new CrawlError(`${name} takes up to ${MAX_PATTERNS} patterns of up to ${MAX_PATTERN_LENGTH} characters`, 'INVALID_PATTERN');
+  }
+  return trimmed;
+}
+
+/**
+ * Validate crawl parameters.
+ *
+ * @param {object} params - url, maxDepth, maxPages, include, exclude, sameOrigin,
+ *   respectRobots, delayMs
+ * @param {object} limits
+ * @param {number} limits.maxPages - the most pages one crawl may fetch
+ * @param {number} limits.minDelayMs - the least time between requests to a host
+ * @returns {{ url, maxDepth, maxPages, include, exclude, sameOrigin, respectRobots, delayMs }}
+ */
+export function parseCrawlOptions(params, { maxPages: pageLimit, minDelayMs }) {
+  const { url } = params;
+  if (!url) {
+    throw new CrawlError('URL parameter required', 'MISSING_URL');
+  }
+  return {
+    url,
+    maxDepth: parseInteger(params.maxDepth, 'maxDepth', { min: 0, max: MAX_DEPTH, fallback: DEFAULT_MAX_DEPTH }),
+    maxPages: parseInteger(params.maxPages, 'maxPages', { min: 1, max: pageLimit, fallback: Math.min(DEFAULT_MAX_PAGES, pageLimit) }),
+    include: parsePatterns(params.include, 'include'),
+    exclude: parsePatterns(params.exclude, 'exclude'),
+    sameOrigin: parseFlag(params.sameOrigin, true),
+    respectRobots: parseFlag(params.respectRobots, false),
+    delayMs: parseInteger(params.delayMs, 'delayMs', { min: minDelayMs, max: MAX_DELAY_MS, fallback: minDelayMs }),
+  };
+}
+
+// The URL without its fragment, or null for anything that isn't a web page
+function normalizeLink(href, base) {
+  let url;
+  try {
+    url = new URL(href, base);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+  if (ASSET_EXTENSIONS.test(url.pathname)) return null;
+  url.hash = '';
+  return url;
+}
+
+/**
+ * Crawl from `options.url`.
+ *
+ * @param {object} options - from parseCrawlOptions
+ * @param {object} hooks
+ * @param {function} hooks.fetchPage - async url => { url, links, ...content }; `url` is
+ *   the final URL after redirects, and the rest is copied into the page entry
+ * @param {function} [hooks.robotsFor] - async url => RobotsTxt, when respecting robots
+ * @param {function} [hooks.describeError] - error => { status, code, message } for `errors`
+ * @param {function} [hooks.onProgress] - (progress, partialResult) after every page
+ * @param {AbortSignal} [hooks.signal]
+ * @returns {Promise<{ url, complete, pagesCrawled, pages, errors, skipped, truncated? }>}
+ */
+export async function crawl(options, { fetchPage, robotsFor, describeError, onProgress, signal }) {
+  const { maxDepth, maxPages, sameOrigin, respectRobots, delayMs } = options;
+  const include = options.include.map(compilePattern);
+  const exclude = options.exclude.map(compilePattern);
+  const start = normalizeLink(options.url);
+  if (!start) {
+    throw new CrawlError('The start URL must be an http(s) page', 'INVALID_URL');
+  }
+
+  // Redirects of the start page (http -> https, www.) count as the same site
+  const origins = new Set([start.origin]);
+  const inScope = url => (!sameOrigin || origins.has(url.origin))
+    && (!include.length || include.some(matches => matches(url)))
+    && !exclude.some(matches => matches(url));
+
+  const result = { url: options.url, complete: false, pagesCrawled: 0, pages: [], errors: [], skipped: [] };
+  const queue = [{ url: start.href, depth: 0 }];
+  const seen = new Set([start.href]);
+  const lastVisit = new Map(); // host -> ms of the last request's end
+  const robots = new Map(); // origin -> Promise<RobotsTxt>
+
+  const report = () => onProgress?.({
+    pagesCrawled: result.pagesCrawled,
+    pagesQueued: queue.length,
+    errors: result.errors.length,
+    skipped: result.skipped.length,
+  }, result);
+
+  while (queue.length && result.pagesCrawled < maxPages) {
+    signal?.throwIfAborted();
+    const { url, depth } = queue.shift();
+    const { host, origin } = new URL(url);
+
+    let delay = delayMs;
+    if (respectRobots) {
+      if (!robots.has(origin)) robots.set(origin, robotsFor(url));
+      const rules = await robots.get(origin);
+      const { allowed, rule } = rules.check(url);
+      if (!allowed) {
+        result.skipped.push({ url, depth, reason: 'robots', ...(rule && { rule }) });
+        continue;
+      }
+      delay = Math.max(delay, (rules.crawlDelay() ?? 0) * 1000);
+    }
+
+    const wait = (lastVisit.get(host) ?? -Infinity) + delay - Date.now();
+    if (wait > 0) await sleep(wait, undefined, { signal });
+
+    result.pagesCrawled++;
+    let page;
+    try {
+      page = await fetchPage(url);
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason ?? err;
+      const { status, code, message } = describeError?.(err) ?? { code: err.code || 'FETCH_FAILED', message: err.message };
+      result.errors.push({ url, depth, ...(status && { status }), code, message });
+      report();
+      continue;
+    } finally {
+      lastVisit.set(host, Date.now());
+    }
+
+    const { links = [], ...content } = page;
+    const finalUrl = normalizeLink(content.url) || new URL(url);
+    seen.add(finalUrl.href);
+    if (depth === 0) origins.add(finalUrl.origin);
+    result.pages.push({ ...content, url: finalUrl.href, depth });
+
+    if (depth < maxDepth) {
+      for (const href of links) {
+        const link = normalizeLink(href, finalUrl);
+        if (!link || seen.has(link.href) || !inScope(link)) continue;
+        if (queue.length >= MAX_QUEUE) break;
+        seen.add(link.href);
+        queue.push({ url: link.href, depth: depth + 1 });
+      }
+    }
+    report();
+  }
+
+  result.complete = true;
+  // Stopped at maxPages with links still to visit
+  if (queue.length) result.truncated = true;
+  return result;
+}
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { crawl, parseCrawlOptions } from './crawler.js';
+
+const START = 'https://example.com/';
+
+// Crawl one level from a start page linking to `links`; returns the URLs visited after it
+async function crawled(links, { include, exclude }) {
+  const options = parseCrawlOptions({ url: START, maxDepth: 1, include, exclude }, { maxPages: 100, minDelayMs: 0 });
+  const result = await crawl(options, {
+    fetchPage: async url => ({ url, links: url === START ? links : [] }),
+  });
+  return result.pages.slice(1).map(page => page.url);
+}
+
+test('patterns starting with / match the whole path and query', async () => {
+  const links = ['/blog/a', '/blog/a/comments', '/blog', '/Blog/B?page=2', '/docs/blog/c'];
+  assert.deepEqual(await crawled(links, { include: '/blog/*' }), [
+    'https://example.com/blog/a',
+    'https://example.com/blog/a/comments',
+    'https://example.com/Blog/B?page=2',
+  ]);
+  assert.deepEqual(await crawled(links, { include: '/blog' }), ['https://example.com/blog']);
+});
+
+test('other patterns match the whole URL', async () => {
+  const links = ['/a.html', '/a.html?print=1', 'https://example.com/b.htm'];
+  assert.deepEqual(await crawled(links, { include: 'https://example.com/*.html' }), ['https://example.com/a.html']);
+  assert.deepEqual(await crawled(links, { include: '*.html*' }), ['https://example.com/a.html', 'https://example.com/a.html?print=1']);
+});
+
+test('exclude wins over include, and several *s match in order', async () => {
+  const links = ['/shop/de/item/1/reviews', '/shop/de/item/1', '/shop/reviews/item'];
+  assert.deepEqual(
+    await crawled(links, { include: '/shop/*', exclude: '/shop/*/item/*/reviews' }),
+    ['https://example.com/shop/de/item/1', 'https://example.com/shop/reviews/item']
+  );
+});
+
+test('pathological patterns finish quickly', async () => {
+  const started = Date.now();
+  const links = [`/${'a'.repeat(5000)}`, `/${'a'.repeat(5000)}b`];
+  assert.deepEqual(await crawled(links, { include: `/${'*a'.repeat(98)}*b` }), [`https://example.com/${'a'.repeat(5000)}b`]);
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+});
@@ -0,0 +1,402 @@
+/**
+ * Documents - Files to the markdown/text/html that /fetch produces, for
+ * /document.
+ *
+ * The type is sniffed from the bytes: %PDF is a PDF, a zip is an EPUB (its
+ * mimetype entry or META-INF/container.xml) or a Word document
+ * (word/document.xml), and anything else that decodes as text is HTML when
+ * it looks like markup or the Content-Type / file name says so, else plain
+ * text. Every type is first turned into clean HTML:
+ *
+ *   pdf   - extractPdf's paragraphs, with its headings and tables
+ *   docx  - mammoth (Word heading styles become <h1>..<h6>)
+ *   epub  - the spine's chapters in reading order
+ *   html  - Readability, as for /fetch, falling back to the whole body
+ *   text  - kept as written
+ *
+ * and that HTML goes through the same markdown conversion as /fetch.
+ */
+import JSZip from 'jszip';
+import mammoth from 'mammoth';
+import path from 'path';
+import { JSDOM } from 'jsdom';
+import { Readability } from '@mozilla/readability';
+import { htmlToMarkdown } from './markdown.js';
+import { extractPdf } from './pdf-extract.js';
+
+export const DOCUMENT_TYPES = ['pdf', 'docx', 'epub', 'html', 'text'];
+
+// Uncompressed size a DOCX or EPUB may expand to, against zip bombs
+const MAX_UNZIPPED_BYTES = 200 * 1024 * 1024;
+const MAX_CHAPTERS = 1000;
+const MAX_OUTLINE_DEPTH = 10;
+const EXCERPT_CHARS = 200;
+// How far into a file to look for NUL bytes (binary) or leading markup (HTML)
+const SNIFF_BYTES = 8192;
+
+// Elements whose text is a paragraph of the text format
+const TEXT_BLOCKS = 'p, li, dt, dd, h1, h2, h3, h4, h5, h6, blockquote, pre, td, th, figcaption';
+
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+const HTML_EXTENSIONS = /\.(x?html?|xht)$/i;
+const LOOKS_LIKE_HTML = /^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*)*<(?:!doctype\s+html|html|head|body)\b/i;
+
+export class DocumentError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const escapeHtml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const squash = value => String(value || '').replace(/\s+/g, ' ').trim();
+
+async function openZip(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new DocumentError(`Could not read the archive: ${err.message}`, 'INVALID_DOCUMENT', 422);
+  }
+  // Declared sizes, checked before anything is inflated
+  const entries = Object.values(zip.files).filter(file => !file.dir);
+  const total = entries.reduce((sum, file) => sum + (file._data?.uncompressedSize || 0), 0);
+  if (total > MAX_UNZIPPED_BYTES) {
+    throw new DocumentError(`The archive expands to more than ${MAX_UNZIPPED_BYTES} bytes`, 'DOCUMENT_TOO_LARGE', 413);
+  }
+  // ...and then held to: mammoth unzips the DOCX again on its own, so every
+  // entry is inflated once here, keeping nothing, to prove its declared size
+  for (const file of entries) {
+    await checkInflatedSize(file, file._data?.uncompressedSize || 0);
+  }
+  return zip;
+}
+
+// Inflate a zip entry, discarding the bytes, and reject as soon as it passes `limit`
+function checkInflatedSize(file, limit) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const stream = file.internalStream('uint8array')
+      .on('data', chunk => {
+        size += chunk.length;
+        if (size > limit) {
+          stream.pause();
+          reject(new DocumentError(`Archive entry ${file.name} expands past its declared size`, 'INVALID_DOCUMENT', 422));
+        }
+      })
+      .on('error', err => reject(new DocumentError(`Could not read the archive: ${err.message}`, 'INVALID_DOCUMENT', 422)))
+      .on('end', resolve);
+    stream.resume();
+  });
+}
+
+function isBinary(buffer) {
+  const head = buffer.subarray(0, SNIFF_BYTES);
+  // UTF-16 text is full of NULs; its BOM says so
+  if ((head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff)) return false;
+  return head.includes(0);
+}
+
+function decodeText(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) return new TextDecoder('utf-16le').decode(buffer);
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) return new TextDecoder('utf-16be').decode(buffer);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    // Not UTF-8; legacy files are most often Windows-1252
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+// Paragraphs of the converted HTML; unlike content-diff's textBlocks, not
+// capped, since a book runs to far more blocks than a page
+function blockText(root) {
+  const text = [...root.querySelectorAll(TEXT_BLOCKS)]
+    .filter(block => !block.querySelector(TEXT_BLOCKS))
+    .map(block => squash(block.textContent))
+    .filter(Boolean)
+    .join('\n\n');
+  return text || squash(root.textContent);
+}
+
+/**
+ * The document's type, from its bytes, with the Content-Type and file name
+ * as hints for text formats. Zips are opened to tell EPUB from DOCX.
+ *
+ * @returns {Promise<{ type: string, zip?: JSZip }>}
+ */
+export async function detectType(buffer, { contentType, filename } = {}) {
+  if (buffer.subarray(0, 1024).includes('%PDF-')) return { type: 'pdf' };
+
+  if (buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) {
+    const zip = await openZip(buffer);
+    const mimetype = zip.file('mimetype') ? (await zip.file('mimetype').async('string')).trim() : '';
+    if (mimetype === 'application/epub+zip' || zip.file('META-INF/container.xml')) return { type: 'epub', zip };
+    if (zip.file('word/document.xml')) return { type: 'docx', zip };
+    const kind = zip.file('xl/workbook.xml') ? 'spreadsheet' : zip.file('ppt/presentation.xml') ? 'presentation' : 'zip archive';
+    throw new DocumentError(`Unsupported document: a ${kind}. Send a PDF, DOCX, EPUB, HTML or text file`, 'UNSUPPORTED_DOCUMENT', 415);
+  }
+
+  if (isBinary(buffer)) {
+    throw new DocumentError('Unsupported document: binary data that is not a PDF, DOCX or EPUB', 'UNSUPPORTED_DOCUMENT', 415);
+  }
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  const looksLikeHtml = LOOKS_LIKE_HTML.test(decodeText(buffer.subarray(0, SNIFF_BYTES)));
+  if (HTML_TYPES.includes(mime) || HTML_EXTENSIONS.test(filename || '') || looksLikeHtml) return { type: 'html' };
+  return { type: 'text' };
+}
+
+/**
+ * PDF paragraphs as HTML. Paragraphs that are exactly a detected heading or
+ * table become <hN> or <table>.
+ */
+function pdfHtml(data) {
+  const headings = new Map(data.headings.map(heading => [`${heading.page} ${squash(heading.text)}`, heading.level]));
+  const tables = new Map(data.tables.map(table => [
+    `${table.page} ${squash(table.rows.map(row => row.filter(Boolean).join(' ')).join(' '))}`,
+    table,
+  ]));
+
+  const parts = [];
+  for (const { page, text } of data.byPage) {
+    for (const paragraph of text.split(/\n{2,}/)) {
+      const key = `${page} ${squash(paragraph)}`;
+      if (!squash(paragraph)) continue;
+      if (headings.has(key)) {
+        const level = headings.get(key);
+        parts.push(`<h${level}>${escapeHtml(squash(paragraph))}</h${level}>`);
+      } else if (tables.has(key)) {
+        const [head, ...rows] = tables.get(key).rows;
+        const cells = (row, tag) => row.map(cell => `<${tag}>${escapeHtml(cell)}</${tag}>`).join('');
+        parts.push(`<table><thead><tr>${cells(head, 'th')}</tr></thead><tbody>${rows.map(row => `<tr>${cells(row, 'td')}</tr>`).join('')}</tbody></table>`);
+      } else {
+        parts.push(`<p>${escapeHtml(squash(paragraph))}</p>`);
+      }
+    }
+  }
+  return parts.join('\n');
+}
+
+async function convertPdf(buffer, { pages, password }) {
+  const data = await extractPdf(buffer, { pages, password });
+  const info = data.info || {};
+  return {
+    title: info.Title || data.headings.find(heading => heading.level === 1)?.text || null,
+    byline: info.Author || null,
+    html: pdfHtml(data),
+    text: data.text,
+    metadata: Object.fromEntries(
+      ['Title', 'Author', 'Subject', 'Keywords', 'Creator', 'Producer', 'CreationDate', 'ModDate']
+        .filter(key => info[key])
+        .map(key => [key.charAt(0).toLowerCase() + key.slice(1), info[key]])
+    ),
+    structure: { pages: data.pages, outline: data.outline, ...(data.truncated && { truncated: true }) },
+  };
+}
+
+function parseXml(xml) {
+  return new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+}
+
+// Text of the first element with one of these qualified names (dc:title, ...)
+function xmlText(document, ...names) {
+  for (const name of names) {
+    const value = squash(document.getElementsByTagName(name)[0]?.textContent);
+    if (value) return value;
+  }
+  return null;
+}
+
+async function convertDocx(buffer, zip) {
+  const { value: html } = await mammoth.convertToHtml({ buffer });
+
+  const core = zip.file('docProps/core.xml');
+  const props = core ? parseXml(await core.async('string')) : null;
+  const metadata = props ? Object.fromEntries(Object.entries({
+    title: xmlText(props, 'dc:title'),
+    author: xmlText(props, 'dc:creator'),
+    subject: xmlText(props, 'dc:subject'),
+    description: xmlText(props, 'dc:description'),
+    keywords: xmlText(props, 'cp:keywords'),
+    lastModifiedBy: xmlText(props, 'cp:lastModifiedBy'),
+    created: xmlText(props, 'dcterms:created'),
+    modified: xmlText(props, 'dcterms:modified'),
+  }).filter(([, value]) => value)) : {};
+
+  return { title: metadata.title || null, byline: metadata.author || null, html, metadata, structure: {} };
+}
+
+// Zip entry for an href relative to another entry
+const resolveEntry = (from, href) => path.posix.normalize(path.posix.join(path.posix.dirname(from), decodeURIComponent(href.split('#')[0])));
+
+// EPUB 3 nav document, or the EPUB 2 NCX
+async function epubOutline(zip, opf, opfPath) {
+  const toOutline = (entries, depth) => entries.slice(0, MAX_CHAPTERS).map(entry => ({
+    title: entry.title,
+    ...(entry.children.length && depth < MAX_OUTLINE_DEPTH && { items: toOutline(entry.children, depth + 1) }),
+  }));
+
+  const nav = [...opf.getElementsByTagName('item')].find(item => /\bnav\b/.test(item.getAttribute('properties') || ''));
+  const navFile = nav && zip.file(resolveEntry(opfPath, nav.getAttribute('href')));
+  if (navFile) {
+    const { document } = new JSDOM(await navFile.async('string')).window;
+    const toc = [...document.querySelectorAll('nav')].find(el => /\btoc\b/.test(el.getAttribute('epub:type') || '')) || document.querySelector('nav');
+    const walk = list => [...(list?.children || [])].filter(li => li.tagName === 'LI').map(li => ({
+      title: squash(li.querySelector('a, span')?.textContent),
+      children: walk(li.querySelector(':scope > ol, :scope > ul')),
+    }));
+    if (toc) return toOutline(walk(toc.querySelector('ol, ul')), 1);
+  }
+
+  const ncx = [...opf.getElementsByTagName('item')].find(item => item.getAttribute('media-type') === 'application/x-dtbncx+xml');
+  const ncxFile = ncx && zip.file(resolveEntry(opfPath, ncx.getAttribute('href')));
+  if (ncxFile) {
+    const document = parseXml(await ncxFile.async('string'));
+    const walk = parent => [...parent.children].filter(el => el.localName === 'navPoint').map(point => ({
+      title: squash([...point.children].find(el => el.localName === 'navLabel')?.textContent),
+      children: walk(point),
+    }));
+    const map = document.getElementsByTagName('navMap')[0];
+    if (map) return toOutline(walk(map), 1);
+  }
+  return [];
+}
+
+async function convertEpub(zip) {
+  const container = zip.file('META-INF/container.xml');
+  const rootfile = container && parseXml(await container.async('string')).getElementsByTagName('rootfile')[0];
+  const opfPath = rootfile?.getAttribute('full-path');
+  const opfFile = opfPath && zip.file(opfPath);
+  if (!opfFile) {
+    throw new DocumentError('EPUB without a package document (META-INF/container.xml)', 'INVALID_DOCUMENT', 422);
+  }
+  const opf = parseXml(await opfFile.async('string'));
+
+  const manifest = new Map([...opf.getElementsByTagName('item')].map(item => [item.getAttribute('id'), item]));
+  const spine = [...opf.getElementsByTagName('itemref')].slice(0, MAX_CHAPTERS);
+
+  const chapters = [];
+  for (const ref of spine) {
+    const item = manifest.get(ref.getAttribute('idref'));
+    const file = item && zip.file(resolveEntry(opfPath, item.getAttribute('href')));
+    if (!file) continue;
+    const { document } = new JSDOM(await file.async('string')).window;
+    // Images and links point into the archive, where nobody can follow them
+    document.querySelectorAll('script, style, img, svg').forEach(el => el.remove());
+    document.querySelectorAll('a[href]').forEach(a => a.removeAttribute('href'));
+    if (document.body?.textContent.trim()) chapters.push(`<section>${document.body.innerHTML}</section>`);
+  }
+
+  const creators = [...opf.getElementsByTagName('dc:creator')].map(el => squash(el.textContent)).filter(Boolean);
+  const metadata = Object.fromEntries(Object.entries({
+    title: xmlText(opf, 'dc:title'),
+    authors: creators.length ? creators : null,
+    language: xmlText(opf, 'dc:language'),
+    publisher: xmlText(opf, 'dc:publisher'),
+    date: xmlText(opf, 'dc:date'),
+    identifier: xmlText(opf, 'dc:identifier'),
+    description: xmlText(opf, 'dc:description'),
+  }).filter(([, value]) => value));
+
+  return {
+    title: metadata.title || null,
+    byline: creators.join(', ') || null,
+    html: chapters.join('\n'),
+    metadata,
+    structure: { chapters: chapters.length, outline: await epubOutline(zip, opf, opfPath) },
+  };
+}
+
+function convertHtml(buffer, { contentType, url }) {
+  const dom = new JSDOM(buffer, { ...(url && { url }), contentType: HTML_TYPES.includes((contentType || '').split(';')[0].trim()) ? contentType : 'text/html' });
+  const { document } = dom.window;
+  const meta = name => squash(document.querySelector(`meta[name="${name}" i], meta[property="og:${name}" i]`)?.getAttribute('content')) || null;
+  const article = new Readability(document.cloneNode(true)).parse();
+
+  return {
+    title: article?.title || squash(document.title) || null,
+    byline: article?.byline || meta('author'),
+    excerpt: article?.excerpt || meta('description'),
+    html: article?.content || document.body?.innerHTML || '',
+    metadata: Object.fromEntries(Object.entries({
+      title: squash(document.title),
+      description: meta('description'),
+      author: meta('author'),
+      language: document.documentElement.getAttribute('lang'),
+      siteName: article?.siteName,
+    }).filter(([, value]) => value)),
+    structure: {},
+  };
+}
+
+function convertText(buffer) {
+  const text = decodeText(buffer).replace(/^﻿/, '').replace(/\r\n?/g, '\n').trim();
+  const html = text.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`).join('\n');
+  // Plain text (and markdown) is already what the text and markdown formats want
+  return { title: null, byline: null, html, text, markdown: text, metadata: {}, structure: {} };
+}
+
+const excerptOf = text => (text.length > EXCERPT_CHARS ? `${text.slice(0, EXCERPT_CHARS).replace(/\s+\S*$/, '')}…` : text) || null;
+
+/**
+ * Convert a document to markdown, text or HTML.
+ *
+ * @param {Buffer} buffer
+ * @param {object} options
+ * @param {string} [options.format] - markdown (default), text or html
+ * @param {string} [options.type] - one of DOCUMENT_TYPES; sniffed if omitted
+ * @param {string} [options.contentType] - from the upload or download, a hint for text formats
+ * @param {string} [options.filename] - likewise
+ * @param {string} [options.url] - where it came from; resolves links in HTML
+ * @param {Array} [options.pages] - PDF only, from parsePageRange
+ * @param {string} [options.password] - PDF only
+ * @returns {Promise<{ type, title, byline, content, excerpt, length, headings, metadata, ... }>}
+ */
+export async function convertDocument(buffer, { format = 'markdown', type, contentType, filename, url, pages, password } = {}) {
+  let zip;
+  if (type) {
+    if (type === 'docx' || type === 'epub') zip = await openZip(buffer);
+  } else {
+    ({ type, zip } = await detectType(buffer, { contentType, filename }));
+  }
+
+  let doc;
+  try {
+    doc = type === 'pdf' ? await convertPdf(buffer, { pages, password })
+      : type === 'docx' ? await convertDocx(buffer, zip)
+      : type === 'epub' ? await convertEpub(zip)
+      : type === 'html' ? convertHtml(buffer, { contentType, url })
+      : convertText(buffer);
+  } catch (err) {
+    if (err.statusCode) throw err;
+    throw new DocumentError(`Could not read the ${type} document: ${err.message}`, 'INVALID_DOCUMENT', 422);
+  }
+
+  const { document } = new JSDOM(`<!DOCTYPE html><body>${doc.html}</body>`).window;
+  const text = doc.text ?? blockText(document.body);
+  const content = format === 'html' ? doc.html
+    : format === 'text' ? text
+    : doc.markdown ?? htmlToMarkdown(doc.html, url);
+
+  return {
+    type,
+    title: doc.title,
+    byline: doc.byline,
+    format,
+    content,
+    excerpt: doc.excerpt || excerptOf(squash(text)),
+    length: text.length,
+    headings: [...document.querySelectorAll('h1, h2, h3, h4, h5, h6')]
+      .map(heading => ({ level: Number(heading.tagName[1]), text: squash(heading.textContent) }))
+      .filter(heading => heading.text),
+    metadata: doc.metadata,
+    ...doc.structure,
+  };
+}
@@ -0,0 +1,315 @@
+/**
+ * JobQueue - Runs tool calls asynchronously, outside the request/response cycle.
+ *
+ * A job wraps one runner call (fetch, screenshot, compare, ...). Jobs wait in
+ * this queue until one of `concurrency` slots is free, then run against the
+ * browser pool like any request would. Finished jobs keep their result for
+ * `retention` ms; an optional webhook receives the outcome when a job ends.
+ *
+ * Long runners (crawls) can report progress while they run: a small summary
+ * shown with the job's status, and the partial result so far, which stays
+ * readable if the job is cancelled or fails.
+ *
+ * Job: { id, type, params, ownerId, keyId, status, createdAt, startedAt,
+ *        finishedAt, expiresAt, result, error, webhook, progress, partial }
+ *
+ * Config (env): JOB_CONCURRENCY, JOB_RETENTION_SECONDS, JOB_MAX_PENDING
+ */
+import crypto from 'crypto';
+import { PoolError } from './browser-pool.js';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled',
+};
+
+const FINISHED = [JOB_STATUS.COMPLETED, JOB_STATUS.FAILED, JOB_STATUS.CANCELLED];
+
+// How long to wait before re-dispatching a job the browser pool had no room for
+const POOL_FULL_RETRY_MS = 1000;
+
+export class JobError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'JobError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+export function isFinished(job) {
+  return FINISHED.includes(job.status);
+}
+
+/**
+ * A runner result ({ body, contentType }) as a JSON value: JSON bodies are
+ * parsed, anything binary (e.g. screenshots) becomes { contentType, base64 }.
+ */
+export function encodeResult({ body, contentType }) {
+  return contentType.startsWith('application/json')
+    ? JSON.parse(body.toString())
+    : { contentType, base64: body.toString('base64') };
+}
+
+export class JobQueue {
+  /**
+   * @param {object} options
+   * @param {object} options.runners - type -> async (params, { signal, tag, keyId, progress }) =>
+   *   { body, contentType }; `progress(summary, partialResult)` may be called while running
+   * @param {BrowserPool} options.pool - for queue positions and wait estimates
+   * @param {function} options.describeError - error -> { statusCode, body }
+   * @param {WebhookSender} [options.webhooks]
+   * @param {function} [options.onFinish] - called with each job that completes, fails or is cancelled
+   */
+  constructor({ runners, pool, describeError, webhooks = null, onFinish = null, ...options }) {
+    this.runners = runners;
+    this.pool = pool;
+    this.describeError = describeError;
+    this.webhooks = webhooks;
+    this.onFinish = onFinish;
+
+    this.concurrency = parseInt(options.concurrency || process.env.JOB_CONCURRENCY || pool.maxConcurrent);
+    this.retention = parseInt(options.retentionSeconds || process.env.JOB_RETENTION_SECONDS || 3600) * 1000;
+    this.maxPending = parseInt(options.maxPending || process.env.JOB_MAX_PENDING || 20);
+
+    this.jobs = new Map(); // id -> job
+    this.waiting = []; // queued job ids, in order
+    this.running = new Map(); // id -> AbortController
+    this.retryTimer = null;
+    this.shuttingDown = false;
+
+    this.sweeper = setInterval(() => this._sweep(), 60 * 1000);
+    this.sweeper.unref();
+  }
+
+  get types() {
+    return Object.keys(this.runners);
+  }
+
+  /**
+   * Queue a job. Rejects with JobError when the owner already has
+   * maxPending unfinished jobs.
+   */
+  submit({ type, params = {}, ownerId, keyId, webhookUrl = null }) {
+    if (this.shuttingDown) {
+      throw new JobError('Server is shutting down', 'SHUTTING_DOWN', 503);
+    }
+    if (!this.runners[type]) {
+      throw new JobError(`Invalid job type. Use one of: ${this.types.join(', ')}`, 'INVALID_JOB_TYPE', 400);
+    }
+
+    const pending = [...this.jobs.values()].filter(job => job.ownerId === ownerId && !isFinished(job)).length;
+    if (pending >= this.maxPending) {
+      throw new JobError(`Too many unfinished jobs (max ${this.maxPending}). Wait for some to finish.`, 'TOO_MANY_JOBS', 429);
+    }
+
+    const job = {
+      id: `job_${crypto.randomBytes(8).toString('hex')}`,
+      type,
+      params,
+      ownerId,
+      keyId,
+      status: JOB_STATUS.QUEUED,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      expiresAt: null,
+      result: null,
+      error: null,
+      webhook: webhookUrl ? { url: webhookUrl, status: 'pending' } : null,
+      progress: null,
+      partial: null,
+    };
+    this.jobs.set(job.id, job);
+    this.waiting.push(job.id);
+    this._pump();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list(ownerId) {
+    return [...this.jobs.values()].filter(job => !ownerId || job.ownerId === ownerId);
+  }
+
+  /**
+   * Cancel a queued or running job. A running job's browser page is closed.
+   */
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    if (isFinished(job)) {
+      throw new JobError(`Job is already ${job.status}`, 'JOB_FINISHED', 409);
+    }
+
+    this.waiting = this.waiting.filter(waitingId => waitingId !== id);
+    this.running.get(id)?.abort(new JobError('Job cancelled', 'JOB_CANCELLED', 409));
+    this._finish(job, JOB_STATUS.CANCELLED);
+    return job;
+  }
+
+  /**
+   * Remove a finished job and its result.
+   */
+  remove(id) {
+    const job = this.jobs.get(id);
+    if (!job) return false;
+    if (!isFinished(job)) {
+      throw new JobError('Cancel the job before deleting it', 'JOB_NOT_FINISHED', 409);
+    }
+    this.jobs.delete(id);
+    return true;
+  }
+
+  /**
+   * Where a job stands in line. Queued jobs wait behind everything already in
+   * the browser pool's queue; running jobs may still be waiting for a page.
+   */
+  queueInfo(job) {
+    let position = null;
+    if (job.status === JOB_STATUS.QUEUED) {
+      position = this.pool.queue.length + this.waiting.indexOf(job.id) + 1;
+    } else if (job.status === JOB_STATUS.RUNNING) {
+      position = this.pool.position(job.id);
+    }
+    return {
+      position,
+      estimatedWaitMs: position ? this.pool.estimateWait(position) : 0,
+    };
+  }
+
+  /**
+   * Public view of a job — never includes the result body or partial result.
+   */
+  describe(job) {
+    const { result, partial, ownerId, ...rest } = job;
+    return {
+      ...rest,
+      ...(isFinished(job) ? {} : { queue: this.queueInfo(job) }),
+      ...(result ? { resultType: result.contentType, resultBytes: result.body.length } : {}),
+    };
+  }
+
+  get stats() {
+    return {
+      queued: this.waiting.length,
+      running: this.running.size,
+      concurrency: this.concurrency,
+      retained: this.jobs.size,
+    };
+  }
+
+  _pump() {
+    while (!this.shuttingDown && !this.retryTimer && this.running.size < this.concurrency && this.waiting.length > 0) {
+      this._run(this.jobs.get(this.waiting.shift()));
+    }
+  }
+
+  async _run(job) {
+    const controller = new AbortController();
+    this.running.set(job.id, controller);
+    job.status = JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const progress = (summary, partial) => {
+        if (job.status !== JOB_STATUS.RUNNING) return;
+        job.progress = summary;
+        job.partial = partial;
+      };
+      const result = await this.runners[job.type](job.params, { signal: controller.signal, tag: job.id, keyId: job.keyId, progress });
+      if (job.status !== JOB_STATUS.RUNNING) return; // cancelled meanwhile
+      job.result = { body: result.body, contentType: result.contentType };
+      job.partial = null; // superseded by the result
+      this._finish(job, JOB_STATUS.COMPLETED);
+    } catch (err) {
+      if (job.status !== JOB_STATUS.RUNNING) return;
+
+      // The pool's own queue is full of synchronous requests; wait our turn
+      if (err instanceof PoolError && !this.pool.shuttingDown) {
+        job.status = JOB_STATUS.QUEUED;
+        job.startedAt = null;
+        job.progress = null;
+        job.partial = null;
+        this.waiting.unshift(job.id);
+        this._retryLater();
+        return;
+      }
+
+      const { statusCode, body } = this.describeError(err);
+      job.error = { statusCode, ...body };
+      this._finish(job, JOB_STATUS.FAILED);
+    } finally {
+      this.running.delete(job.id);
+      this._pump();
+    }
+  }
+
+  _retryLater() {
+    if (this.retryTimer) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this._pump();
+    }, POOL_FULL_RETRY_MS);
+  }
+
+  _finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    job.expiresAt = new Date(Date.now() + this.retention).toISOString();
+
+    if (this.onFinish) {
+      try {
+        this.onFinish(job);
+      } catch (err) {
+        console.error(`[Jobs] onFinish failed for ${job.id}:`, err.message);
+      }
+    }
+    if (job.webhook) {
+      this._notify(job);
+    }
+  }
+
+  /**
+   * Send the outcome, including the result, to the job's webhook.
+   */
+  async _notify(job) {
+    const payload = {
+      event: `job.${job.status}`,
+      job: this.describe(job),
+    };
+    if (job.result) {
+      payload.result = encodeResult(job.result);
+    }
+
+    job.webhook.status = 'sending';
+    Object.assign(job.webhook, await this.webhooks.send(job.webhook.url, payload));
+  }
+
+  // Drop finished jobs whose retention has passed
+  _sweep() {
+    const now = Date.now();
+    for (const [id, job] of this.jobs) {
+      if (job.expiresAt && Date.parse(job.expiresAt) <= now) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * Stop accepting jobs and cancel everything unfinished.
+   */
+  shutdown() {
+    this.shuttingDown = true;
+    clearInterval(this.sweeper);
+    clearTimeout(this.retryTimer);
+    for (const job of this.jobs.values()) {
+      if (!isFinished(job)) this.cancel(job.id);
+    }
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Markdown - Converts Readability HTML output into GitHub-flavored markdown.
+ * Handles headings, nested lists, tables, fenced code blocks with language hints,
+ * images, and resolves every link/image against the source page URL.
+ */
+import TurndownService from 'turndown';
+import turndownPluginGfm from 'turndown-plugin-gfm';
+import { JSDOM } from 'jsdom';
+
+const { strikethrough, taskListItems } = turndownPluginGfm;
+
+const LANGUAGE_PATTERNS = [
+  /(?:^|\s)lang(?:uage)?-([\w#+.-]+)/i,
+  /(?:^|\s)highlight-(?:text|source)-([\w#+.-]+)/i,
+  /(?:^|\s)brush:\s*([\w#+.-]+)/i,
+];
+
+function detectLanguage(node) {
+  const candidates = [node, node.querySelector('code')].filter(Boolean);
+  for (const el of candidates) {
+    const dataLang = el.getAttribute('data-lang') || el.getAttribute('data-language');
+    if (dataLang) return dataLang.trim();
+    const className = el.getAttribute('class') || '';
+    for (const pattern of LANGUAGE_PATTERNS) {
+      const match = className.match(pattern);
+      if (match) return match[1];
+    }
+  }
+  // Syntax highlighters often put the language on a wrapping element
+  const wrapper = node.parentNode;
+  if (wrapper && wrapper.nodeType === 1) {
+    const className = wrapper.getAttribute('class') || '';
+    for (const pattern of LANGUAGE_PATTERNS) {
+      const match = className.match(pattern);
+      if (match) return match[1];
+    }
+  }
+  return '';
+}
+
+function fenceFor(code) {
+  const runs = code.match(/`{3,}/g) || [];
+  const longest = runs.reduce((max, run) => Math.max(max, run.length), 2);
+  return '`'.repeat(longest + 1);
+}
+
+function escapeCell(content) {
+  return content
+    .trim()
+    .replace(/ *\n+ */g, '<br>')
+    .replace(/\|/g, '\\|');
+}
+
+function isFirstRow(row) {
+  const table = row.closest('table');
+  return Boolean(table) && table.rows[0] === row;
+}
+
+function columnCount(row) {
+  return [...row.cells].reduce((sum, cell) => sum + (parseInt(cell.getAttribute('colspan')) || 1), 0);
+}
+
+/**
+ * Tables are always emitted as GFM pipe tables. GFM requires a header row, so
+ * the first row is promoted when the source table doesn't mark one. Colspans are
+ * padded with empty cells so columns stay aligned.
+ */
+function tables(turndownService) {
+  turndownService.addRule('tableCell', {
+    filter: ['th', 'td'],
+    replacement(content, node) {
+      const span = parseInt(node.getAttribute('colspan')) || 1;
+      const prefix = node.parentNode.cells[0] === node ? '| ' : ' ';
+      return prefix + escapeCell(content) + ' |' + ' |'.repeat(span - 1);
+    },
+  });
+
+  turndownService.addRule('tableRow', {
+    filter: 'tr',
+    replacement(content, node) {
+      if (!isFirstRow(node)) return '\n' + content;
+      const separator = '|' + ' --- |'.repeat(columnCount(node));
+      return '\n' + content + '\n' + separator;
+    },
+  });
+
+  turndownService.addRule('tableSection', {
+    filter: ['thead', 'tbody', 'tfoot'],
+    replacement: content => content,
+  });
+
+  turndownService.addRule('tableCaption', {
+    filter: 'caption',
+    replacement: () => '',
+  });
+
+  turndownService.addRule('table', {
+    filter: node => node.nodeName === 'TABLE' && node.rows.length > 0,
+    replacement(content, node) {
+      const caption = node.caption ? node.caption.textContent.trim() : '';
+      const body = content.replace(/\n+/g, '\n').trim();
+      return '\n\n' + (caption ? `**${caption}**\n\n` : '') + body + '\n\n';
+    },
+  });
+}
+
+function codeBlocks(turndownService) {
+  turndownService.addRule('fencedCodeBlock', {
+    filter: 'pre',
+    replacement(content, node, options) {
+      const code = node.textContent.replace(/\n$/, '');
+      const fence = fenceFor(code);
+      return `\n\n${fence}${detectLanguage(node)}\n${code}\n${fence}\n\n`;
+    },
+  });
+}
+
+/**
+ * Turndown pads list markers to four columns; GFM only needs the marker width,
+ * which keeps nested lists readable.
+ */
+function lists(turndownService) {
+  turndownService.addRule('listItem', {
+    filter: 'li',
+    replacement(content, node, options) {
+      const parent = node.parentNode;
+      let prefix = options.bulletListMarker + ' ';
+      if (parent.nodeName === 'OL') {
+        const start = parseInt(parent.getAttribute('start')) || 1;
+        prefix = `${start + [...parent.children].indexOf(node)}. `;
+      }
+      const indent = ' '.repeat(prefix.length);
+      const body = content
+        .replace(/^\n+/, '')
+        .replace(/\n+$/, '\n')
+        .replace(/\n(?!$)/g, '\n' + indent);
+      return prefix + body + (node.nextSibling && !body.endsWith('\n') ? '\n' : '');
+    },
+  });
+}
+
+function createService() {
+  const service = new TurndownService({
+    headingStyle: 'atx',
+    hr: '---',
+    bulletListMarker: '-',
+    codeBlockStyle: 'fenced',
+    emDelimiter: '_',
+    strongDelimiter: '**',
+    linkStyle: 'inlined',
+  });
+  service.use([strikethrough, taskListItems, lists, tables, codeBlocks]);
+  service.remove(['script', 'style', 'noscript', 'iframe', 'form', 'button']);
+  return service;
+}
+
+const service = createService();
+
+/**
+ * Rewrite href/src attributes to absolute URLs. Lazy-loaded images that only
+ * carry a data-src get it promoted to src so the image survives conversion.
+ */
+function absolutize(document, baseUrl) {
+  for (const img of document.querySelectorAll('img')) {
+    const src = img.getAttribute('src');
+    const lazySrc = img.getAttribute('data-src') || img.getAttribute('data-original');
+    if ((!src || src.startsWith('data:')) && lazySrc) {
+      img.setAttribute('src', lazySrc);
+    }
+    if (img.getAttribute('src') && baseUrl) img.setAttribute('src', img.src);
+  }
+
+  for (const a of document.querySelectorAll('a[href]')) {
+    const href = a.getAttribute('href').trim();
+    if (/^javascript:/i.test(href)) {
+      a.removeAttribute('href');
+    } else if (baseUrl && !href.startsWith('#')) {
+      a.setAttribute('href', a.href);
+    }
+  }
+}
+
+/**
+ * Convert an HTML fragment to GitHub-flavored markdown.
+ * @param {string} html - HTML fragment (typically Readability's article.content)
+ * @param {string} [baseUrl] - Page URL used to resolve relative links and images
+ * @returns {string}
+ */
+export function htmlToMarkdown(html, baseUrl) {
+  const dom = new JSDOM(`<!DOCTYPE html><body>${html || ''}</body>`, baseUrl ? { url: baseUrl } : {});
+  const { document } = dom.window;
+  absolutize(document, baseUrl);
+
+  const markdown = service.turndown(document.body);
+  return markdown.replace(/\n{3,}/g, '\n\n').trim();
+}
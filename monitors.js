@@ -0,0 +1,423 @@
+/**
+ * MonitorScheduler - Re-checks pages on a schedule and reports changes.
+ *
+ * A monitor watches one URL. Every `intervalSeconds` the page is rendered
+ * through the browser pool, reduced to text blocks (the Readability article,
+ * the elements matching a CSS selector, or the whole page) and hashed. When
+ * the hash differs from the stored snapshot, the snapshot is replaced and a
+ * signed webhook carrying the diff is sent.
+ *
+ * Monitors, snapshots and run history live in the store. The schedule is just
+ * each monitor's nextRunAt, so after a restart overdue checks run on the first
+ * tick.
+ *
+ * Monitor: { id, ownerId, keyId, label, url, intervalSeconds, scope, selector,
+ *            webhookUrl, webhookSecret, status, pausedReason, createdAt,
+ *            updatedAt, nextRunAt, lastRunAt, lastChangedAt, lastResult,
+ *            runCount, snapshot }
+ * Run: { id, monitorId, status, startedAt, finishedAt, durationMs, hash,
+ *        error, diff, webhook }
+ *
+ * Config (env): MONITOR_TICK_SECONDS, MONITOR_CONCURRENCY,
+ * MONITOR_MIN_INTERVAL_SECONDS, MONITOR_MAX_PER_OWNER, MONITOR_HISTORY_LIMIT
+ */
+import crypto from 'crypto';
+import { JSDOM } from 'jsdom';
+import { diffContent } from './content-diff.js';
+import { generateWebhookSecret } from './webhooks.js';
+
+export const MONITOR_STATUS = {
+  ACTIVE: 'active',
+  PAUSED: 'paused',
+};
+
+export const RUN_STATUS = {
+  BASELINE: 'baseline', // first snapshot taken
+  UNCHANGED: 'unchanged',
+  CHANGED: 'changed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped', // not run: quota used up or key no longer usable
+};
+
+// What part of the page is compared
+export const MONITOR_SCOPES = ['readability', 'selector', 'page'];
+
+const MAX_INTERVAL_SECONDS = 7 * 24 * 3600;
+const MAX_LABEL_LENGTH = 100;
+// Hunks kept in a run record and sent in a webhook
+const MAX_DIFF_HUNKS = 100;
+
+// Only used to reject selectors that don't parse
+const selectorProbe = new JSDOM('').window.document;
+
+export class MonitorError extends Error {
+  constructor(message, code, statusCode) {
+    super(message);
+    this.name = 'MonitorError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function hashBlocks(blocks) {
+  return crypto.createHash('sha256').update(blocks.map(block => block.text).join('\n')).digest('hex');
+}
+
+export class MonitorScheduler {
+  /**
+   * @param {object} options
+   * @param {object} options.store - see storage.js
+   * @param {function} options.check - async (monitor, { signal, tag }) => { title, blocks }
+   * @param {function} options.authorize - async monitor => { allowed, keyId } or
+   *   { allowed: false, pause, code, message }
+   * @param {function} options.describeError - error -> { statusCode, body }
+   * @param {WebhookSender} options.webhooks
+   * @param {function} [options.onRun] - called with (monitor, run) for every run that used the browser
+   */
+  constructor({ store, check, authorize, describeError, webhooks, onRun = null, ...options }) {
+    this.store = store;
+    this.check = check;
+    this.authorize = authorize;
+    this.describeError = describeError;
+    this.webhooks = webhooks;
+    this.onRun = onRun;
+
+    this.tickSeconds = parseInt(options.tickSeconds || process.env.MONITOR_TICK_SECONDS || 30);
+    this.concurrency = parseInt(options.concurrency || process.env.MONITOR_CONCURRENCY || 1);
+    this.minInterval = parseInt(options.minIntervalSeconds || process.env.MONITOR_MIN_INTERVAL_SECONDS || 300);
+    this.maxPerOwner = parseInt(options.maxPerOwner || process.env.MONITOR_MAX_PER_OWNER || 20);
+    this.historyLimit = parseInt(options.historyLimit || process.env.MONITOR_HISTORY_LIMIT || 100);
+
+    this.running = new Map(); // monitor id -> AbortController
+    this.ticking = false;
+    this.timer = null;
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this._tick(), this.tickSeconds * 1000);
+    this.timer.unref();
+    this._tick();
+  }
+
+  /**
+   * Stop scheduling and abort checks in progress; they are retried after restart.
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const controller of this.running.values()) {
+      controller.abort(new MonitorError('Scheduler stopped', 'SHUTTING_DOWN', 503));
+    }
+  }
+
+  get stats() {
+    return {
+      running: this.running.size,
+      concurrency: this.concurrency,
+      tick_seconds: this.tickSeconds,
+      min_interval_seconds: this.minInterval,
+    };
+  }
+
+  // ---- Validation ----
+
+  _parseInterval(value) {
+    const seconds = Number(value);
+    if (!Number.isInteger(seconds) || seconds < this.minInterval || seconds > MAX_INTERVAL_SECONDS) {
+      throw new MonitorError(
+        `intervalSeconds must be a whole number between ${this.minInterval} and ${MAX_INTERVAL_SECONDS}`,
+        'INVALID_INTERVAL',
+        400
+      );
+    }
+    return seconds;
+  }
+
+  _parseTarget({ scope = 'readability', selector = null }) {
+    if (!MONITOR_SCOPES.includes(scope)) {
+      throw new MonitorError(`Invalid scope. Use one of: ${MONITOR_SCOPES.join(', ')}`, 'INVALID_SCOPE', 400);
+    }
+    if (scope !== 'selector') return { scope, selector: null };
+
+    if (!selector || typeof selector !== 'string') {
+      throw new MonitorError('selector is required when scope is "selector"', 'INVALID_SELECTOR', 400);
+    }
+    try {
+      selectorProbe.querySelector(selector);
+    } catch {
+      throw new MonitorError(`Invalid CSS selector: ${selector}`, 'INVALID_SELECTOR', 400);
+    }
+    return { scope, selector };
+  }
+
+  _parseLabel(value) {
+    if (value === undefined || value === null || value === '') return null;
+    if (typeof value !== 'string' || value.length > MAX_LABEL_LENGTH) {
+      throw new MonitorError(`label must be a string of at most ${MAX_LABEL_LENGTH} characters`, 'INVALID_LABEL', 400);
+    }
+    return value;
+  }
+
+  // ---- CRUD ----
+
+  /**
+   * Register a monitor. The URL and webhook URL must already have passed the
+   * URL policy. The first check (the baseline) runs on the next tick.
+   */
+  async create({ ownerId, keyId, url, intervalSeconds, scope, selector, webhookUrl = null, label }) {
+    if (!url || typeof url !== 'string') {
+      throw new MonitorError('url is required', 'MISSING_URL', 400);
+    }
+    const owned = await this.store.listMonitors({ ownerId });
+    if (owned.length >= this.maxPerOwner) {
+      throw new MonitorError(`Too many monitors (max ${this.maxPerOwner}). Delete one first.`, 'TOO_MANY_MONITORS', 429);
+    }
+
+    const now = new Date().toISOString();
+    const monitor = await this.store.putMonitor({
+      id: `mon_${crypto.randomBytes(8).toString('hex')}`,
+      ownerId,
+      keyId,
+      label: this._parseLabel(label),
+      url,
+      intervalSeconds: this._parseInterval(intervalSeconds ?? this.minInterval),
+      ...this._parseTarget({ scope, selector }),
+      webhookUrl: webhookUrl || null,
+      webhookSecret: generateWebhookSecret(),
+      status: MONITOR_STATUS.ACTIVE,
+      pausedReason: null,
+      createdAt: now,
+      updatedAt: now,
+      nextRunAt: now,
+      lastRunAt: null,
+      lastChangedAt: null,
+      lastResult: null,
+      runCount: 0,
+      snapshot: null,
+    });
+    this._tick();
+    return monitor;
+  }
+
+  async get(id) {
+    return this.store.getMonitor(id);
+  }
+
+  async list(ownerId) {
+    return this.store.listMonitors({ ownerId });
+  }
+
+  /**
+   * Change a monitor. Changing what is watched (url, scope, selector) drops the
+   * snapshot, so the next run takes a new baseline instead of reporting a change.
+   */
+  async update(id, { url, intervalSeconds, scope, selector, webhookUrl, label, status, rotateSecret }) {
+    const current = await this.store.getMonitor(id);
+    if (!current) return null;
+
+    const changes = { updatedAt: new Date().toISOString() };
+    if (label !== undefined) changes.label = this._parseLabel(label);
+    if (webhookUrl !== undefined) changes.webhookUrl = webhookUrl || null;
+    if (rotateSecret === true) changes.webhookSecret = generateWebhookSecret();
+
+    if (url !== undefined) {
+      if (!url || typeof url !== 'string') {
+        throw new MonitorError('url must be a non-empty string', 'MISSING_URL', 400);
+      }
+      changes.url = url;
+    }
+    if (scope !== undefined || selector !== undefined) {
+      Object.assign(changes, this._parseTarget({ scope: scope ?? current.scope, selector: selector ?? current.selector }));
+    }
+    if (['url', 'scope', 'selector'].some(field => field in changes && changes[field] !== current[field])) {
+      changes.snapshot = null;
+    }
+
+    if (intervalSeconds !== undefined) {
+      changes.intervalSeconds = this._parseInterval(intervalSeconds);
+      const base = current.lastRunAt ? Date.parse(current.lastRunAt) : Date.now();
+      changes.nextRunAt = new Date(base + changes.intervalSeconds * 1000).toISOString();
+    }
+
+    if (status !== undefined) {
+      if (!Object.values(MONITOR_STATUS).includes(status)) {
+        throw new MonitorError(`Invalid status. Use one of: ${Object.values(MONITOR_STATUS).join(', ')}`, 'INVALID_STATUS', 400);
+      }
+      changes.status = status;
+      if (status === MONITOR_STATUS.ACTIVE) {
+        changes.pausedReason = null;
+      }
+    }
+
+    const updated = await this.store.updateMonitor(id, changes);
+    this._tick();
+    return updated;
+  }
+
+  async remove(id) {
+    this.running.get(id)?.abort(new MonitorError('Monitor deleted', 'MONITOR_DELETED', 409));
+    return this.store.deleteMonitor(id);
+  }
+
+  /**
+   * Run a monitor as soon as a slot is free, regardless of its schedule.
+   */
+  async trigger(id) {
+    const current = await this.store.getMonitor(id);
+    if (!current) return null;
+    if (current.status !== MONITOR_STATUS.ACTIVE) {
+      throw new MonitorError('Resume the monitor before running it', 'MONITOR_PAUSED', 409);
+    }
+    const updated = await this.store.updateMonitor(id, { nextRunAt: new Date().toISOString() });
+    this._tick();
+    return updated;
+  }
+
+  async runs(id, { limit = 20 } = {}) {
+    return this.store.listMonitorRuns(id, { limit });
+  }
+
+  /**
+   * Public view of a monitor — no webhook secret and no snapshot body.
+   */
+  describe(monitor) {
+    const { webhookSecret, snapshot, ownerId, ...rest } = monitor;
+    return {
+      ...rest,
+      running: this.running.has(monitor.id),
+      snapshot: snapshot
+        ? { hash: snapshot.hash, title: snapshot.title, takenAt: snapshot.takenAt, blocks: snapshot.blocks.length }
+        : null,
+    };
+  }
+
+  // ---- Scheduling ----
+
+  async _tick() {
+    if (!this.timer || this.ticking) return;
+    this.ticking = true;
+    try {
+      const now = Date.now();
+      const due = (await this.store.listMonitors())
+        .filter(m => m.status === MONITOR_STATUS.ACTIVE && !this.running.has(m.id) && Date.parse(m.nextRunAt) <= now)
+        .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt));
+      for (const monitor of due.slice(0, Math.max(0, this.concurrency - this.running.size))) {
+        this._run(monitor);
+      }
+    } catch (err) {
+      console.error('[Monitors] Scheduling failed:', err.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  async _run(monitor) {
+    const controller = new AbortController();
+    this.running.set(monitor.id, controller);
+    const startedAt = Date.now();
+    const run = {
+      id: `run_${crypto.randomBytes(8).toString('hex')}`,
+      monitorId: monitor.id,
+      status: null,
+      startedAt: new Date(startedAt).toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      hash: null,
+      error: null,
+      diff: null,
+      webhook: null,
+    };
+    const changes = {};
+    let snapshot = null;
+    let diff = null;
+
+    try {
+      const access = await this.authorize(monitor);
+      if (!access.allowed) {
+        run.status = RUN_STATUS.SKIPPED;
+        run.error = { code: access.code, message: access.message };
+        if (access.pause) {
+          changes.status = MONITOR_STATUS.PAUSED;
+          changes.pausedReason = access.message;
+        }
+      } else {
+        if (access.keyId !== monitor.keyId) changes.keyId = access.keyId; // key was rotated
+
+        const content = await this.check(monitor, { signal: controller.signal, tag: monitor.id });
+        run.hash = hashBlocks(content.blocks);
+        snapshot = { hash: run.hash, title: content.title || null, blocks: content.blocks, takenAt: new Date().toISOString() };
+
+        if (!monitor.snapshot) {
+          run.status = RUN_STATUS.BASELINE;
+        } else if (monitor.snapshot.hash === run.hash) {
+          run.status = RUN_STATUS.UNCHANGED;
+          snapshot = null;
+        } else {
+          run.status = RUN_STATUS.CHANGED;
+          diff = diffContent(monitor.snapshot.blocks, content.blocks, {
+            unified: true,
+            label1: monitor.snapshot.takenAt,
+            label2: snapshot.takenAt,
+          });
+          run.diff = {
+            previousHash: monitor.snapshot.hash,
+            similarity: diff.similarity,
+            blocks: diff.blocks,
+            hunks: diff.hunks.slice(0, MAX_DIFF_HUNKS),
+            hunksTruncated: diff.hunks.length > MAX_DIFF_HUNKS,
+          };
+          changes.lastChangedAt = snapshot.takenAt;
+        }
+      }
+    } catch (err) {
+      if (controller.signal.aborted) {
+        // Deleted or shutting down; a stopped monitor is retried after restart
+        this.running.delete(monitor.id);
+        return;
+      }
+      const { statusCode, body } = this.describeError(err);
+      run.status = RUN_STATUS.FAILED;
+      run.error = { statusCode, ...body };
+    }
+
+    run.finishedAt = new Date().toISOString();
+    run.durationMs = Date.now() - startedAt;
+
+    try {
+      // The monitor may have been deleted or edited while the check ran
+      const current = await this.store.getMonitor(monitor.id);
+      if (!current) return;
+      const targetChanged = ['url', 'scope', 'selector'].some(field => current[field] !== monitor[field]);
+      if (snapshot && !targetChanged) changes.snapshot = snapshot;
+
+      Object.assign(changes, {
+        lastRunAt: run.startedAt,
+        lastResult: run.status,
+        runCount: (current.runCount || 0) + 1,
+        nextRunAt: new Date(startedAt + current.intervalSeconds * 1000).toISOString(),
+      });
+
+      if (run.status === RUN_STATUS.CHANGED && current.webhookUrl && !targetChanged) {
+        run.webhook = await this.webhooks.send(current.webhookUrl, {
+          event: 'monitor.changed',
+          monitor: this.describe({ ...current, ...changes }),
+          run: { id: run.id, startedAt: run.startedAt, finishedAt: run.finishedAt, hash: run.hash },
+          diff: { ...run.diff, unified: diff.unified },
+        }, { secret: current.webhookSecret });
+      }
+
+      await this.store.updateMonitor(monitor.id, changes);
+      await this.store.addMonitorRun(run, { keep: this.historyLimit });
+
+      if (run.status !== RUN_STATUS.SKIPPED && this.onRun) {
+        this.onRun(current, run);
+      }
+    } catch (err) {
+      console.error(`[Monitors] Recording run of ${monitor.id} failed:`, err.message);
+    } finally {
+      this.running.delete(monitor.id);
+      this._tick();
+    }
+  }
+}
@@ -0,0 +1,347 @@
+/**
+ * Navigation - Options shared by every tool that loads a page in the browser
+ * (/fetch, /screenshot, /extract, /compare):
+ *
+ *   waitUntil        load | domcontentloaded | networkidle0 | networkidle2 (default)
+ *   waitForSelector  CSS selector to wait for after loading
+ *   waitForFunction  JS expression to wait for until it's truthy
+ *   timeout          ms for navigation and each wait (default 30000)
+ *   headers          extra request headers
+ *   cookies          [{ name, value, domain?, path? }] or "a=1; b=2"
+ *   userAgent, locale (BCP 47), timezone (IANA)
+ *   blockResources   resource types not to load: image, font, media, stylesheet
+ *   actions          steps run after loading: click, type, press, hover, scroll, wait, waitForSelector
+ *
+ * Structured values (headers, cookies, actions) can be JSON strings, so they
+ * fit in a query string. parseNavigationOptions validates everything before
+ * a page is opened; openPage applies it.
+ */
+
+export const WAIT_STRATEGIES = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+export const BLOCKABLE_RESOURCES = ['image', 'font', 'media', 'stylesheet'];
+export const ACTION_TYPES = ['click', 'type', 'press', 'hover', 'scroll', 'wait', 'waitForSelector'];
+// Request parameters parseNavigationOptions reads
+export const NAVIGATION_OPTIONS = [
+  'waitUntil', 'waitForSelector', 'waitForFunction', 'timeout', 'headers', 'cookies',
+  'userAgent', 'locale', 'timezone', 'blockResources', 'actions',
+];
+export const DEFAULT_USER_AGENT = 'Mozilla/5.0 (compatible; x402-tools/2.0)';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const MIN_TIMEOUT_MS = 1000;
+const MAX_TIMEOUT_MS = 120000;
+const MAX_HEADERS = 30;
+const MAX_COOKIES = 50;
+const MAX_ACTIONS = 20;
+const MAX_ACTION_WAIT_MS = 10000;
+const MAX_TEXT = 2000;
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+// Set by the browser itself or by other options
+const RESERVED_HEADERS = new Set(['host', 'content-length', 'connection', 'cookie', 'user-agent', 'transfer-encoding', 'upgrade']);
+
+export class NavigationError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'NavigationError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+// Objects may arrive as JSON strings from a query string
+function structured(value, name, code) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    throw new NavigationError(`${name} must be valid JSON`, code);
+  }
+}
+
+function text(value, name, code, max = MAX_TEXT) {
+  if (typeof value !== 'string' || !value.trim() || value.length > max) {
+    throw new NavigationError(`${name} must be a non-empty string of at most ${max} characters`, code);
+  }
+  return value.trim();
+}
+
+function parseHeaders(value) {
+  const headers = structured(value, 'headers', 'INVALID_HEADERS');
+  if (!headers || typeof headers !== 'object' || Array.isArray(headers)) {
+    throw new NavigationError('headers must be an object of header names to values', 'INVALID_HEADERS');
+  }
+  const entries = Object.entries(headers);
+  if (entries.length > MAX_HEADERS) {
+    throw new NavigationError(`At most ${MAX_HEADERS} headers`, 'INVALID_HEADERS');
+  }
+  const parsed = {};
+  for (const [name, headerValue] of entries) {
+    if (!HEADER_NAME.test(name) || RESERVED_HEADERS.has(name.toLowerCase()) || /^(proxy-|sec-)/i.test(name)) {
+      throw new NavigationError(`Header "${name}" can't be set (use cookies/userAgent for those)`, 'INVALID_HEADERS');
+    }
+    if (typeof headerValue !== 'string' || /[\r\n]/.test(headerValue)) {
+      throw new NavigationError(`Header "${name}" must have a single-line string value`, 'INVALID_HEADERS');
+    }
+    parsed[name.toLowerCase()] = headerValue;
+  }
+  return parsed;
+}
+
+// "a=1; b=2" or [{ name, value, domain?, path?, secure?, httpOnly? }]
+function parseCookies(value) {
+  let cookies = value;
+  if (typeof value === 'string' && !value.trim().startsWith('[')) {
+    cookies = value.split(';').map(pair => pair.trim()).filter(Boolean).map(pair => {
+      const at = pair.indexOf('=');
+      return at === -1 ? { name: pair, value: '' } : { name: pair.slice(0, at).trim(), value: pair.slice(at + 1).trim() };
+    });
+  } else {
+    cookies = structured(value, 'cookies', 'INVALID_COOKIES');
+  }
+  if (!Array.isArray(cookies) || cookies.length > MAX_COOKIES) {
+    throw new NavigationError(`cookies must be "name=value; ..." or an array of at most ${MAX_COOKIES} { name, value } objects`, 'INVALID_COOKIES');
+  }
+  return cookies.map((cookie, i) => {
+    if (!cookie || typeof cookie.name !== 'string' || !cookie.name || typeof (cookie.value ?? '') !== 'string') {
+      throw new NavigationError(`cookies[${i}] needs a string name and value`, 'INVALID_COOKIES');
+    }
+    const parsed = { name: cookie.name, value: cookie.value ?? '' };
+    for (const key of ['domain', 'path']) {
+      if (cookie[key] !== undefined) parsed[key] = String(cookie[key]);
+    }
+    for (const key of ['secure', 'httpOnly']) {
+      if (cookie[key] !== undefined) parsed[key] = Boolean(cookie[key]);
+    }
+    return parsed;
+  });
+}
+
+function parseActions(value) {
+  const actions = structured(value, 'actions', 'INVALID_ACTIONS');
+  if (!Array.isArray(actions) || actions.length > MAX_ACTIONS) {
+    throw new NavigationError(`actions must be an array of at most ${MAX_ACTIONS} steps`, 'INVALID_ACTIONS');
+  }
+  return actions.map((action, i) => {
+    const where = `actions[${i}]`;
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      throw new NavigationError(`${where}.type must be one of: ${ACTION_TYPES.join(', ')}`, 'INVALID_ACTIONS');
+    }
+    const selector = () => text(action.selector, `${where}.selector`, 'INVALID_ACTIONS', 500);
+    switch (action.type) {
+      case 'click':
+      case 'hover':
+      case 'waitForSelector':
+        return { type: action.type, selector: selector() };
+      case 'type':
+        return { type: 'type', selector: selector(), text: text(action.text, `${where}.text`, 'INVALID_ACTIONS') };
+      case 'press':
+        return { type: 'press', key: text(action.key, `${where}.key`, 'INVALID_ACTIONS', 50) };
+      case 'scroll':
+        if (action.selector !== undefined) return { type: 'scroll', selector: selector() };
+        if (action.to === 'top' || action.to === 'bottom') return { type: 'scroll', to: action.to };
+        if (Number.isFinite(Number(action.y))) return { type: 'scroll', y: Number(action.y) };
+        throw new NavigationError(`${where} scrolls to a selector, to "top"/"bottom", or to a y offset`, 'INVALID_ACTIONS');
+      case 'wait': {
+        const ms = Number(action.ms);
+        if (!Number.isInteger(ms) || ms < 0 || ms > MAX_ACTION_WAIT_MS) {
+          throw new NavigationError(`${where}.ms must be 0-${MAX_ACTION_WAIT_MS}`, 'INVALID_ACTIONS');
+        }
+        return { type: 'wait', ms };
+      }
+    }
+  });
+}
+
+/**
+ * Validate navigation parameters. Returns only the options that were given,
+ * so an empty object means "defaults" and can be left out of cache keys.
+ */
+export function parseNavigationOptions(params = {}) {
+  const nav = {};
+
+  if (params.waitUntil !== undefined) {
+    if (!WAIT_STRATEGIES.includes(params.waitUntil)) {
+      throw new NavigationError(`Invalid waitUntil. Use one of: ${WAIT_STRATEGIES.join(', ')}`, 'INVALID_WAIT');
+    }
+    nav.waitUntil = params.waitUntil;
+  }
+  if (params.waitForSelector) {
+    nav.waitForSelector = text(params.waitForSelector, 'waitForSelector', 'INVALID_WAIT', 500);
+  }
+  if (params.waitForFunction) {
+    nav.waitForFunction = text(params.waitForFunction, 'waitForFunction', 'INVALID_WAIT');
+  }
+  if (params.timeout !== undefined) {
+    const timeout = Number(params.timeout);
+    if (!Number.isInteger(timeout) || timeout < MIN_TIMEOUT_MS || timeout > MAX_TIMEOUT_MS) {
+      throw new NavigationError(`timeout must be ${MIN_TIMEOUT_MS}-${MAX_TIMEOUT_MS} ms`, 'INVALID_TIMEOUT');
+    }
+    nav.timeout = timeout;
+  }
+  if (params.headers !== undefined) nav.headers = parseHeaders(params.headers);
+  if (params.cookies !== undefined) nav.cookies = parseCookies(params.cookies);
+  if (params.userAgent !== undefined) nav.userAgent = text(params.userAgent, 'userAgent', 'INVALID_USER_AGENT', 512);
+  if (params.locale !== undefined) {
+    try {
+      [nav.locale] = Intl.getCanonicalLocales(String(params.locale));
+    } catch {
+      throw new NavigationError(`Invalid locale "${params.locale}". Use a BCP 47 tag such as en-US or de-DE`, 'INVALID_LOCALE');
+    }
+  }
+  if (params.timezone !== undefined) {
+    try {
+      nav.timezone = new Intl.DateTimeFormat('en', { timeZone: String(params.timezone) }).resolvedOptions().timeZone;
+    } catch {
+      throw new NavigationError(`Invalid timezone "${params.timezone}". Use an IANA name such as Europe/Berlin`, 'INVALID_TIMEZONE');
+    }
+  }
+  if (params.blockResources !== undefined) {
+    const list = Array.isArray(params.blockResources) ? params.blockResources : String(params.blockResources).split(',');
+    const types = [...new Set(list.map(type => String(type).trim()).filter(Boolean))].sort();
+    const unknown = types.find(type => !BLOCKABLE_RESOURCES.includes(type));
+    if (unknown) {
+      throw new NavigationError(`Can't block "${unknown}". Use any of: ${BLOCKABLE_RESOURCES.join(', ')}`, 'INVALID_RESOURCE_TYPE');
+    }
+    if (types.length) nav.blockResources = types;
+  }
+  if (params.actions !== undefined) {
+    const actions = parseActions(params.actions);
+    if (actions.length) nav.actions = actions;
+  }
+
+  return nav;
+}
+
+/**
+ * The longest openPage can take with `nav`: loading and each wait up to
+ * `timeout`, then every action's own wait. The browser pool keeps the page
+ * open that long before its force-close timer starts counting.
+ */
+export function navigationTimeMs(nav = {}) {
+  const timeout = nav.timeout ?? DEFAULT_TIMEOUT_MS;
+  const waits = 1 + (nav.waitForSelector ? 1 : 0) + (nav.waitForFunction ? 1 : 0);
+  const actions = (nav.actions || []).reduce(
+    (total, action) => total + (action.type === 'wait' ? action.ms : Math.min(timeout, MAX_ACTION_WAIT_MS)),
+    0
+  );
+  return timeout * waits + actions;
+}
+
+async function runAction(page, action, index, timeout) {
+  const waitTimeout = Math.min(timeout, MAX_ACTION_WAIT_MS);
+  try {
+    switch (action.type) {
+      case 'click':
+        await page.waitForSelector(action.selector, { visible: true, timeout: waitTimeout });
+        await page.click(action.selector);
+        break;
+      case 'hover':
+        await page.waitForSelector(action.selector, { visible: true, timeout: waitTimeout });
+        await page.hover(action.selector);
+        break;
+      case 'type':
+        await page.waitForSelector(action.selector, { visible: true, timeout: waitTimeout });
+        await page.type(action.selector, action.text);
+        break;
+      case 'press':
+        await page.keyboard.press(action.key);
+        break;
+      case 'waitForSelector':
+        await page.waitForSelector(action.selector, { timeout: waitTimeout });
+        break;
+      case 'scroll':
+        if (action.selector) {
+          await page.$eval(action.selector, el => el.scrollIntoView({ block: 'center' }));
+        } else {
+          await page.evaluate(to => window.scrollTo(0, to === 'bottom' ? document.body.scrollHeight : to === 'top' ? 0 : to), action.to ?? action.y);
+        }
+        break;
+      case 'wait':
+        await new Promise(resolve => setTimeout(resolve, action.ms));
+        break;
+    }
+  } catch (err) {
+    throw new NavigationError(`actions[${index}] (${action.type}) failed: ${err.message.split('\n')[0]}`, 'ACTION_FAILED', 422);
+  }
+}
+
+/**
+ * Apply `nav` to a fresh page, load `url` and run the waits and actions.
+ *
+ * @param {Page} page
+ * @param {string} url
+ * @param {object} nav - from parseNavigationOptions
+ * @param {object} context
+ * @param {UrlPolicy} context.policy - loads the page and filters its requests
+ * @param {string|null} [context.userAgent] - used when nav has none; null keeps the page's own
+ * @returns {Promise<HTTPResponse|null>} the main document's response
+ */
+export async function openPage(page, url, nav = {}, { policy, userAgent = DEFAULT_USER_AGENT }) {
+  const timeout = nav.timeout ?? DEFAULT_TIMEOUT_MS;
+
+  if (nav.blockResources) {
+    const blocked = new Set(nav.blockResources);
+    policy.filterRequests(page, request => blocked.has(request.resourceType()));
+  }
+  if (nav.userAgent || userAgent) {
+    await page.setUserAgent(nav.userAgent || userAgent);
+  }
+  const headers = { ...nav.headers };
+  if (nav.locale) {
+    headers['accept-language'] ??= `${nav.locale},${nav.locale.split('-')[0]};q=0.9`;
+    // navigator.language and Intl defaults
+    const session = await page.target().createCDPSession();
+    await session.send('Emulation.setLocaleOverride', { locale: nav.locale.replace('-', '_') });
+  }
+  if (Object.keys(headers).length) {
+    await page.setExtraHTTPHeaders(headers);
+  }
+  if (nav.timezone) {
+    await page.emulateTimezone(nav.timezone);
+  }
+  // Cookies without a domain belong to the page's own URL
+  const cookies = (nav.cookies || []).map(cookie => (cookie.domain ? cookie : { ...cookie, url }));
+  if (cookies.length) {
+    await page.setCookie(...cookies);
+  }
+
+  // The pool gives every page its own browser context, so these cookies, and
+  // any the site sets, go away with the page
+  return load(page, url, nav, policy, timeout);
+}
+
+async function load(page, url, nav, policy, timeout) {
+  let response;
+  try {
+    response = await policy.goto(page, url, { waitUntil: nav.waitUntil || 'networkidle2', timeout });
+  } catch (err) {
+    if (err.name === 'TimeoutError') {
+      throw new NavigationError(
+        `Page did not finish loading (waitUntil ${nav.waitUntil || 'networkidle2'}) within ${timeout / 1000}s. Try waitUntil=domcontentloaded or a longer timeout`,
+        'NAVIGATION_TIMEOUT',
+        504
+      );
+    }
+    throw err;
+  }
+
+  if (nav.waitForSelector) {
+    try {
+      await page.waitForSelector(nav.waitForSelector, { timeout });
+    } catch {
+      throw new NavigationError(`"${nav.waitForSelector}" did not appear within ${timeout / 1000}s`, 'SELECTOR_NOT_FOUND', 422);
+    }
+  }
+  if (nav.waitForFunction) {
+    try {
+      await page.waitForFunction(nav.waitForFunction, { timeout });
+    } catch (err) {
+      throw new NavigationError(`waitForFunction didn't become true within ${timeout / 1000}s: ${err.message.split('\n')[0]}`, 'WAIT_TIMEOUT', 422);
+    }
+  }
+
+  for (const [index, action] of (nav.actions || []).entries()) {
+    await runAction(page, action, index, timeout);
+  }
+  return response;
+}
@@ -0,0 +1,390 @@
+/**
+ * PdfExtract - Text, headings, tables and outline from PDF files, for /pdf.
+ *
+ * Uses the pdf.js build that ships with pdf-parse directly: pdf-parse itself
+ * only returns one text blob, while this needs text positions (to rebuild
+ * lines, paragraphs and columns), passwords and the outline.
+ *
+ * Text is rebuilt from positioned runs: runs on the same baseline form a
+ * line, wider vertical gaps start a paragraph. In layout mode horizontal
+ * positions are kept with spaces, so columns line up as on the page.
+ * Headings are lines set noticeably larger than the body text, levelled by
+ * size. Tables are runs of lines split into cells by wide gaps whose cells
+ * fall into the same columns.
+ *
+ * Anything that doesn't start with %PDF is rejected before it reaches the
+ * parser; downloads as soon as their first KB is in.
+ */
+import { createRequire } from 'module';
+import { downloadFile, UploadError } from './uploads.js';
+
+const require = createRequire(import.meta.url);
+const pdfjs = require('pdf-parse/lib/pdf.js/v2.0.550/build/pdf.js');
+
+const MAX_PAGES = 500;
+const MAX_RANGES = 50;
+const MAX_OUTLINE_ITEMS = 1000;
+const MAX_OUTLINE_DEPTH = 10;
+// %PDF may follow some junk, but must come within the first KB
+const MAGIC_WINDOW = 1024;
+// Gap between runs, in font sizes, that separates table cells
+const CELL_GAP = 1.5;
+// Line spacing, in font sizes, above which a new paragraph starts
+const PARAGRAPH_GAP = 1.6;
+// Lines this much larger than the body text can be headings
+const HEADING_SCALE = 1.15;
+const MAX_HEADING_LENGTH = 150;
+// Table cells are short; longer "cells" are columns of running text
+const MAX_CELL_LENGTH = 40;
+
+export class PdfError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'PdfError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Parse a page selection like "1-5,8,10-" (1-based, "10-" runs to the end)
+ * into [[from, to]] ranges; `to` is Infinity for open ranges. Undefined
+ * selects every page.
+ */
+export function parsePageRange(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parts = String(value).split(',').map(part => part.trim()).filter(Boolean);
+  if (!parts.length || parts.length > MAX_RANGES) {
+    throw new PdfError(`pages must list 1-${MAX_RANGES} pages or ranges, e.g. "1-5,8,10-"`, 'INVALID_PAGES');
+  }
+  return parts.map(part => {
+    const match = part.match(/^(\d+)(?:\s*(-)\s*(\d+)?)?$/);
+    const from = match && Number(match[1]);
+    const to = !match ? NaN : !match[2] ? from : match[3] === undefined ? Infinity : Number(match[3]);
+    if (!match || from < 1 || to < from) {
+      throw new PdfError(`Invalid page range "${part}". Use e.g. "3", "1-5" or "10-"`, 'INVALID_PAGES');
+    }
+    return [from, to];
+  });
+}
+
+export const pdfTooLarge = maxBytes => new PdfError(`PDF exceeds ${maxBytes} bytes`, 'PDF_TOO_LARGE', 413);
+
+function checkMagic(buffer, contentType) {
+  if (!buffer.subarray(0, MAGIC_WINDOW).includes('%PDF-')) {
+    const got = contentType ? ` (got ${contentType.split(';')[0]})` : '';
+    throw new PdfError(`Not a PDF file${got}`, 'NOT_A_PDF', 422);
+  }
+}
+
+/**
+ * Check that a buffer holds a PDF of at most `maxBytes`.
+ */
+export function checkPdf(buffer, { maxBytes }) {
+  if (buffer.length > maxBytes) {
+    throw pdfTooLarge(maxBytes);
+  }
+  checkMagic(buffer);
+  return buffer;
+}
+
+/**
+ * Download a PDF through the URL policy (see downloadFile), dropping
+ * non-PDFs as soon as their first KB is in.
+ *
+ * @returns {Promise<Buffer>}
+ */
+export async function downloadPdf(url, { policy, maxBytes, timeoutMs, signal }) {
+  try {
+    const { buffer } = await downloadFile(url, {
+      policy, maxBytes, timeoutMs, signal,
+      tooLarge: () => pdfTooLarge(maxBytes),
+      inspect: checkMagic,
+    });
+    return buffer;
+  } catch (err) {
+    // DOWNLOAD_FAILED -> PDF_DOWNLOAD_FAILED, DOWNLOAD_TIMEOUT -> PDF_DOWNLOAD_TIMEOUT
+    if (err instanceof UploadError && err.code.startsWith('DOWNLOAD_')) {
+      throw new PdfError(err.message, `PDF_${err.code}`, err.statusCode);
+    }
+    throw err;
+  }
+}
+
+async function openDocument(buffer, password) {
+  try {
+    return await pdfjs.getDocument({ data: new Uint8Array(buffer), password, verbosity: 0 }).promise;
+  } catch (err) {
+    if (err.name === 'PasswordException') {
+      throw password === undefined || err.code === pdfjs.PasswordResponses?.NEED_PASSWORD
+        ? new PdfError('The PDF is encrypted; send its password', 'PDF_PASSWORD_REQUIRED', 422)
+        : new PdfError('Wrong password for this PDF', 'PDF_PASSWORD_INCORRECT', 422);
+    }
+    throw new PdfError(`Could not read the PDF: ${err.message}`, 'INVALID_PDF', 422);
+  }
+}
+
+const median = values => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+/**
+ * Group a page's text runs into lines, top to bottom, each with its runs
+ * left to right.
+ */
+function pageLines(items) {
+  const runs = items
+    .filter(item => item.str && item.str.trim())
+    .map(item => {
+      const [, , c, d, x, y] = item.transform;
+      const size = Math.hypot(c, d) || item.height || 1;
+      return { text: item.str, x, y, size, width: item.width || item.str.length * size * 0.5 };
+    })
+    .sort((a, b) => b.y - a.y || a.x - b.x);
+
+  const lines = [];
+  for (const run of runs) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - run.y) <= Math.min(line.size, run.size) * 0.5) {
+      line.runs.push(run);
+      line.size = Math.max(line.size, run.size);
+    } else {
+      lines.push({ y: run.y, size: run.size, runs: [run] });
+    }
+  }
+  for (const line of lines) {
+    line.runs.sort((a, b) => a.x - b.x);
+    line.text = joinRuns(line.runs);
+    line.cells = splitCells(line.runs);
+  }
+  return lines;
+}
+
+// Runs on one line, with a space wherever there's a visible gap
+function joinRuns(runs) {
+  let text = '';
+  let end = null;
+  for (const run of runs) {
+    if (end !== null && run.x - end > run.size * 0.15 && !/\s$/.test(text) && !/^\s/.test(run.text)) text += ' ';
+    text += run.text;
+    end = run.x + run.width;
+  }
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function splitCells(runs) {
+  const cells = [];
+  for (const run of runs) {
+    const cell = cells[cells.length - 1];
+    if (cell && run.x - cell.end <= run.size * CELL_GAP) {
+      cell.runs.push(run);
+      cell.end = Math.max(cell.end, run.x + run.width);
+    } else {
+      cells.push({ start: run.x, end: run.x + run.width, runs: [run] });
+    }
+  }
+  return cells.map(cell => ({ start: cell.start, end: cell.end, text: joinRuns(cell.runs) }));
+}
+
+/**
+ * A page's text: lines joined with newlines and a blank line between
+ * paragraphs (a wider gap or a change of font size). `layout` keeps horizontal positions by padding with spaces.
+ */
+function pageText(lines, layout) {
+  if (!lines.length) return '';
+
+  let charWidth = 0;
+  let left = 0;
+  if (layout) {
+    const runs = lines.flatMap(line => line.runs);
+    charWidth = median(runs.map(run => run.width / run.text.length).filter(width => width > 0)) || 5;
+    left = Math.min(...runs.map(run => run.x));
+  }
+
+  return lines.map((line, i) => {
+    const text = layout ? layoutLine(line, left, charWidth) : line.text;
+    const previous = lines[i - 1];
+    const breaks = previous && (previous.y - line.y > Math.max(previous.size, line.size) * PARAGRAPH_GAP ||
+      Math.abs(previous.size - line.size) > Math.min(previous.size, line.size) * 0.15);
+    return (breaks ? '\n' : '') + text;
+  }).join('\n');
+}
+
+function layoutLine(line, left, charWidth) {
+  let text = '';
+  for (const run of line.runs) {
+    const column = Math.round((run.x - left) / charWidth);
+    if (text.length < column) text = text.padEnd(column);
+    else if (text && !/\s$/.test(text) && run.x - left > (text.length - 0.5) * charWidth) text += ' ';
+    text += run.text;
+  }
+  return text.trimEnd();
+}
+
+// The font size most of the text is set in
+function bodySize(pages) {
+  const weights = new Map();
+  for (const { lines } of pages) {
+    for (const run of lines.flatMap(line => line.runs)) {
+      const size = Math.round(run.size * 2) / 2;
+      weights.set(size, (weights.get(size) || 0) + run.text.length);
+    }
+  }
+  return [...weights].sort((a, b) => b[1] - a[1])[0]?.[0] || 0;
+}
+
+/**
+ * Lines set larger than the body text, levelled by size (largest is 1).
+ * Wrapped headings are joined back into one.
+ */
+function findHeadings(pages) {
+  const body = bodySize(pages);
+  const candidates = [];
+  for (const { page, lines } of pages) {
+    let previous = null;
+    for (const line of lines) {
+      const size = Math.round(line.size * 2) / 2;
+      const isHeading = size >= body * HEADING_SCALE && line.text.length <= MAX_HEADING_LENGTH && /\p{L}/u.test(line.text);
+      if (!isHeading) {
+        previous = null;
+        continue;
+      }
+      if (previous && previous.size === size && previous.y - line.y <= size * 1.6) {
+        previous.text += ` ${line.text}`;
+      } else {
+        previous = { page, size, text: line.text };
+        candidates.push(previous);
+      }
+      previous.y = line.y;
+    }
+  }
+  const sizes = [...new Set(candidates.map(heading => heading.size))].sort((a, b) => b - a);
+  return candidates.map(({ page, size, text }) => ({ level: Math.min(sizes.indexOf(size) + 1, 6), text, page }));
+}
+
+/**
+ * Runs of consecutive lines with two or more cells whose cells fall into the
+ * same columns. Columns are the x-ranges where cells overlap, so left-,
+ * right- and centre-aligned columns all line up.
+ */
+function findTables(page, lines) {
+  const tables = [];
+  let run = [];
+  const flush = () => {
+    const table = run.length >= 2 && layoutTable(run);
+    if (table) tables.push({ page, ...table });
+    run = [];
+  };
+  for (const line of lines) {
+    const previous = run[run.length - 1];
+    if (line.cells.length < 2 || (previous && previous.y - line.y > line.size * 2.5)) {
+      flush();
+      if (line.cells.length < 2) continue;
+    }
+    run.push(line);
+  }
+  flush();
+  return tables;
+}
+
+function layoutTable(lines) {
+  const cells = lines.flatMap(line => line.cells);
+  if (median(cells.map(cell => cell.text.length)) > MAX_CELL_LENGTH) return null;
+
+  const columns = [];
+  for (const cell of [...cells].sort((a, b) => a.start - b.start)) {
+    const column = columns[columns.length - 1];
+    if (column && cell.start <= column.end) column.end = Math.max(column.end, cell.end);
+    else columns.push({ start: cell.start, end: cell.end });
+  }
+  const widest = Math.max(...lines.map(line => line.cells.length));
+  if (columns.length < 2 || columns.length > widest + 1) return null;
+
+  const rows = lines.map(line => {
+    const row = columns.map(() => '');
+    for (const cell of line.cells) {
+      const index = columns.findIndex(column => cell.start <= column.end && cell.end >= column.start);
+      row[index] = row[index] ? `${row[index]} ${cell.text}` : cell.text;
+    }
+    return row;
+  });
+  return { rowCount: rows.length, columnCount: columns.length, rows };
+}
+
+async function destinationPage(doc, dest) {
+  try {
+    const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+    if (!Array.isArray(explicit)) return null;
+    const [target] = explicit;
+    return Number.isInteger(target) ? target + 1 : (await doc.getPageIndex(target)) + 1;
+  } catch {
+    return null;
+  }
+}
+
+// The document's bookmarks as [{ title, page, items? }]
+async function readOutline(doc) {
+  const outline = await doc.getOutline().catch(() => null);
+  let count = 0;
+  const walk = async (items, depth) => {
+    const entries = [];
+    for (const item of items || []) {
+      if (++count > MAX_OUTLINE_ITEMS) break;
+      const entry = { title: String(item.title || '').trim(), page: await destinationPage(doc, item.dest) };
+      if (item.items?.length && depth < MAX_OUTLINE_DEPTH) entry.items = await walk(item.items, depth + 1);
+      entries.push(entry);
+    }
+    return entries;
+  };
+  return walk(outline, 1);
+}
+
+/**
+ * Extract a PDF's text and structure.
+ *
+ * @param {Buffer} buffer - checked with checkPdf or downloadPdf
+ * @param {object} [options]
+ * @param {Array<[number, number]>} [options.pages] - from parsePageRange; every page if omitted
+ * @param {boolean} [options.layout] - keep horizontal positions in the text
+ * @param {string} [options.password] - for encrypted PDFs
+ * @returns {Promise<{ text, pages, byPage, headings, tables, outline, info, metadata, truncated? }>}
+ */
+export async function extractPdf(buffer, { pages: ranges, layout = false, password } = {}) {
+  const doc = await openDocument(buffer, password);
+  try {
+    let numbers = [];
+    for (let n = 1; n <= doc.numPages; n++) {
+      if (!ranges || ranges.some(([from, to]) => n >= from && n <= to)) numbers.push(n);
+    }
+    if (!numbers.length) {
+      throw new PdfError(`No such pages; the PDF has ${doc.numPages}`, 'PAGES_OUT_OF_RANGE', 422);
+    }
+    const truncated = numbers.length > MAX_PAGES;
+    numbers = numbers.slice(0, MAX_PAGES);
+
+    const pages = [];
+    for (const page of numbers) {
+      const content = await doc.getPage(page).then(pdfPage => pdfPage.getTextContent()).catch(() => ({ items: [] }));
+      pages.push({ page, lines: pageLines(content.items) });
+    }
+
+    const byPage = pages.map(({ page, lines }) => ({ page, text: pageText(lines, layout) }));
+    const meta = await doc.getMetadata().catch(() => null);
+
+    return {
+      text: byPage.map(page => page.text).join('\n\n'),
+      pages: doc.numPages,
+      byPage,
+      headings: findHeadings(pages),
+      tables: pages.flatMap(({ page, lines }) => findTables(page, lines)),
+      outline: await readOutline(doc),
+      info: meta?.info || null,
+      metadata: meta?.metadata?.getAll?.() || null,
+      ...(truncated && { truncated: true }),
+    };
+  } finally {
+    doc.destroy();
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Plans - Per-key plan tiers and request quotas.
+ *
+ * A plan sets requests per minute, optional daily and monthly quotas, and
+ * per-endpoint per-minute limits (keyed by scope name). `null` means unlimited.
+ * Operators can override or add plans with PLANS_JSON, e.g.
+ *   PLANS_JSON='{"pro": {"dailyQuota": 20000}, "team": {"requestsPerMinute": 300}}'
+ *
+ * QuotaTracker counts quota-bearing requests per account (all keys with the
+ * same ownerId, revoked and rotated ones included) for the current UTC day and
+ * month, seeded from the store's usage counters so restarts don't reset it.
+ * Issuing or rotating keys therefore never hands out a fresh quota.
+ */
+
+const DEFAULT_PLANS = {
+  free: {
+    requestsPerMinute: 30,
+    dailyQuota: 500,
+    monthlyQuota: 5000,
+    endpointLimits: { screenshot: 5, compare: 5 },
+  },
+  pro: {
+    requestsPerMinute: 120,
+    dailyQuota: 20000,
+    monthlyQuota: 300000,
+    endpointLimits: { screenshot: 30, compare: 30 },
+  },
+  enterprise: {
+    requestsPerMinute: 600,
+    dailyQuota: null,
+    monthlyQuota: 3000000,
+    endpointLimits: { screenshot: 120, compare: 120 },
+  },
+  unlimited: {
+    requestsPerMinute: null,
+    dailyQuota: null,
+    monthlyQuota: null,
+    endpointLimits: {},
+  },
+};
+
+function loadPlans() {
+  const plans = structuredClone(DEFAULT_PLANS);
+  if (process.env.PLANS_JSON) {
+    let overrides;
+    try {
+      overrides = JSON.parse(process.env.PLANS_JSON);
+    } catch (err) {
+      throw new Error(`PLANS_JSON is not valid JSON: ${err.message}`);
+    }
+    for (const [name, plan] of Object.entries(overrides)) {
+      plans[name] = { ...(plans[name] || DEFAULT_PLANS.free), ...plan };
+    }
+  }
+  for (const [name, plan] of Object.entries(plans)) {
+    plan.name = name;
+  }
+  return plans;
+}
+
+export const PLANS = loadPlans();
+
+// Plan used when a key doesn't name one: self-service keys vs env-configured keys
+export const DEFAULT_PLAN = process.env.DEFAULT_PLAN || 'free';
+export const CONFIG_KEY_PLAN = process.env.CONFIG_KEY_PLAN || 'pro';
+
+/**
+ * Resolve the effective plan for a key record. Admin keys are never limited.
+ */
+export function planForKey(record) {
+  if (record.role === 'admin') return PLANS.unlimited;
+  if (record.plan && PLANS[record.plan]) return PLANS[record.plan];
+  return PLANS[record.source === 'env' ? CONFIG_KEY_PLAN : DEFAULT_PLAN] || PLANS.free;
+}
+
+function startOfDay(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+}
+
+function startOfMonth(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), 1);
+}
+
+function nextMonth(now) {
+  const d = new Date(now);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+}
+
+export class QuotaTracker {
+  /**
+   * @param {object} store - Storage backend (for seeding counts)
+   * @param {string[]} countedEndpoints - Paths that consume quota
+   */
+  constructor(store, countedEndpoints) {
+    this.store = store;
+    this.countedEndpoints = new Set(countedEndpoints);
+    this.counts = new Map(); // account id -> Promise<{ dayStart, day, monthStart, month }>
+  }
+
+  // Only successful requests count against a quota
+  async _sumUsage(keyIds, from) {
+    const usage = await this.store.getUsage({ keyIds, from });
+    return Object.entries(usage.endpoints)
+      .filter(([endpoint]) => this.countedEndpoints.has(endpoint))
+      .reduce((sum, [, stats]) => sum + stats.requests - stats.errors, 0);
+  }
+
+  async _counts(record, now) {
+    const dayStart = startOfDay(now);
+    const monthStart = startOfMonth(now);
+    const account = record.ownerId || record.id;
+
+    let pending = this.counts.get(account);
+    if (pending) {
+      const counts = await pending;
+      if (counts.dayStart === dayStart && counts.monthStart === monthStart) return counts;
+    }
+
+    pending = (async () => {
+      const keyIds = record.ownerId
+        ? (await this.store.listKeys({ ownerId: record.ownerId })).map(key => key.id)
+        : [record.id];
+      const [day, month] = await Promise.all([
+        this._sumUsage(keyIds, dayStart),
+        this._sumUsage(keyIds, monthStart),
+      ]);
+      return { dayStart, day, monthStart, month };
+    })();
+    this.counts.set(account, pending);
+    pending.catch(() => this.counts.delete(account));
+    return pending;
+  }
+
+  _describe(plan, counts) {
+    const period = (limit, used, resetsAt) => ({
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      resetsAt: new Date(resetsAt).toISOString(),
+    });
+    return {
+      daily: period(plan.dailyQuota, counts.day, counts.dayStart + 24 * 60 * 60 * 1000),
+      monthly: period(plan.monthlyQuota, counts.month, nextMonth(counts.monthStart)),
+    };
+  }
+
+  /**
+   * Current quota consumption for a key's account: { daily, monthly }, each
+   * { limit, used, remaining, resetsAt } (limit/remaining null when unlimited).
+   */
+  async status(record, now = Date.now()) {
+    return this._describe(planForKey(record), await this._counts(record, now));
+  }
+
+  /**
+   * Whether the key may make `units` more quota-bearing requests, and if so
+   * reserve them right away, so concurrent requests can't all slip through on
+   * the last unit. Resolves to { allowed, exceeded, quota } — `exceeded` names
+   * the period without room, `quota` is as it was before reserving. Units for
+   * work that fails or never runs go back through release().
+   */
+  async check(record, units = 1, now = Date.now()) {
+    const plan = planForKey(record);
+    const counts = await this._counts(record, now);
+    const quota = this._describe(plan, counts);
+    const exceeded = ['daily', 'monthly'].find(period => {
+      const { remaining } = quota[period];
+      return remaining !== null && remaining < units;
+    }) || null;
+    if (!exceeded) {
+      counts.day += units;
+      counts.month += units;
+    }
+    return { allowed: !exceeded, exceeded, quota };
+  }
+
+  /**
+   * Give back units reserved by check() for the account of `keyId`.
+   */
+  async release(keyId, units = 1, now = Date.now()) {
+    const record = await this.store.getKey(keyId);
+    if (!record || units <= 0) return;
+    const counts = await this._counts(record, now);
+    counts.day = Math.max(0, counts.day - units);
+    counts.month = Math.max(0, counts.month - units);
+  }
+}
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { QuotaTracker, PLANS } from './plans.js';
+import { MemoryStore } from './storage.js';
+
+async function tracker(dailyQuota) {
+  PLANS.test = { ...PLANS.free, name: 'test', dailyQuota, monthlyQuota: null };
+  const store = new MemoryStore();
+  const record = await store.putKey({ id: 'key_a', ownerId: 'owner_a', plan: 'test', status: 'active' });
+  return { quotas: new QuotaTracker(store, ['/fetch']), record };
+}
+
+test('concurrent checks reserve the last units only once', async () => {
+  const { quotas, record } = await tracker(3);
+  const results = await Promise.all(Array.from({ length: 6 }, () => quotas.check(record)));
+  assert.equal(results.filter(result => result.allowed).length, 3);
+  assert.equal(results.find(result => !result.allowed).exceeded, 'daily');
+});
+
+test('released units can be used again', async () => {
+  const { quotas, record } = await tracker(2);
+  assert.equal((await quotas.check(record)).allowed, true);
+  assert.equal((await quotas.check(record)).allowed, true);
+  assert.equal((await quotas.check(record)).allowed, false);
+  await quotas.release(record.id);
+  assert.equal((await quotas.status(record)).daily.used, 1);
+  assert.equal((await quotas.check(record)).allowed, true);
+});
+
+test('several units are reserved together or not at all', async () => {
+  const { quotas, record } = await tracker(5);
+  const tooMany = await quotas.check(record, 6);
+  assert.equal(tooMany.allowed, false);
+  assert.equal(tooMany.quota.daily.remaining, 5);
+  assert.equal((await quotas.check(record, 5)).allowed, true);
+  assert.equal((await quotas.status(record)).daily.remaining, 0);
+});
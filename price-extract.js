@@ -0,0 +1,227 @@
+/**
+ * PriceExtract - Prices with amounts and ISO 4217 currencies.
+ *
+ * Structured markup comes first: schema.org Offers from JSON-LD, microdata
+ * (itemprop="price") and RDFa, and OpenGraph product:price tags, including
+ * AggregateOffer ranges and ListPrice/StrikethroughPrice specifications.
+ * Then the visible text is scanned for amounts next to a currency symbol or
+ * code, in any of the usual locale formats ($1,234.56, 1.234,56 €, CHF 1'234,
+ * ₹1,23,456). Text matches that repeat a structured price are dropped.
+ *
+ * Each price gets a role where the page tells it:
+ *   original - struck through (<del>, <s>, line-through), "was"/"RRP" labels,
+ *              class names like old-price, or a ListPrice/StrikethroughPrice spec
+ *   sale     - "now"/"sale" labels or class names, or a price shown next to a
+ *              higher original
+ *   low/high - the ends of an AggregateOffer range
+ */
+import { parseNumber } from './schema-extract.js';
+import { extractStructuredData } from './structured-data.js';
+import { visibleText, nodeAt, textSnippet, inferCountry } from './contact-extract.js';
+
+const MAX_RESULTS = 100;
+
+// Symbols that always mean one currency
+const SYMBOLS = {
+  'US$': 'USD', 'C$': 'CAD', 'CA$': 'CAD', 'A$': 'AUD', 'AU$': 'AUD', 'NZ$': 'NZD', 'HK$': 'HKD',
+  'S$': 'SGD', 'R$': 'BRL', 'MX$': 'MXN', 'NT$': 'TWD', 'CN¥': 'CNY', 'JP¥': 'JPY',
+  '€': 'EUR', '£': 'GBP', '₹': 'INR', '₩': 'KRW', '₽': 'RUB', '₺': 'TRY', '₪': 'ILS', '₫': 'VND',
+  '฿': 'THB', '₱': 'PHP', '₴': 'UAH', '₦': 'NGN', 'zł': 'PLN', 'Kč': 'CZK', 'Ft': 'HUF', 'lei': 'RON',
+};
+// Symbols shared by several currencies: the page's country decides, else the default
+const AMBIGUOUS_SYMBOLS = {
+  '$': { default: 'USD', CA: 'CAD', AU: 'AUD', NZ: 'NZD', SG: 'SGD', HK: 'HKD', MX: 'MXN', TW: 'TWD', AR: 'ARS', CL: 'CLP', CO: 'COP' },
+  '¥': { default: 'JPY', CN: 'CNY' },
+  '元': { default: 'CNY' },
+  'kr': { default: null, SE: 'SEK', NO: 'NOK', DK: 'DKK', IS: 'ISK' },
+  'Rs': { default: 'INR', PK: 'PKR', LK: 'LKR', NP: 'NPR' },
+};
+
+// ISO 4217 codes that are also everyday uppercase words
+const CODE_STOPWORDS = new Set(['ALL', 'TOP', 'CUP', 'BOB', 'PEN', 'SOS', 'MAD', 'XXX', 'XTS']);
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency').filter(code => !CODE_STOPWORDS.has(code)));
+
+const escape = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const SYMBOL_PATTERN = [...Object.keys(SYMBOLS), ...Object.keys(AMBIGUOUS_SYMBOLS)]
+  .sort((a, b) => b.length - a.length)
+  .map(escape)
+  .join('|');
+// 1,234.56 / 1.234,56 / 1 234,56 / 1'234.56 / 1,23,456 / 1234
+const NUMBER_PATTERN = "\\d{1,3}(?:[,.' \\u202f]\\d{2,3})+(?:[.,]\\d{1,2})?|\\d+(?:[.,]\\d{1,2})?";
+const PRICE = new RegExp(
+  `(?<prefix>${SYMBOL_PATTERN}|(?<![A-Za-z])[A-Z]{3})\\s?(?<amount>${NUMBER_PATTERN})(?![\\d%])` +
+  `|(?<![\\d.,])(?<amountBefore>${NUMBER_PATTERN})\\s?(?<suffix>${SYMBOL_PATTERN}|[A-Z]{3}(?![A-Za-z]))`,
+  'g'
+);
+
+const STRUCK_TAGS = new Set(['DEL', 'S', 'STRIKE']);
+const ORIGINAL_CLASS = /(was|old|original|regular|list|compare[-_]?at|rrp|msrp|before|strike|crossed)[-_]?price|price[-_]?(was|old|original|regular|before|strike)|strike|crossed/i;
+const SALE_CLASS = /(sale|special|discount|promo|now|current|final|offer)[-_]?price|price[-_]?(sale|now|special|current|final)|\bsale\b/i;
+const ORIGINAL_LABEL = /\b(was|rrp|msrp|list price|regular price|originally|before|reg\.?)\s*:?\s*$/i;
+const SALE_LABEL = /\b(now|sale|sale price|special|only|deal)\s*:?\s*$/i;
+// How far up from a price's text node to look for struck-through tags and class names
+const ROLE_DEPTH = 4;
+
+function symbolCurrency(symbol, country) {
+  if (SYMBOLS[symbol]) return SYMBOLS[symbol];
+  const options = AMBIGUOUS_SYMBOLS[symbol];
+  if (options) return options[country] ?? options.default;
+  return CURRENCY_CODES.has(symbol) ? symbol : undefined;
+}
+
+function elementRole(element) {
+  for (let el = element, depth = 0; el && depth < ROLE_DEPTH; el = el.parentElement, depth++) {
+    if (STRUCK_TAGS.has(el.tagName) || /line-through/i.test(el.getAttribute('style') || '')) return 'original';
+    const names = `${el.getAttribute('class') || ''} ${el.id || ''}`;
+    if (ORIGINAL_CLASS.test(names)) return 'original';
+    if (SALE_CLASS.test(names)) return 'sale';
+  }
+  return null;
+}
+
+// The block a price sits in, for pairing sale and original prices shown together
+function priceBlock(element) {
+  for (let el = element, depth = 0; el && depth < ROLE_DEPTH + 2; el = el.parentElement, depth++) {
+    if (/price|offer|product/i.test(el.getAttribute('class') || '') && el.parentElement) return el.parentElement;
+  }
+  return element.closest('li, td, p, div') || element;
+}
+
+/**
+ * Prices in the page's visible text.
+ */
+function textPrices(document, country) {
+  const segments = [];
+  const text = visibleText(document, segments);
+  const prices = [];
+
+  for (const match of text.matchAll(PRICE)) {
+    const { prefix, amount, amountBefore, suffix } = match.groups;
+    const currency = symbolCurrency(prefix ?? suffix, country);
+    const value = parseNumber(amount ?? amountBefore);
+    if (currency === undefined || value === null) continue;
+
+    const end = match.index + match[0].length;
+    const element = nodeAt(segments, match.index)?.parentElement || null;
+    const label = text.slice(Math.max(0, match.index - 20), match.index);
+    const role = elementRole(element)
+      || (ORIGINAL_LABEL.test(label) ? 'original' : SALE_LABEL.test(label) ? 'sale' : null);
+
+    prices.push({
+      amount: value,
+      currency,
+      raw: match[0],
+      role,
+      source: 'text',
+      context: textSnippet(text, match.index, end),
+      element,
+    });
+    if (prices.length >= MAX_RESULTS) break;
+  }
+
+  // An unlabelled price next to a higher original is the sale price
+  for (const price of prices) {
+    if (price.role || !price.element) continue;
+    const block = priceBlock(price.element);
+    const original = prices.find(other => other.role === 'original' && other.currency === price.currency &&
+      other.amount > price.amount && block.contains(other.element));
+    if (original) price.role = 'sale';
+  }
+
+  return prices.map(({ element, ...price }) => price);
+}
+
+const list = value => (value === undefined || value === null ? [] : [value].flat());
+const typeOf = item => list(item?.['@type']);
+const first = value => list(value)[0];
+
+function specRole(spec) {
+  const type = String(first(spec.priceType) || '');
+  if (/StrikethroughPrice|ListPrice|SRP|MSRP/i.test(type)) return 'original';
+  if (/SalePrice/i.test(type)) return 'sale';
+  return null;
+}
+
+/**
+ * Prices from schema.org Offers (JSON-LD, microdata, RDFa) and OpenGraph.
+ */
+function structuredPrices(document) {
+  const { items, byType } = extractStructuredData(document);
+  const prices = [];
+  const seen = new Set();
+
+  const added = new Set();
+  const add = (value, currency, role, { source, name }) => {
+    const amount = typeof value === 'number' ? value : parseNumber(value ?? '');
+    if (amount === null) return;
+    const code = first(currency) ? String(first(currency)).toUpperCase() : null;
+    // The same offer is often marked up twice (JSON-LD and microdata)
+    const key = `${amount} ${code} ${role} ${name}`;
+    if (added.has(key)) return;
+    added.add(key);
+    prices.push({ amount, currency: code, raw: String(value), role, source, ...(name && { name: String(name) }) });
+  };
+
+  const addOffer = (offer, context) => {
+    if (!offer || typeof offer !== 'object' || seen.has(offer)) return;
+    seen.add(offer);
+    const source = offer['@source'] || context.source;
+    const currency = offer.priceCurrency;
+
+    if (typeOf(offer).includes('AggregateOffer')) {
+      add(first(offer.lowPrice), currency, 'low', { source, name: context.name });
+      add(first(offer.highPrice), currency, 'high', { source, name: context.name });
+    }
+
+    const specs = list(offer.priceSpecification).filter(spec => spec && typeof spec === 'object');
+    const originals = [];
+    for (const spec of specs) {
+      const role = specRole(spec);
+      const amount = parseNumber(first(spec.price) ?? '');
+      if (role === 'original' && amount !== null) originals.push(amount);
+      add(first(spec.price), spec.priceCurrency ?? currency, role, { source, name: context.name });
+    }
+
+    const price = first(offer.price);
+    if (price !== undefined) {
+      const amount = parseNumber(price);
+      const role = originals.some(original => amount !== null && original > amount) ? 'sale' : null;
+      add(price, currency, role, { source, name: context.name });
+    }
+    list(offer.offers).forEach(nested => addOffer(nested, context));
+  };
+
+  // Nested entities don't carry @source; they take their top-level item's
+  const sources = new Map();
+  const mark = (value, source, depth = 0) => {
+    if (!value || typeof value !== 'object' || depth > 20) return;
+    if (!Array.isArray(value) && !sources.has(value)) sources.set(value, source);
+    Object.values(value).forEach(child => mark(child, source, depth + 1));
+  };
+  items.forEach(item => mark(item, item['@source']));
+
+  for (const product of list(byType.Product)) {
+    list(product.offers).forEach(offer => addOffer(offer, { source: sources.get(product), name: first(product.name) }));
+  }
+  // Offers that aren't attached to a product (events, services, ...)
+  for (const offer of list(byType.Offer)) {
+    addOffer(offer, { source: sources.get(offer) });
+  }
+
+  return prices;
+}
+
+/**
+ * Extract prices from a document.
+ *
+ * @param {Document} document - created with the page URL
+ * @param {object} [options]
+ * @param {string} [options.country] - decides ambiguous symbols ($, ¥, kr); inferred from the page if omitted
+ * @returns {Array<{ amount, currency, raw, role, source, context?, name? }>}
+ */
+export function extractPrices(document, { country = inferCountry(document) } = {}) {
+  const structured = structuredPrices(document);
+  const known = new Set(structured.map(price => `${price.amount} ${price.currency}`));
+  const text = textPrices(document, country).filter(price => !known.has(`${price.amount} ${price.currency}`));
+  return [...structured, ...text].slice(0, MAX_RESULTS);
+}
@@ -0,0 +1,278 @@
+/**
+ * Robots - robots.txt parsing and lookups (RFC 9309).
+ *
+ * A robots.txt is split into groups of rules, each for one or more user
+ * agents. Our rules are the group whose agent token is contained in
+ * ROBOTS_AGENT (the longest such token wins), else the `*` group. Within
+ * it the longest matching Allow/Disallow pattern decides, with Allow winning
+ * a tie; `*` matches any run of characters and a trailing `$` anchors the
+ * end of the path.
+ *
+ * Fetching follows the RFC too: a 4xx (no robots.txt) allows everything, a
+ * 5xx or unreachable server disallows everything until it answers again.
+ * RobotsCache keeps each origin's rules for `ttlSeconds` (failures for less)
+ * so every request to a site doesn't fetch its robots.txt again.
+ *
+ * Config (env): ROBOTS_CACHE_SECONDS, ROBOTS_CACHE_MAX_ENTRIES
+ */
+export const ROBOTS_AGENT = 'x402-tools';
+
+// The RFC asks parsers to read at least 500 KiB
+const MAX_ROBOTS_BYTES = 500 * 1024;
+const FETCH_TIMEOUT_MS = 10000;
+// Crawl-delay values above this are treated as this
+const MAX_CRAWL_DELAY_SECONDS = 60;
+// A robots.txt that couldn't be fetched is retried sooner than a good one expires
+const FAILURE_TTL_SECONDS = 300;
+
+export class RobotsError extends Error {
+  constructor(message, code, statusCode = 403) {
+    super(message);
+    this.name = 'RobotsError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Whether `text` starts with a match of `pattern`, where `*` is any run of
+ * characters; with `anchored`, the match must take all of `text`. The parts
+ * between `*`s are found left to right with indexOf, which is enough for
+ * `*`-only globs and never backtracks, however many `*`s a pattern has.
+ */
+export function matchWildcard(pattern, text, { anchored = false } = {}) {
+  const parts = pattern.split('*');
+  const first = parts.shift();
+  if (!text.startsWith(first)) return false;
+  if (!parts.length) return !anchored || text.length === first.length;
+  const last = parts.pop();
+  let position = first.length;
+  for (const part of parts) {
+    const found = text.indexOf(part, position);
+    if (found === -1) return false;
+    position = found + part.length;
+  }
+  return anchored
+    ? text.length - last.length >= position && text.endsWith(last)
+    : text.indexOf(last, position) !== -1;
+}
+
+// A path pattern as a matcher: `*` is any run, a final `$` the end
+function compilePattern(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = normalizePath(anchored ? pattern.slice(0, -1) : pattern);
+  return path => matchWildcard(body, path, { anchored });
+}
+
+// Percent-encoding made uniform, so /caf%C3%A9 and /café compare equal
+function normalizePath(path) {
+  try {
+    return encodeURI(decodeURI(path));
+  } catch {
+    return path;
+  }
+}
+
+export class RobotsTxt {
+  /**
+   * @param {string} text - the robots.txt body ('' allows everything)
+   * @param {object} [options]
+   * @param {boolean} [options.disallowAll] - for robots.txt that couldn't be fetched
+   * @param {string} [options.reason] - why, e.g. 'HTTP 503'
+   */
+  constructor(text = '', { disallowAll = false, reason = null } = {}) {
+    this.disallowAll = disallowAll;
+    this.reason = reason;
+    this.groups = []; // [{ agents, rules: [{ allow, pattern, matches }], crawlDelay }]
+    this.sitemaps = [];
+
+    let group = null;
+    let lastWasAgent = false;
+    for (const rawLine of text.split(/\r\n|\r|\n/)) {
+      const line = rawLine.replace(/#.*/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator < 1) continue;
+      const key = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (key === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!lastWasAgent) {
+          group = { agents: [], rules: [], crawlDelay: null };
+          this.groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        continue;
+      }
+      lastWasAgent = false;
+
+      if (key === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+      } else if (!group) {
+        continue; // rules before any user-agent line apply to nobody
+      } else if ((key === 'allow' || key === 'disallow') && value) {
+        group.rules.push({ allow: key === 'allow', pattern: value, matches: compilePattern(value) });
+      } else if (key === 'crawl-delay') {
+        const seconds = parseFloat(value);
+        if (seconds >= 0) group.crawlDelay = Math.min(seconds, MAX_CRAWL_DELAY_SECONDS);
+      }
+    }
+  }
+
+  // The groups that apply to `agent`, merged: the most specific agent token, else *
+  _rulesFor(agent) {
+    const name = agent.toLowerCase();
+    let best = null;
+    for (const group of this.groups) {
+      for (const token of group.agents) {
+        if (token !== '*' && name.includes(token) && (!best || token.length > best.length)) best = token;
+      }
+    }
+    const token = best || '*';
+    const groups = this.groups.filter(group => group.agents.includes(token));
+    return {
+      rules: groups.flatMap(group => group.rules),
+      crawlDelay: groups.find(group => group.crawlDelay !== null)?.crawlDelay ?? null,
+    };
+  }
+
+  /**
+   * Whether `agent` may fetch `url`. Returns the deciding rule too, for errors.
+   *
+   * @returns {{ allowed: boolean, rule: string|null }}
+   */
+  check(url, agent = ROBOTS_AGENT) {
+    if (this.disallowAll) return { allowed: false, rule: null };
+    const { pathname, search } = new URL(url);
+    // robots.txt itself is always allowed
+    if (pathname === '/robots.txt') return { allowed: true, rule: null };
+    const path = normalizePath(pathname + search);
+
+    let match = null;
+    for (const rule of this._rulesFor(agent).rules) {
+      if (!rule.matches(path)) continue;
+      const longer = !match || rule.pattern.length > match.pattern.length;
+      const tieWon = match && rule.pattern.length === match.pattern.length && rule.allow && !match.allow;
+      if (longer || tieWon) match = rule;
+    }
+    return {
+      allowed: !match || match.allow,
+      rule: match ? `${match.allow ? 'Allow' : 'Disallow'}: ${match.pattern}` : null,
+    };
+  }
+
+  isAllowed(url, agent = ROBOTS_AGENT) {
+    return this.check(url, agent).allowed;
+  }
+
+  /**
+   * Crawl-delay for `agent`, in seconds, or null when none is set.
+   */
+  crawlDelay(agent = ROBOTS_AGENT) {
+    return this._rulesFor(agent).crawlDelay;
+  }
+}
+
+/**
+ * Fetch and parse the robots.txt that governs `url`.
+ *
+ * @param {string} url - any URL on the site
+ * @param {object} options
+ * @param {UrlPolicy} options.policy
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<RobotsTxt>}
+ */
+export async function fetchRobots(url, { policy, signal }) {
+  const robotsUrl = new URL('/robots.txt', url).href;
+  const timeout = AbortSignal.timeout(FETCH_TIMEOUT_MS);
+  let response;
+  try {
+    response = await policy.fetch(robotsUrl, { signal: signal ? AbortSignal.any([timeout, signal]) : timeout });
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason ?? err;
+    return new RobotsTxt('', { disallowAll: true, reason: err.name === 'TimeoutError' ? 'timed out' : 'unreachable' });
+  }
+
+  if (response.status >= 400 && response.status < 500) {
+    await response.body?.cancel();
+    return new RobotsTxt('');
+  }
+  if (!response.ok) {
+    await response.body?.cancel();
+    return new RobotsTxt('', { disallowAll: true, reason: `HTTP ${response.status}` });
+  }
+
+  // Anything past the first 500 KiB is ignored
+  const chunks = [];
+  let received = 0;
+  try {
+    for await (const chunk of response.body || []) {
+      chunks.push(chunk);
+      received += chunk.length;
+      if (received >= MAX_ROBOTS_BYTES) break;
+    }
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason ?? err;
+    return new RobotsTxt('', { disallowAll: true, reason: 'unreadable' });
+  }
+  return new RobotsTxt(Buffer.concat(chunks).subarray(0, MAX_ROBOTS_BYTES).toString('utf8'));
+}
+
+export class RobotsCache {
+  /**
+   * @param {object} options
+   * @param {UrlPolicy} options.policy - robots.txt is fetched through it
+   */
+  constructor({ policy, ...options }) {
+    this.policy = policy;
+    this.ttl = parseInt(options.ttlSeconds || process.env.ROBOTS_CACHE_SECONDS || 3600) * 1000;
+    this.maxEntries = parseInt(options.maxEntries || process.env.ROBOTS_CACHE_MAX_ENTRIES || 1000);
+    this.entries = new Map(); // origin -> { robots: Promise<RobotsTxt>, expires }
+  }
+
+  /**
+   * The rules for `url`'s origin, fetched once per `ttl`. Concurrent callers
+   * share one fetch, so it isn't tied to any caller's signal.
+   *
+   * @returns {Promise<RobotsTxt>}
+   */
+  get(url) {
+    const { origin } = new URL(url);
+    const cached = this.entries.get(origin);
+    if (cached && cached.expires > Date.now()) return cached.robots;
+
+    const entry = { robots: fetchRobots(url, { policy: this.policy }), expires: Infinity };
+    this.entries.delete(origin);
+    this.entries.set(origin, entry);
+    // Oldest first; Maps keep insertion order
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    entry.robots.then(
+      robots => { entry.expires = Date.now() + (robots.disallowAll ? Math.min(this.ttl, FAILURE_TTL_SECONDS * 1000) : this.ttl); },
+      () => { if (this.entries.get(origin) === entry) this.entries.delete(origin); }
+    );
+    return entry.robots;
+  }
+
+  /**
+   * Resolve if `url` may be fetched, else reject with ROBOTS_DISALLOWED.
+   */
+  async assertAllowed(url, agent = ROBOTS_AGENT) {
+    const robots = await this.get(url);
+    const { allowed, rule } = robots.check(url, agent);
+    if (allowed) return;
+    const { host } = new URL(url);
+    throw new RobotsError(
+      robots.disallowAll
+        ? `robots.txt of ${host} could not be fetched (${robots.reason}), so the site is treated as disallowed`
+        : `robots.txt of ${host} disallows ${url} for ${agent} (${rule})`,
+      'ROBOTS_DISALLOWED'
+    );
+  }
+
+  get stats() {
+    return { entries: this.entries.size, max_entries: this.maxEntries, ttl_seconds: this.ttl / 1000 };
+  }
+}
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { matchWildcard, RobotsTxt } from './robots.js';
+
+test('unanchored patterns match a prefix of the text', () => {
+  assert.ok(matchWildcard('/private', '/private'));
+  assert.ok(matchWildcard('/private', '/private/keys.html'));
+  assert.ok(!matchWildcard('/private', '/docs/private'));
+  assert.ok(matchWildcard('/*/edit', '/pages/12/edit?draft=1'));
+  assert.ok(!matchWildcard('/*/edit', '/pages/12/view'));
+});
+
+test('anchored patterns must take the whole text', () => {
+  assert.ok(matchWildcard('/private', '/private', { anchored: true }));
+  assert.ok(!matchWildcard('/private', '/private/keys.html', { anchored: true }));
+  assert.ok(matchWildcard('/*.pdf', '/files/report.pdf', { anchored: true }));
+  assert.ok(!matchWildcard('/*.pdf', '/files/report.pdf?download=1', { anchored: true }));
+  assert.ok(matchWildcard('/docs/*', '/docs/', { anchored: true }));
+  // The tail can't reuse characters an earlier part already matched
+  assert.ok(!matchWildcard('/a*aa', '/aa', { anchored: true }));
+  assert.ok(matchWildcard('/a*aa', '/aaa', { anchored: true }));
+});
+
+test('several *s match their parts in order', () => {
+  assert.ok(matchWildcard('/*/products/*/reviews*', '/de/products/42/reviews?page=2'));
+  assert.ok(!matchWildcard('/*/reviews/*/products', '/de/products/42/reviews'));
+  assert.ok(matchWildcard('/**x**', '/x'));
+  assert.ok(matchWildcard('*', ''));
+  assert.ok(matchWildcard('/a*b*c', '/abc', { anchored: true }));
+  assert.ok(!matchWildcard('/a*b*c', '/acb', { anchored: true }));
+});
+
+test('pathological patterns finish quickly', () => {
+  // Backtracking matchers take exponential time on these
+  const pattern = '/' + '*a'.repeat(200) + '*b';
+  const text = '/' + 'a'.repeat(100000);
+  const started = Date.now();
+  assert.ok(!matchWildcard(pattern, text));
+  assert.ok(!matchWildcard(pattern, text, { anchored: true }));
+  assert.ok(matchWildcard(pattern, `${text}b`, { anchored: true }));
+  assert.ok(Date.now() - started < 1000, `took ${Date.now() - started} ms`);
+});
+
+test('robots.txt rules honor * and a trailing $', () => {
+  const robots = new RobotsTxt([
+    'User-agent: *',
+    'Disallow: /*.pdf$',
+    'Disallow: /search',
+    'Allow: /search/help$',
+    'Disallow: /*/private/*',
+    'Allow: /$',
+  ].join('\n'));
+
+  assert.ok(!robots.isAllowed('https://example.com/files/report.pdf'));
+  assert.ok(robots.isAllowed('https://example.com/files/report.pdf?preview=1'));
+  assert.ok(!robots.isAllowed('https://example.com/search?q=shoes'));
+  assert.ok(robots.isAllowed('https://example.com/search/help'));
+  assert.ok(!robots.isAllowed('https://example.com/search/help/more'));
+  assert.ok(!robots.isAllowed('https://example.com/team/private/notes'));
+  assert.ok(robots.isAllowed('https://example.com/team/private'));
+  assert.ok(robots.isAllowed('https://example.com/'));
+  assert.deepEqual(robots.check('https://example.com/search?q=1'), { allowed: false, rule: 'Disallow: /search' });
+});
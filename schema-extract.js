@@ -0,0 +1,321 @@
+/**
+ * SchemaExtract - Pull structured data out of a page with a caller-supplied schema.
+ *
+ * A schema maps field names to field specs:
+ *
+ *   {
+ *     "title": "h1",                                          // shorthand: CSS selector, text
+ *     "price": { "selector": ".price", "type": "number" },
+ *     "image": { "selector": "img.hero", "attr": "src", "type": "url" },
+ *     "published": { "xpath": "//time/@datetime", "type": "date" },
+ *     "tags": { "selector": ".tag", "list": true },
+ *     "items": { "selector": ".product", "list": true, "fields": { "name": ".name" } }
+ *   }
+ *
+ * Field spec: selector (CSS) or xpath, attr ("text" default, "html", or any
+ * attribute name), type (string, number, integer, boolean, date, url), list,
+ * and fields for nested objects. Nested selectors and XPath expressions are
+ * evaluated relative to the parent match.
+ *
+ * Output always has the shape the schema describes: a missing single value is
+ * null, a missing list is [], and a value that can't be coerced is null.
+ *
+ * Nested lists multiply (1000 items of 1000 items...), so one evaluation may
+ * output at most MAX_VALUES values in all, fields and list items alike.
+ */
+import { JSDOM } from 'jsdom';
+
+export const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'url'];
+
+const MAX_DEPTH = 5;
+const MAX_FIELDS = 200;
+const MAX_LIST_ITEMS = 1000;
+const MAX_VALUES = 10000;
+const FIELD_NAME = /^[A-Za-z_$][\w$-]{0,63}$/;
+
+// Only used to reject selectors and expressions that don't parse, before any page is loaded
+const probe = new JSDOM('').window.document;
+
+export class SchemaError extends Error {
+  constructor(message, code = 'INVALID_SCHEMA', statusCode = 400) {
+    super(message);
+    this.name = 'SchemaError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate a schema and expand shorthands. Accepts the schema as an object or
+ * a JSON string (e.g. from a query parameter). Throws SchemaError naming the
+ * offending field path.
+ */
+export function parseSchema(input) {
+  let schema = input;
+  if (typeof schema === 'string') {
+    try {
+      schema = JSON.parse(schema);
+    } catch {
+      throw new SchemaError('schema must be valid JSON');
+    }
+  }
+
+  const counter = { fields: 0 };
+  return parseFields(schema, '', 1, counter);
+}
+
+function parseFields(fields, path, depth, counter) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+    throw new SchemaError(`${path || 'schema'} must be a non-empty object of fields`);
+  }
+  if (depth > MAX_DEPTH) {
+    throw new SchemaError(`${path}: fields may be nested at most ${MAX_DEPTH} levels deep`);
+  }
+
+  const parsed = {};
+  for (const [name, spec] of Object.entries(fields)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    if (!FIELD_NAME.test(name)) {
+      throw new SchemaError(`${fieldPath}: invalid field name`);
+    }
+    if (++counter.fields > MAX_FIELDS) {
+      throw new SchemaError(`schema may have at most ${MAX_FIELDS} fields`);
+    }
+    parsed[name] = parseField(spec, fieldPath, depth, counter);
+  }
+  return parsed;
+}
+
+function parseField(spec, path, depth, counter) {
+  if (typeof spec === 'string') spec = { selector: spec };
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new SchemaError(`${path}: must be a selector string or a field object`);
+  }
+
+  const { selector, xpath, attr = 'text', type = 'string', list = false, fields } = spec;
+  if (Boolean(selector) === Boolean(xpath)) {
+    throw new SchemaError(`${path}: give exactly one of selector or xpath`);
+  }
+  if (selector !== undefined) {
+    try {
+      probe.querySelector(selector);
+    } catch {
+      throw new SchemaError(`${path}: invalid CSS selector "${selector}"`);
+    }
+  }
+  if (xpath !== undefined) {
+    try {
+      probe.createExpression(xpath, null);
+    } catch {
+      throw new SchemaError(`${path}: invalid XPath expression "${xpath}"`);
+    }
+  }
+  if (typeof attr !== 'string' || !attr) {
+    throw new SchemaError(`${path}: attr must be "text", "html" or an attribute name`);
+  }
+  if (!FIELD_TYPES.includes(type)) {
+    throw new SchemaError(`${path}: type must be one of ${FIELD_TYPES.join(', ')}`);
+  }
+  if (typeof list !== 'boolean') {
+    throw new SchemaError(`${path}: list must be true or false`);
+  }
+
+  const field = { selector: selector || null, xpath: xpath || null, attr, type, list };
+  if (fields !== undefined) {
+    field.fields = parseFields(fields, `${path}.fields`, depth + 1, counter);
+  }
+  return field;
+}
+
+/**
+ * JSON Schema (draft 2020-12) describing the output of `schema`.
+ */
+export function outputSchema(schema) {
+  const properties = {};
+  for (const [name, field] of Object.entries(schema)) {
+    const item = field.fields
+      ? { ...outputSchema(field.fields), type: ['object', 'null'] }
+      : valueSchema(field.type);
+    properties[name] = field.list ? { type: 'array', items: field.fields ? outputSchema(field.fields) : item } : item;
+  }
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(schema),
+    additionalProperties: false,
+  };
+}
+
+function valueSchema(type) {
+  switch (type) {
+    case 'date': return { type: ['string', 'null'], format: 'date-time' };
+    case 'url': return { type: ['string', 'null'], format: 'uri' };
+    default: return { type: [type, 'null'] };
+  }
+}
+
+// ---- Matching ----
+
+function cssMatches(context, selector, path) {
+  try {
+    return [...context.querySelectorAll(selector)];
+  } catch {
+    throw new SchemaError(`${path}: invalid CSS selector "${selector}"`);
+  }
+}
+
+function xpathMatches(context, expression, path) {
+  const document = context.ownerDocument || context;
+  const { XPathResult } = document.defaultView;
+  let result;
+  try {
+    result = document.evaluate(expression, context, null, XPathResult.ANY_TYPE, null);
+  } catch {
+    throw new SchemaError(`${path}: invalid XPath expression "${expression}"`);
+  }
+
+  switch (result.resultType) {
+    case XPathResult.NUMBER_TYPE: return [String(result.numberValue)];
+    case XPathResult.STRING_TYPE: return [result.stringValue];
+    case XPathResult.BOOLEAN_TYPE: return [String(result.booleanValue)];
+    default: {
+      const nodes = [];
+      let node;
+      while ((node = result.iterateNext()) && nodes.length < MAX_LIST_ITEMS) nodes.push(node);
+      return nodes;
+    }
+  }
+}
+
+// Raw string value of a match. XPath can also select attribute and text nodes
+// (or compute a string), which are used as they are.
+function rawValue(match, attr) {
+  if (typeof match === 'string') return match;
+  if (match.nodeType !== 1) return match.nodeValue ?? match.textContent;
+  if (attr === 'text') return match.textContent;
+  if (attr === 'html') return match.innerHTML;
+  // Resolved properties give absolute URLs for href/src
+  if ((attr === 'href' || attr === 'src') && typeof match[attr] === 'string' && match.hasAttribute(attr)) {
+    return match[attr];
+  }
+  return match.getAttribute(attr);
+}
+
+// ---- Coercion ----
+
+/**
+ * Parse a human-formatted number: currency symbols and spaces are dropped,
+ * and "1,299.99", "1.299,99" and "1 299,99" all read as 1299.99 (and
+ * "1,23,456" as 123456).
+ */
+export function parseNumber(value) {
+  const cleaned = String(value).replace(/[^\d.,\-]/g, '');
+  if (!/\d/.test(cleaned)) return null;
+
+  let normalized = cleaned;
+  const lastComma = cleaned.lastIndexOf(',');
+  const lastDot = cleaned.lastIndexOf('.');
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal point
+    normalized = lastComma > lastDot
+      ? cleaned.replace(/\./g, '').replace(',', '.')
+      : cleaned.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    // Commas followed by exactly three digits, or several commas (Indian 1,23,456), group thousands
+    const grouping = /^-?\d{1,3}(,\d{3})+$/.test(cleaned) || /,.*,/.test(cleaned);
+    normalized = grouping ? cleaned.replace(/,/g, '') : cleaned.replace(',', '.');
+  } else if (/^-?\d{1,3}(\.\d{3}){2,}$/.test(cleaned)) {
+    normalized = cleaned.replace(/\./g, '');
+  }
+
+  const number = Number(normalized);
+  return Number.isFinite(number) ? number : null;
+}
+
+function coerce(value, type, baseUrl) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim();
+
+  switch (type) {
+    case 'number':
+      return parseNumber(text);
+    case 'integer': {
+      const number = parseNumber(text);
+      return number === null ? null : Math.trunc(number);
+    }
+    case 'boolean':
+      if (/^(true|yes|y|1|on|checked|selected)$/i.test(text)) return true;
+      if (/^(false|no|n|0|off|)$/i.test(text)) return false;
+      return null;
+    case 'date': {
+      const ms = Date.parse(text);
+      return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+    }
+    case 'url':
+      if (!text) return null;
+      try {
+        return new URL(text, baseUrl).href;
+      } catch {
+        return null;
+      }
+    default:
+      return text || null;
+  }
+}
+
+// ---- Extraction ----
+
+// Charge `count` output values against the evaluation's budget
+function spend(budget, count, path) {
+  budget.values -= count;
+  if (budget.values < 0) {
+    throw new SchemaError(
+      `${path}: schema would output more than ${MAX_VALUES} values. Use narrower selectors for list fields`,
+      'SCHEMA_TOO_LARGE',
+      422
+    );
+  }
+}
+
+function extractFields(context, schema, baseUrl, budget, path = '') {
+  const data = {};
+  for (const [name, field] of Object.entries(schema)) {
+    const fieldPath = path ? `${path}.${name}` : name;
+    spend(budget, 1, fieldPath);
+    data[name] = extractField(context, field, baseUrl, budget, fieldPath);
+  }
+  return data;
+}
+
+function extractField(context, field, baseUrl, budget, path) {
+  let matches = field.selector
+    ? cssMatches(context, field.selector, path)
+    : xpathMatches(context, field.xpath, path);
+  matches = field.list ? matches.slice(0, MAX_LIST_ITEMS) : matches.slice(0, 1);
+  if (field.list) spend(budget, matches.length, path);
+
+  const values = matches.map(match => {
+    if (field.fields) {
+      // Nested objects need an element to search inside
+      return match.nodeType === 1 ? extractFields(match, field.fields, baseUrl, budget, path) : null;
+    }
+    return coerce(rawValue(match, field.attr), field.type, baseUrl);
+  });
+
+  if (field.list) {
+    return field.fields ? values.filter(Boolean) : values;
+  }
+  return values[0] ?? null;
+}
+
+/**
+ * Run a parsed schema over a document. Throws SchemaError (SCHEMA_TOO_LARGE)
+ * when the output would hold more than MAX_VALUES values.
+ *
+ * @param {Document} document - JSDOM document, created with the page URL so
+ *   relative links resolve
+ * @param {object} schema - from parseSchema
+ */
+export function extractWithSchema(document, schema) {
+  return extractFields(document, schema, document.URL, { values: MAX_VALUES });
+}
@@ -0,0 +1,234 @@
+/**
+ * Screenshot - Capture options for /screenshot and how to apply them to a page.
+ *
+ * parseScreenshotOptions validates request parameters (query strings or JSON
+ * from jobs and batches) into a normalized object, which doubles as the cache
+ * key. capture() then drives a pooled page:
+ *
+ *   viewport or device -> color scheme -> navigate -> hide selectors ->
+ *   delay -> screenshot (page, element or clip) or PDF
+ *
+ * Waits, headers, cookies and page actions are navigation options (see
+ * navigation.js), applied by the `navigate` callback.
+ *
+ * Devices are Puppeteer's presets ("iPhone 13", "Pixel 5", "iPad Pro"...),
+ * which bring their own viewport, deviceScaleFactor, touch and user agent.
+ */
+import { KnownDevices } from 'puppeteer';
+import { JSDOM } from 'jsdom';
+
+export const SCREENSHOT_FORMATS = ['png', 'jpeg', 'webp', 'pdf'];
+export const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+export const PAPER_FORMATS = ['A3', 'A4', 'A5', 'Legal', 'Letter', 'Tabloid'];
+export const DEVICES = Object.keys(KnownDevices);
+
+const MAX_DIMENSION = 5000;
+const MAX_DELAY_MS = 10000;
+const MAX_HIDE_SELECTORS = 50;
+const MARGIN = /^\d+(\.\d+)?(px|in|cm|mm)$/;
+
+// Only used to reject selectors that don't parse, before any page is loaded
+const probe = new JSDOM('').window.document;
+
+export class ScreenshotError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'ScreenshotError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const isTrue = value => value === true || String(value) === 'true';
+
+function integer(value, name, min, max, code) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new ScreenshotError(`${name} must be an integer from ${min} to ${max}`, code);
+  }
+  return number;
+}
+
+function selector(value, name) {
+  const text = String(value).trim();
+  try {
+    probe.querySelector(text);
+  } catch {
+    throw new ScreenshotError(`${name}: invalid CSS selector "${text}"`, 'INVALID_SELECTOR');
+  }
+  return text;
+}
+
+function findDevice(name) {
+  const wanted = String(name).trim().toLowerCase();
+  const match = DEVICES.find(device => device.toLowerCase() === wanted);
+  if (!match) {
+    throw new ScreenshotError(`Unknown device "${name}". See /discovery for the list, e.g. "iPhone 13", "Pixel 5", "iPad Pro"`, 'INVALID_DEVICE');
+  }
+  return match;
+}
+
+// "x,y,width,height" or { x, y, width, height }. Clips are captured beyond the
+// viewport, so they stay within MAX_DIMENSION of the page's top left corner.
+function parseClip(value) {
+  const parts = typeof value === 'object' && value !== null
+    ? [value.x, value.y, value.width, value.height]
+    : String(value).split(',');
+  const [x, y, width, height] = parts.map(Number);
+  if (parts.length !== 4 || ![x, y, width, height].every(Number.isFinite) || x < 0 || y < 0 || width <= 0 || height <= 0) {
+    throw new ScreenshotError('clip must be "x,y,width,height" with non-negative numbers and a non-zero size', 'INVALID_CLIP');
+  }
+  if (x + width > MAX_DIMENSION || y + height > MAX_DIMENSION) {
+    throw new ScreenshotError(`clip must end within ${MAX_DIMENSION} px of the page's top left corner (x + width and y + height)`, 'INVALID_CLIP');
+  }
+  return { x, y, width, height };
+}
+
+// One CSS length for every side, or "top,right,bottom,left"
+function parseMargin(value) {
+  const parts = String(value).split(',').map(part => part.trim());
+  if (![1, 4].includes(parts.length) || !parts.every(part => MARGIN.test(part) || part === '0')) {
+    throw new ScreenshotError('margin must be a length like "1cm" or "top,right,bottom,left" (px, in, cm, mm)', 'INVALID_MARGIN');
+  }
+  const [top, right = top, bottom = top, left = top] = parts;
+  return { top, right, bottom, left };
+}
+
+function unsupported(option, format) {
+  return new ScreenshotError(`${option} doesn't apply to ${format} output`, 'UNSUPPORTED_OPTION');
+}
+
+/**
+ * Validate and normalize screenshot parameters. Unset options are left
+ * undefined so they stay out of the cache key.
+ */
+export function parseScreenshotOptions(params) {
+  const format = params.format === undefined ? 'png' : String(params.format).toLowerCase();
+  if (!SCREENSHOT_FORMATS.includes(format)) {
+    throw new ScreenshotError(`Invalid format. Use one of: ${SCREENSHOT_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  const pdf = format === 'pdf';
+
+  const options = {
+    format,
+    width: integer(params.width ?? 1280, 'width', 100, MAX_DIMENSION, 'INVALID_VIEWPORT'),
+    height: integer(params.height ?? 720, 'height', 100, MAX_DIMENSION, 'INVALID_VIEWPORT'),
+    device: params.device ? findDevice(params.device) : undefined,
+    deviceScaleFactor: params.deviceScaleFactor === undefined ? undefined
+      : integer(params.deviceScaleFactor, 'deviceScaleFactor', 1, 3, 'INVALID_VIEWPORT'),
+    fullPage: isTrue(params.fullPage) || undefined,
+    colorScheme: params.colorScheme === undefined ? undefined : String(params.colorScheme),
+    selector: params.selector ? selector(params.selector, 'selector') : undefined,
+    clip: params.clip ? parseClip(params.clip) : undefined,
+    quality: params.quality === undefined ? undefined : integer(params.quality, 'quality', 1, 100, 'INVALID_QUALITY'),
+    delay: params.delay === undefined ? undefined : integer(params.delay, 'delay', 0, MAX_DELAY_MS, 'INVALID_DELAY'),
+    hideSelectors: undefined,
+  };
+
+  if (options.colorScheme !== undefined && !COLOR_SCHEMES.includes(options.colorScheme)) {
+    throw new ScreenshotError(`Invalid colorScheme. Use one of: ${COLOR_SCHEMES.join(', ')}`, 'INVALID_COLOR_SCHEME');
+  }
+  if (options.device) {
+    if (options.deviceScaleFactor) {
+      throw new ScreenshotError('deviceScaleFactor comes with the device; give one or the other', 'INVALID_VIEWPORT');
+    }
+    // The device's own viewport is used
+    options.width = undefined;
+    options.height = undefined;
+  }
+  if (options.quality !== undefined && !['jpeg', 'webp'].includes(format)) {
+    throw unsupported('quality', format);
+  }
+  if ([options.selector, options.clip, options.fullPage].filter(Boolean).length > 1) {
+    throw new ScreenshotError('selector, clip and fullPage are mutually exclusive', 'INVALID_CLIP');
+  }
+
+  if (params.hideSelectors) {
+    const list = Array.isArray(params.hideSelectors) ? params.hideSelectors : String(params.hideSelectors).split(',');
+    const selectors = list.map(item => String(item).trim()).filter(Boolean);
+    if (selectors.length > MAX_HIDE_SELECTORS) {
+      throw new ScreenshotError(`hideSelectors may list at most ${MAX_HIDE_SELECTORS} selectors`, 'INVALID_SELECTOR');
+    }
+    options.hideSelectors = selectors.map(item => selector(item, 'hideSelectors'));
+  }
+
+  if (pdf) {
+    for (const option of ['selector', 'clip', 'fullPage']) {
+      if (options[option]) throw unsupported(option, 'pdf');
+    }
+    const paper = params.paperFormat === undefined ? 'A4' : String(params.paperFormat);
+    options.paperFormat = PAPER_FORMATS.find(name => name.toLowerCase() === paper.toLowerCase());
+    if (!options.paperFormat) {
+      throw new ScreenshotError(`Invalid paperFormat. Use one of: ${PAPER_FORMATS.join(', ')}`, 'INVALID_PAPER');
+    }
+    options.landscape = isTrue(params.landscape) || undefined;
+    options.margin = params.margin === undefined ? undefined : parseMargin(params.margin);
+    options.printBackground = params.printBackground === undefined ? true : isTrue(params.printBackground);
+  } else {
+    for (const option of ['paperFormat', 'landscape', 'margin', 'printBackground']) {
+      if (params[option] !== undefined) throw unsupported(option, format);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Capture `options` (from parseScreenshotOptions) on a fresh page.
+ *
+ * @param {Page} page
+ * @param {object} options
+ * @param {() => Promise} navigate - loads the URL with the navigation options
+ * @returns {Promise<{ body: Buffer, contentType: string }>}
+ */
+export async function capture(page, options, navigate) {
+  if (options.device) {
+    await page.emulate(KnownDevices[options.device]);
+  } else {
+    await page.setViewport({
+      width: options.width,
+      height: options.height,
+      deviceScaleFactor: options.deviceScaleFactor || 1,
+    });
+  }
+  if (options.colorScheme) {
+    await page.emulateMediaFeatures([{ name: 'prefers-color-scheme', value: options.colorScheme }]);
+  }
+
+  await navigate();
+
+  if (options.hideSelectors?.length) {
+    await page.addStyleTag({ content: `${options.hideSelectors.join(',\n')} { display: none !important; }` });
+  }
+  if (options.delay) {
+    await new Promise(resolve => setTimeout(resolve, options.delay));
+  }
+
+  if (options.format === 'pdf') {
+    const pdf = await page.pdf({
+      format: options.paperFormat,
+      landscape: Boolean(options.landscape),
+      margin: options.margin,
+      printBackground: options.printBackground,
+    });
+    return { body: Buffer.from(pdf), contentType: 'application/pdf' };
+  }
+
+  const shotOptions = { type: options.format, quality: options.quality };
+  let image;
+  if (options.selector) {
+    const element = await page.$(options.selector);
+    if (!element) {
+      throw new ScreenshotError(`No element matches "${options.selector}"`, 'SELECTOR_NOT_FOUND', 422);
+    }
+    image = await element.screenshot(shotOptions);
+  } else {
+    image = await page.screenshot({
+      ...shotOptions,
+      fullPage: Boolean(options.fullPage),
+      clip: options.clip,
+      captureBeyondViewport: Boolean(options.clip),
+    });
+  }
+  return { body: Buffer.from(image), contentType: `image/${options.format}` };
+}
@@ -5,16 +5,44 @@ import compression from 'compression';
 import rateLimit from 'express-rate-limit';
 import puppeteer from 'puppeteer';
 import { BrowserPool, PoolError } from './browser-pool.js';
+import { UrlPolicy, UrlPolicyError } from './url-policy.js';
 import { Readability } from '@mozilla/readability';
 import { JSDOM } from 'jsdom';
-import { createRequire } from 'module';
+import { htmlToMarkdown } from './markdown.js';
+import { createSummarizer, resolveLength, readingTime, SUMMARY_LENGTHS } from './summarizer.js';
+import { createStore, PUBLIC_KEY_ID } from './storage.js';
+import {
+  ApiKeyManager, ApiKeyError, describeKey, hasScope, keyRole, keyScopes, keyStatus, parseScopes, ROLES, KEY_STATUS
+} from './api-keys.js';
+import { PLANS, planForKey, QuotaTracker } from './plans.js';
+import { ResponseCache, cacheKey } from './cache.js';
+import { JobQueue, JobError, JOB_STATUS, isFinished, encodeResult } from './jobs.js';
+import { WebhookSender } from './webhooks.js';
+import { diffPages, renderHtmlDiff, textBlocks, DIFF_FORMATS } from './content-diff.js';
+import { MonitorScheduler, MonitorError, MONITOR_SCOPES } from './monitors.js';
+import { parseSchema, extractWithSchema, outputSchema, SchemaError, FIELD_TYPES } from './schema-extract.js';
+import { diffImages, parseRegions, VisualDiffError } from './visual-diff.js';
+import { extractStructuredData, parseItemTypes } from './structured-data.js';
+import { extractTables, TABLE_FORMATS } from './table-extract.js';
+import { extractContacts, parseCountry, ContactError } from './contact-extract.js';
+import { extractPrices } from './price-extract.js';
+import {
+  parseScreenshotOptions, capture, ScreenshotError, SCREENSHOT_FORMATS, COLOR_SCHEMES, PAPER_FORMATS, DEVICES
+} from './screenshot.js';
+import {
+  parseNavigationOptions, openPage, navigationTimeMs, NavigationError, NAVIGATION_OPTIONS, WAIT_STRATEGIES, BLOCKABLE_RESOURCES, ACTION_TYPES
+} from './navigation.js';
+import { extractPdf, downloadPdf, checkPdf, parsePageRange, pdfTooLarge, PdfError } from './pdf-extract.js';
+import { isUpload, receiveUpload, downloadFile, fileTooLarge, UploadError } from './uploads.js';
+import { convertDocument, DocumentError, DOCUMENT_TYPES } from './documents.js';
+import { crawl, parseCrawlOptions, CrawlError } from './crawler.js';
+import { RobotsCache, RobotsError } from './robots.js';
+import { readSitemaps, SitemapError } from './sitemap.js';
 import fs from 'fs';
 import path from 'path';
+import { setTimeout as sleep } from 'timers/promises';
 import 'dotenv/config';
 
-const require = createRequire(import.meta.url);
-const pdf = require('pdf-parse');
-
 // x402 - conditionally import if payments enabled
 let paymentMiddleware = null;
 if (process.env.ENABLE_PAYMENTS === 'true') {
@@ -34,53 +62,144 @@ app.use(compression());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
-// Request timeout middleware (60 seconds)
+// Request timeout middleware. Synchronous requests get 60 seconds, or as long as
+// their page loads may take (req.allowTime) up to MAX_REQUEST_MS; longer work
+// belongs in a job. req.signal aborts the runner once the 408 has gone out.
+const REQUEST_TIMEOUT_MS = 60000;
+const MAX_REQUEST_MS = 180000;
+// Room on top of page loads for queueing in the pool and parsing
+const REQUEST_SLACK_MS = 15000;
+
 app.use((req, res, next) => {
-  req.setTimeout(60000, () => {
-    const err = new Error('Request timeout');
-    err.code = 'TIMEOUT';
-    res.status(408).json({ error: 'Request timeout after 60 seconds' });
+  const controller = new AbortController();
+  let timeoutMs = REQUEST_TIMEOUT_MS;
+  req.signal = controller.signal;
+  req.allowTime = navigationMs => {
+    const needed = navigationMs + REQUEST_SLACK_MS;
+    if (needed > MAX_REQUEST_MS) {
+      throw new NavigationError(
+        `timeout, waits and actions allow up to ${Math.ceil(navigationMs / 1000)} s of page loading, ` +
+        `more than a synchronous request may take (${MAX_REQUEST_MS / 1000} s). Lower them or submit a job with POST /jobs`,
+        'TIMEOUT_TOO_LONG'
+      );
+    }
+    if (needed > timeoutMs) {
+      timeoutMs = needed;
+      req.setTimeout(timeoutMs);
+    }
+  };
+  req.setTimeout(timeoutMs, () => {
+    // Streaming responses (e.g. /batch) have already started and keep going
+    if (res.headersSent) return;
+    controller.abort(new ToolError(`Request timeout after ${timeoutMs / 1000} seconds`, 'TIMEOUT', 408));
+    res.status(408).json({ error: `Request timeout after ${timeoutMs / 1000} seconds` });
   });
   next();
 });
 
-// In-memory storage for usage tracking
-const usage = new Map(); // key: API key, value: { requests: number, lastUsed: Date }
-const logs = []; // Array of request logs
-const MAX_LOGS = 10000; // Keep last 10k logs in memory
+// Durable storage for API keys, request logs and usage counters
+const store = await createStore();
+const LOG_RETENTION_DAYS = parseInt(process.env.LOG_RETENTION_DAYS || 30); // 0 keeps logs forever
 
 // API Key Authentication Middleware
-const API_KEYS = process.env.API_KEYS ? process.env.API_KEYS.split(',').map(key => key.trim()) : [];
+const parseKeyList = value => (value ? value.split(',').map(key => key.trim()).filter(Boolean) : []);
+const API_KEYS = parseKeyList(process.env.API_KEYS);
+const ADMIN_API_KEYS = parseKeyList(process.env.ADMIN_API_KEYS);
 const PUBLIC_ENDPOINTS = ['/health', '/discovery', '/', '/register', '/usage', '/stats', '/queue/status'];
 
-const authenticateApiKey = (req, res, next) => {
-  // Skip authentication for public endpoints
-  if (PUBLIC_ENDPOINTS.includes(req.path)) {
-    return next();
-  }
+// Tool endpoints and the key scope each requires
+const ROUTE_SCOPES = {
+  '/fetch': 'fetch',
+  '/screenshot': 'screenshot',
+  '/pdf': 'pdf',
+  '/document': 'document',
+  '/summarize': 'summarize',
+  '/extract': 'extract',
+  '/compare': 'compare',
+  '/sitemap': 'sitemap',
+};
 
-  const apiKey = req.header('X-API-Key');
-  
-  if (!apiKey) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'API key missing. Include X-API-Key header.',
-      code: 'MISSING_API_KEY'
-    });
+// Keys live in the store (hashed); env keys are mirrored in on boot.
+// ADMIN_API_KEYS get the admin role, API_KEYS the user role.
+const apiKeys = new ApiKeyManager(store);
+await apiKeys.syncConfigKeys([
+  ...API_KEYS.filter(key => !ADMIN_API_KEYS.includes(key)).map(key => ({ key, role: ROLES.USER })),
+  ...ADMIN_API_KEYS.map(key => ({ key, role: ROLES.ADMIN })),
+]);
+
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const apiKey = req.header('X-API-Key');
+
+    let record = null;
+    let authError = null;
+    if (apiKey) {
+      try {
+        record = await apiKeys.authenticate(apiKey);
+      } catch (err) {
+        if (!(err instanceof ApiKeyError)) throw err;
+        authError = err;
+      }
+    }
+
+    if (record) {
+      req.apiKey = apiKey;
+      req.keyId = record.id;
+      req.apiKeyRecord = record;
+    }
+
+    // Public endpoints don't require a key, but still identify the caller if one is sent
+    if (PUBLIC_ENDPOINTS.includes(req.path)) {
+      return next();
+    }
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'API key missing. Include X-API-Key header.',
+        code: 'MISSING_API_KEY'
+      });
+    }
+
+    if (authError) {
+      return res.status(authError.statusCode).json({
+        error: 'Authentication failed',
+        message: authError.message,
+        code: authError.code
+      });
+    }
+
+    const scope = ROUTE_SCOPES[req.path];
+    if (scope && !hasScope(record, scope)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key is not allowed to call ${req.path} (requires scope "${scope}")`,
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
   }
+};
+
+// Role checks for admin and metrics routes
+const hasRole = (req, ...roles) => Boolean(req.apiKeyRecord) && roles.includes(keyRole(req.apiKeyRecord));
 
-  if (!API_KEYS.includes(apiKey)) {
-    return res.status(401).json({
-      error: 'Authentication failed',
-      message: 'Invalid API key',
-      code: 'INVALID_API_KEY'
+const requireRole = (...roles) => (req, res, next) => {
+  if (!hasRole(req, ...roles)) {
+    return res.status(403).json({
+      error: 'Admin access required',
+      message: `This endpoint requires one of these roles: ${roles.join(', ')}`,
+      code: 'ROLE_REQUIRED'
     });
   }
-
-  req.apiKey = apiKey;
   next();
 };
 
+const requireAdmin = requireRole(ROLES.ADMIN);
+
 // Request logging middleware
 const logRequest = (req, res, next) => {
   const startTime = Date.now();
@@ -91,32 +210,21 @@ const logRequest = (req, res, next) => {
     
     const logEntry = {
       timestamp: new Date().toISOString(),
-      endpoint: req.path,
+      // Route pattern where one matched, so /jobs/:id isn't logged once per id
+      endpoint: req.route ? req.baseUrl + req.route.path : req.path,
       method: req.method,
-      apiKey: req.apiKey || 'public',
+      keyId: req.keyId || PUBLIC_KEY_ID,
       responseTime,
       status: res.statusCode,
       ip: req.ip,
       userAgent: req.get('User-Agent') || 'unknown'
     };
     
-    // Add to logs array (keep it under MAX_LOGS)
-    logs.push(logEntry);
-    if (logs.length > MAX_LOGS) {
-      logs.shift(); // Remove oldest log
-    }
-    
-    // Update usage tracking for authenticated requests
-    if (req.apiKey) {
-      if (!usage.has(req.apiKey)) {
-        usage.set(req.apiKey, { requests: 0, lastUsed: null });
-      }
-      const stats = usage.get(req.apiKey);
-      stats.requests++;
-      stats.lastUsed = new Date();
-    }
+    store.recordRequest(logEntry).catch(err => {
+      console.error('Failed to record request:', err.message);
+    });
     
-    console.log(`${logEntry.timestamp} - ${logEntry.method} ${logEntry.endpoint} - ${logEntry.status} - ${responseTime}ms - ${logEntry.apiKey}`);
+    console.log(`${logEntry.timestamp} - ${logEntry.method} ${logEntry.endpoint} - ${logEntry.status} - ${responseTime}ms - ${logEntry.keyId}`);
   });
   
   next();
@@ -124,10 +232,15 @@ const logRequest = (req, res, next) => {
 
 app.use(logRequest);
 
-// Rate limiting
+// Rate limiting. Callers without a valid key are limited per IP; keyed callers
+// get per-account limits from their plan instead, so agents sharing a NAT don't
+// compete for the same bucket, and extra keys on one account don't add up.
+const accountOf = req => req.apiKeyRecord.ownerId || req.keyId;
+
 const globalLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
   max: 100, // 100 requests per minute per IP
+  skip: req => Boolean(req.keyId),
   message: {
     error: 'Too many requests',
     message: 'Rate limit exceeded. Maximum 100 requests per minute.',
@@ -137,30 +250,144 @@ const globalLimiter = rateLimit({
   legacyHeaders: false,
 });
 
-const heavyEndpointLimiter = rateLimit({
+// Requests per minute per account, across all endpoints
+const keyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: req => planForKey(req.apiKeyRecord).requestsPerMinute,
+  skip: req => !req.keyId || planForKey(req.apiKeyRecord).requestsPerMinute === null,
+  keyGenerator: accountOf,
+  handler: (req, res, next, options) => {
+    const plan = planForKey(req.apiKeyRecord);
+    res.status(options.statusCode).json({
+      error: 'Too many requests',
+      message: `Rate limit exceeded. The ${plan.name} plan allows ${plan.requestsPerMinute} requests per minute.`,
+      code: 'RATE_LIMIT_EXCEEDED'
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Per-endpoint limits per account (e.g. screenshots and comparisons, which hold a browser page)
+const endpointLimit = req => planForKey(req.apiKeyRecord).endpointLimits[ROUTE_SCOPES[req.path]] ?? null;
+
+const endpointLimiter = rateLimit({
   windowMs: 60 * 1000, // 1 minute
-  max: 20, // 20 requests per minute for heavy endpoints
+  max: endpointLimit,
+  skip: req => !req.keyId || endpointLimit(req) === null,
+  keyGenerator: req => `${accountOf(req)}:${ROUTE_SCOPES[req.path]}`,
+  handler: (req, res, next, options) => {
+    const plan = planForKey(req.apiKeyRecord);
+    res.status(options.statusCode).json({
+      error: 'Too many requests',
+      message: `Rate limit exceeded for ${req.path}. The ${plan.name} plan allows ${endpointLimit(req)} requests per minute.`,
+      code: 'RATE_LIMIT_EXCEEDED'
+    });
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Self-service registration is public, so it gets its own tight limit
+const registerLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 new keys per hour per IP
   message: {
     error: 'Too many requests',
-    message: 'Rate limit exceeded for heavy endpoint. Maximum 20 requests per minute.',
+    message: 'Registration limit exceeded. Maximum 5 keys per hour.',
     code: 'RATE_LIMIT_EXCEEDED'
   },
   standardHeaders: true,
   legacyHeaders: false,
 });
 
-app.use(globalLimiter);
+// Keys an account may issue itself (POST /keys), and how fast it may issue or
+// rotate them
+const MAX_KEYS_PER_ACCOUNT = parseInt(process.env.MAX_KEYS_PER_ACCOUNT || 10);
+const KEY_ISSUES_PER_HOUR = parseInt(process.env.KEY_ISSUES_PER_HOUR || 10);
+
+const keyIssueLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: KEY_ISSUES_PER_HOUR,
+  keyGenerator: accountOf,
+  message: {
+    error: 'Too many requests',
+    message: `Key issuance limit exceeded. An account may issue or rotate ${KEY_ISSUES_PER_HOUR} keys per hour.`,
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
 
-// Apply API key authentication
+// Apply API key authentication, then the limits that depend on who is calling
 app.use(authenticateApiKey);
+app.use(globalLimiter);
+app.use(keyLimiter);
+app.use(endpointLimiter);
+
+// Daily / monthly quotas. Only successful tool-endpoint requests count.
+const quotas = new QuotaTracker(store, Object.keys(ROUTE_SCOPES));
+
+// The period closest to running out is the one reported in headers
+function bindingQuota(quota) {
+  const periods = Object.entries(quota).filter(([, period]) => period.limit !== null);
+  if (periods.length === 0) return null;
+  return periods.reduce((a, b) => (b[1].remaining < a[1].remaining ? b : a));
+}
+
+const releaseQuota = (keyId, units = 1) => quotas.release(keyId, units).catch(err => {
+  console.error('Failed to release quota:', err.message);
+});
+
+const quotaExceeded = (res, exceeded, quota) => res.status(429).json({
+  error: 'Quota exceeded',
+  message: `The ${exceeded} quota of ${quota[exceeded].limit} requests for this account is used up. It resets at ${quota[exceeded].resetsAt}.`,
+  code: 'QUOTA_EXCEEDED',
+  quota
+});
+
+const enforceQuota = async (req, res, next) => {
+  try {
+    if (!req.keyId || !ROUTE_SCOPES[req.path]) return next();
+
+    const { allowed, exceeded, quota } = await quotas.check(req.apiKeyRecord);
+    const binding = bindingQuota(quota);
+    res.set('X-Quota-Plan', planForKey(req.apiKeyRecord).name);
+    if (binding) {
+      const [period, { limit, remaining, resetsAt }] = binding;
+      res.set({
+        'X-Quota-Period': period,
+        'X-Quota-Limit': String(limit),
+        // Remaining after this request, assuming it succeeds
+        'X-Quota-Remaining': String(allowed ? remaining - 1 : remaining),
+        'X-Quota-Reset': resetsAt,
+      });
+    }
+
+    if (!allowed) return quotaExceeded(res, exceeded, quota);
+
+    // check() reserved the unit; it goes back if the request fails or never completes
+    res.on('close', () => {
+      if (res.writableFinished && res.statusCode < 400) return;
+      releaseQuota(req.keyId);
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+app.use(enforceQuota);
 
 // Pricing in USDC (6 decimals)
 const FETCH_PRICE = '1000';      // $0.001
 const SCREENSHOT_PRICE = '5000'; // $0.005  
 const PDF_PRICE = '2000';        // $0.002 per request
+const DOCUMENT_PRICE = '2000';   // $0.002 per document
 const SUMMARIZE_PRICE = '10000'; // $0.01 per summary
 const EXTRACT_PRICE = '5000';    // $0.005 per extraction
 const COMPARE_PRICE = '15000';   // $0.015 per comparison
+const SITEMAP_PRICE = '1000';    // $0.001 per site
 
 // x402 payment configuration
 const paymentConfig = {
@@ -174,19 +401,37 @@ const paymentConfig = {
     price: SCREENSHOT_PRICE,
     network: 'base',
     currency: 'USDC',
-    description: 'Screenshot API - Capture any URL as PNG image',
+    description: 'Screenshot API - Capture any URL or element as PNG/JPEG/WebP, or render it as PDF',
   },
   'POST /pdf': {
     price: PDF_PRICE,
     network: 'base',
     currency: 'USDC',
-    description: 'PDF to Text - Extract text from PDF documents',
+    description: 'PDF to Text - Extract text, headings, tables and outline from PDF documents',
+  },
+  'POST /document': {
+    price: DOCUMENT_PRICE,
+    network: 'base',
+    currency: 'USDC',
+    description: 'Document conversion - PDF, DOCX, EPUB, HTML or text to markdown/text/html',
+  },
+  'POST /summarize': {
+    price: SUMMARIZE_PRICE,
+    network: 'base',
+    currency: 'USDC',
+    description: 'Summarize a URL or text into a summary, key points and reading time',
   },
   'GET /extract': {
     price: EXTRACT_PRICE,
     network: 'base',
     currency: 'USDC',
-    description: 'Extract structured data (emails, phones, links, prices) from URL',
+    description: 'Extract structured data (emails, phones, links, prices, tables, schema.org) from URL',
+  },
+  'POST /extract': {
+    price: EXTRACT_PRICE,
+    network: 'base',
+    currency: 'USDC',
+    description: 'Extract fields from URL with a CSS/XPath schema',
   },
   'POST /compare': {
     price: COMPARE_PRICE,
@@ -194,42 +439,240 @@ const paymentConfig = {
     currency: 'USDC',
     description: 'Compare two URLs and return differences',
   },
+  'GET /sitemap': {
+    price: SITEMAP_PRICE,
+    network: 'base',
+    currency: 'USDC',
+    description: 'Sitemap - List a site\'s URLs from its sitemaps, with lastmod and priority',
+  },
+};
+
+// Prices by tool (scope name), for routes that run any tool
+const TOOL_PRICES = {
+  fetch: FETCH_PRICE,
+  screenshot: SCREENSHOT_PRICE,
+  pdf: PDF_PRICE,
+  document: DOCUMENT_PRICE,
+  summarize: SUMMARIZE_PRICE,
+  extract: EXTRACT_PRICE,
+  compare: COMPARE_PRICE,
+  sitemap: SITEMAP_PRICE,
+};
+
+const paymentsEnabled = process.env.ENABLE_PAYMENTS === 'true' && Boolean(paymentMiddleware);
+const paymentOptions = {
+  facilitatorUrl: process.env.FACILITATOR_URL || 'https://x402.org/facilitator',
+  walletAddress: process.env.WALLET_ADDRESS,
 };
 
 // Apply x402 payment middleware
-if (process.env.ENABLE_PAYMENTS === 'true' && paymentMiddleware) {
-  app.use(paymentMiddleware(paymentConfig, {
-    facilitatorUrl: process.env.FACILITATOR_URL || 'https://x402.org/facilitator',
-    walletAddress: process.env.WALLET_ADDRESS,
-  }));
+if (paymentsEnabled) {
+  app.use(paymentMiddleware(paymentConfig, paymentOptions));
+}
+
+// Async jobs are paid at the price of the tool they run
+const jobPayments = paymentsEnabled
+  ? Object.fromEntries(Object.entries(TOOL_PRICES).map(([type, price]) => [type, paymentMiddleware({
+    'POST /jobs': {
+      price,
+      network: 'base',
+      currency: 'USDC',
+      description: `Async ${type} job`,
+    },
+  }, paymentOptions)]))
+  : {};
+
+const payForJob = (req, res, next) => {
+  const pay = jobPayments[req.body?.type];
+  return pay ? pay(req, res, next) : next();
+};
+
+// A batch is one payment for the sum of its operations' prices (see parseBatch)
+const payForBatch = (req, res, next) => {
+  if (!paymentsEnabled) return next();
+  const price = req.batch.operations.reduce((sum, op) => sum + BigInt(TOOL_PRICES[op.type]), 0n);
+  return paymentMiddleware({
+    'POST /batch': {
+      price: price.toString(),
+      network: 'base',
+      currency: 'USDC',
+      description: `Batch of ${req.batch.operations.length} operations`,
+    },
+  }, paymentOptions)(req, res, next);
+};
+
+// SSRF protection for user-supplied URLs
+const urlPolicy = new UrlPolicy();
+
+// robots.txt rules per origin. Browser endpoints follow them when a request
+// sets respectRobots, and always with ROBOTS_COMPLIANCE=enforce
+const robots = new RobotsCache({ policy: urlPolicy });
+const ROBOTS_ENFORCED = process.env.ROBOTS_COMPLIANCE === 'enforce';
+
+async function checkRobots(url, { respectRobots } = {}) {
+  if (ROBOTS_ENFORCED || String(respectRobots) === 'true') {
+    await robots.assertAllowed(url);
+  }
 }
 
-// Browser pool for managed concurrency
-const pool = new BrowserPool();
+// Browser pool for managed concurrency. Every page is guarded by the URL policy
+// so redirects and sub-resources can't reach internal addresses either, and the
+// browser only reaches the network through the policy's egress proxy.
+const pool = new BrowserPool({
+  preparePage: page => urlPolicy.protectPage(page),
+  launchArgs: await urlPolicy.startProxy(),
+});
 
 // Legacy helper — kept for non-pooled usage if needed
 async function getBrowser() {
   return pool.getBrowser();
 }
 
+// Render a URL in a pooled page and run Readability over it. `ctx` carries the
+// pool options (tag, signal) of the caller, `nav` the parsed navigation options.
+// Resolves to { article, pageUrl }: the Readability article (null if nothing
+// could be extracted) and the URL after redirects, which its links are relative to.
+async function readArticle(url, ctx, nav = {}) {
+  const { html, pageUrl } = await renderPage(url, ctx, nav);
+  const dom = new JSDOM(html, { url: pageUrl });
+  return { article: new Readability(dom.window.document).parse(), pageUrl };
+}
+
+// Rendered results of /fetch, /extract and /screenshot, keyed by normalized URL
+// and the options that change the output
+const responseCache = new ResponseCache();
+await responseCache.init();
+
+// Navigation options in a cache key; left out when they're all defaults
+const navigationKey = nav => (Object.keys(nav).length ? nav : undefined);
+
+// `?fresh=true` or `Cache-Control: no-cache` skips the cached copy; the new
+// result still replaces it
+const wantsFresh = req => req.query.fresh === 'true' || /\bno-cache\b/i.test(req.get('Cache-Control') || '');
+
+// Runner context of a synchronous request (see the timeout middleware)
+const requestContext = req => ({ fresh: wantsFresh(req), signal: req.signal, allowTime: req.allowTime });
+
+const jsonEntry = data => ({
+  body: Buffer.from(JSON.stringify(data)),
+  contentType: 'application/json; charset=utf-8',
+});
+
+// Send a runner result; cached results also report X-Cache and Age
+function sendResult(res, result) {
+  if (res.headersSent) return; // timed out meanwhile
+  if (result.hit !== undefined) {
+    res.set({
+      'X-Cache': result.hit ? 'HIT' : 'MISS',
+      'Age': String(result.age),
+    });
+  }
+  res.set('Content-Type', result.contentType);
+  res.send(result.body);
+}
+
+// Summarizer backend (extractive by default, optional LLM adapter)
+const summarizer = createSummarizer();
+
+// Validation and extraction failures raised by tool runners
+class ToolError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'ToolError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+const ERROR_TITLES = {
+  400: 'Bad request',
+  403: 'Forbidden',
+  404: 'Not found',
+  409: 'Conflict',
+  413: 'Payload too large',
+  415: 'Unsupported media type',
+  422: 'Unprocessable content',
+  429: 'Too many requests',
+  503: 'Service unavailable',
+  504: 'Gateway timeout',
+};
+
+// Map known errors to a status code and JSON body; null for anything unexpected
+function describeError(error) {
+  if (error instanceof ApiKeyError || error instanceof ToolError || error instanceof JobError ||
+      error instanceof VisualDiffError || error instanceof MonitorError ||
+      error instanceof SchemaError || error instanceof ContactError || error instanceof ScreenshotError ||
+      error instanceof NavigationError || error instanceof PdfError || error instanceof UploadError ||
+      error instanceof DocumentError || error instanceof CrawlError || error instanceof RobotsError ||
+      error instanceof SitemapError) {
+    return {
+      statusCode: error.statusCode,
+      body: {
+        error: ERROR_TITLES[error.statusCode] || 'Bad request',
+        message: error.message,
+        code: error.code
+      }
+    };
+  }
+
+  if (error instanceof UrlPolicyError) {
+    return {
+      statusCode: error.statusCode,
+      body: {
+        error: error.code === 'URL_BLOCKED' ? 'URL blocked' : 'Bad request',
+        message: error.message,
+        code: error.code,
+        reason: error.reason
+      }
+    };
+  }
+
+  if (error instanceof PoolError) {
+    return {
+      statusCode: error.statusCode,
+      body: {
+        error: 'Service busy',
+        message: error.message,
+        estimated_wait_ms: error.estimatedWaitMs,
+        code: 'QUEUE_FULL'
+      }
+    };
+  }
+
+  return null;
+}
+
+function internalError(error) {
+  return {
+    statusCode: 500,
+    body: {
+      error: 'Internal server error',
+      message: error.message,
+      code: 'INTERNAL_ERROR'
+    }
+  };
+}
+
 // Error handling middleware
 const handleError = (error, req, res, next) => {
+  // A 408 has already gone out; let Express close the connection
+  if (res.headersSent) return next(error);
+  const known = describeError(error);
+  if (known) {
+    return res.status(known.statusCode).json(known.body);
+  }
+
   console.error('Error:', error);
   
+  const { statusCode, body } = internalError(error);
+  
   // Don't leak stack traces in production
   const isDevelopment = process.env.NODE_ENV !== 'production';
-  
-  const errorResponse = {
-    error: 'Internal server error',
-    message: error.message,
-    code: 'INTERNAL_ERROR'
-  };
-  
   if (isDevelopment) {
-    errorResponse.stack = error.stack;
+    body.stack = error.stack;
   }
   
-  res.status(500).json(errorResponse);
+  res.status(statusCode).json(body);
 };
 
 // ============ PUBLIC ENDPOINTS ============
@@ -243,9 +686,9 @@ app.get('/', (req, res) => {
     res.json({
       name: 'x402-tools',
       version: '2.0.0',
-      description: 'AI-agent utilities: Clean Fetch, Screenshot, PDF extraction, Data extraction, URL comparison',
+      description: 'AI-agent utilities: Clean Fetch, Screenshot, PDF extraction, Document conversion, Summarization, Data extraction, URL comparison',
       documentation: 'https://github.com/SiamakSafari/x402-tools',
-      endpoints: ['/fetch', '/screenshot', '/pdf', '/extract', '/compare'],
+      endpoints: ['/fetch', '/screenshot', '/pdf', '/document', '/summarize', '/extract', '/compare', '/crawl', '/sitemap'],
       authentication: 'API key required (X-API-Key header)',
       contact: 'Get API key at /register'
     });
@@ -258,7 +701,7 @@ app.get('/health', (req, res) => {
   res.json({ 
     status: 'ok', 
     version: '2.0.0',
-    services: ['fetch', 'screenshot', 'pdf', 'extract', 'compare'],
+    services: ['fetch', 'screenshot', 'pdf', 'document', 'summarize', 'extract', 'compare', 'crawl', 'sitemap'],
     uptime: process.uptime(),
     memory: process.memoryUsage(),
     queue: {
@@ -267,6 +710,10 @@ app.get('/health', (req, res) => {
       max_concurrent: queueStats.max_concurrent,
       avg_wait_ms: queueStats.avg_wait_ms,
     },
+    jobs: jobs.stats,
+    monitors: monitors.stats,
+    cache: responseCache.stats,
+    robots: { compliance: ROBOTS_ENFORCED ? 'enforce' : 'optional', ...robots.stats },
     timestamp: new Date().toISOString()
   });
 });
@@ -275,533 +722,2037 @@ app.get('/health', (req, res) => {
 app.get('/queue/status', (req, res) => {
   res.json({
     ...pool.stats,
+    jobs: jobs.stats,
     timestamp: new Date().toISOString(),
   });
 });
 
-// Register endpoint (placeholder for future self-service)
+const REGISTRATION_ENABLED = process.env.REGISTRATION_ENABLED !== 'false';
+
+// Register endpoint - how to get a key
 app.get('/register', (req, res) => {
   res.json({
     message: 'API key registration',
-    status: 'coming_soon',
-    description: 'Self-service API key generation will be available soon.',
-    contact: 'For now, contact the administrator to get an API key.',
+    status: REGISTRATION_ENABLED ? 'open' : 'closed',
+    description: REGISTRATION_ENABLED
+      ? 'POST /register with an optional {"label", "expiresAt"} body to get an API key. The key is shown once.'
+      : 'Self-service registration is disabled on this deployment.',
+    contact: REGISTRATION_ENABLED ? undefined : 'Contact the administrator to get an API key.',
     documentation: 'https://github.com/SiamakSafari/x402-tools#authentication'
   });
 });
 
-// Usage stats endpoint (authenticated)
-app.get('/usage', (req, res) => {
-  if (!req.apiKey) {
-    return res.status(401).json({
-      error: 'Authentication required',
-      message: 'This endpoint requires a valid API key'
+// Self-service key registration
+app.post('/register', registerLimiter, async (req, res, next) => {
+  try {
+    if (!REGISTRATION_ENABLED) {
+      return res.status(403).json({
+        error: 'Registration disabled',
+        message: 'Self-service registration is disabled. Contact the administrator to get an API key.',
+        code: 'REGISTRATION_DISABLED'
+      });
+    }
+
+    const { label, expiresAt } = req.body || {};
+    const { key, record } = await apiKeys.issue({ label, expiresAt });
+
+    res.status(201).json({
+      key,
+      ...describeKey(record),
+      message: 'Store this key now. It will not be shown again.'
     });
+  } catch (error) {
+    next(error);
   }
+});
 
-  const userStats = usage.get(req.apiKey) || { requests: 0, lastUsed: null };
-  const userLogs = logs.filter(log => log.apiKey === req.apiKey);
-  
-  // Calculate stats
-  const last24h = userLogs.filter(log => 
-    new Date(log.timestamp) > new Date(Date.now() - 24 * 60 * 60 * 1000)
-  ).length;
-  
-  const lastHour = userLogs.filter(log => 
-    new Date(log.timestamp) > new Date(Date.now() - 60 * 60 * 1000)
-  ).length;
-  
-  const endpointBreakdown = userLogs.reduce((acc, log) => {
-    acc[log.endpoint] = (acc[log.endpoint] || 0) + 1;
-    return acc;
-  }, {});
+// Parse optional `from`/`to` query params (ISO date or epoch ms)
+function parseRange(query) {
+  const range = {};
+  for (const field of ['from', 'to']) {
+    if (query[field] === undefined) continue;
+    const value = /^\d+$/.test(query[field]) ? Number(query[field]) : Date.parse(query[field]);
+    if (Number.isNaN(value)) return null;
+    range[field] = value;
+  }
+  return range;
+}
 
-  res.json({
-    apiKey: req.apiKey.substring(0, 8) + '...', // Masked for security
-    totalRequests: userStats.requests,
+const invalidRange = res => res.status(400).json({
+  error: 'Bad request',
+  message: 'Invalid from/to. Use an ISO 8601 date or epoch milliseconds.',
+  code: 'INVALID_RANGE'
+});
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Usage report for one key, over an optional time range
+async function usageReport(keyId, range) {
+  const now = Date.now();
+  const [record, allTime, inRange, last24h, lastHour, recentRequests] = await Promise.all([
+    store.getKey(keyId),
+    store.getUsage({ keyId }),
+    store.getUsage({ keyId, ...range }),
+    store.countLogs({ keyId, from: now - 24 * HOUR_MS }),
+    store.countLogs({ keyId, from: now - HOUR_MS }),
+    store.getLogs({ keyId, ...range, limit: 10 }), // Last 10 requests
+  ]);
+
+  const endpointBreakdown = Object.fromEntries(
+    Object.entries(inRange.endpoints).map(([endpoint, stats]) => [endpoint, stats.requests])
+  );
+
+  return {
+    keyId,
+    totalRequests: allTime.requests,
+    range: {
+      from: range.from ? new Date(range.from).toISOString() : null,
+      to: range.to ? new Date(range.to).toISOString() : null,
+      requests: inRange.requests,
+      errors: inRange.errors,
+    },
     last24Hours: last24h,
     lastHour: lastHour,
-    lastUsed: userStats.lastUsed,
+    lastUsed: record?.lastUsedAt || null,
     endpointBreakdown,
-    recentRequests: userLogs.slice(-10) // Last 10 requests
-  });
+    recentRequests
+  };
+}
+
+// Plan limits and quota consumption for one key
+async function quotaReport(record) {
+  const plan = planForKey(record);
+  return {
+    plan: {
+      name: plan.name,
+      requestsPerMinute: plan.requestsPerMinute,
+      endpointLimits: plan.endpointLimits,
+    },
+    quota: await quotas.status(record),
+  };
+}
+
+// Usage stats endpoint (authenticated)
+app.get('/usage', async (req, res, next) => {
+  try {
+    if (!req.apiKey) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'This endpoint requires a valid API key'
+      });
+    }
+
+    const range = parseRange(req.query);
+    if (!range) return invalidRange(res);
+
+    res.json({
+      apiKey: req.apiKey.substring(0, 8) + '...', // Masked for security
+      ...(await usageReport(req.keyId, range)),
+      ...(await quotaReport(req.apiKeyRecord))
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Admin stats endpoint
-app.get('/stats', (req, res) => {
-  // Simple admin check - in production, add proper admin authentication
-  const isAdmin = req.apiKey && API_KEYS[0] === req.apiKey; // First API key is admin
-  
-  if (!isAdmin) {
-    return res.status(403).json({
-      error: 'Admin access required',
-      message: 'This endpoint requires admin privileges'
+// Platform stats endpoint (admin and metrics keys)
+app.get('/stats', requireRole(ROLES.ADMIN, ROLES.METRICS), async (req, res, next) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) return invalidRange(res);
+
+    const [usageInRange, last24h, recentLogs] = await Promise.all([
+      store.getUsage(range),
+      store.countLogs({ from: Date.now() - 24 * HOUR_MS }),
+      store.getLogs({ ...range, limit: 20 }), // Last 20 logs
+    ]);
+
+    const endpointStats = Object.fromEntries(
+      Object.entries(usageInRange.endpoints).map(([endpoint, stats]) => [endpoint, {
+        count: stats.requests,
+        errors: stats.errors,
+        avgResponseTime: stats.totalTime / stats.requests,
+        totalTime: stats.totalTime,
+      }])
+    );
+
+    const errorRate = usageInRange.requests ? usageInRange.errors / usageInRange.requests : 0;
+
+    res.json({
+      platform: {
+        totalRequests: usageInRange.requests,
+        uniqueApiKeys: usageInRange.uniqueKeys,
+        last24Hours: last24h,
+        errorRate: (errorRate * 100).toFixed(2) + '%',
+        uptime: process.uptime(),
+        storage: store.name
+      },
+      range: {
+        from: range.from ? new Date(range.from).toISOString() : null,
+        to: range.to ? new Date(range.to).toISOString() : null,
+      },
+      endpoints: endpointStats,
+      memory: process.memoryUsage(),
+      recentLogs
     });
+  } catch (error) {
+    next(error);
   }
+});
 
-  const totalRequests = logs.length;
-  const uniqueApiKeys = new Set(logs.map(log => log.apiKey)).size;
-  const last24h = logs.filter(log => 
-    new Date(log.timestamp) > new Date(Date.now() - 24 * 60 * 60 * 1000)
-  ).length;
+// ============ API KEY MANAGEMENT ============
 
-  const endpointStats = logs.reduce((acc, log) => {
-    if (!acc[log.endpoint]) {
-      acc[log.endpoint] = { count: 0, avgResponseTime: 0, totalTime: 0 };
+// List keys belonging to the caller's account
+app.get('/keys', async (req, res, next) => {
+  try {
+    const keys = await apiKeys.list(req.apiKeyRecord.ownerId);
+    res.json({
+      ownerId: req.apiKeyRecord.ownerId,
+      keys: keys.map(describeKey)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Issue an additional key on the caller's account
+app.post('/keys', keyIssueLimiter, async (req, res, next) => {
+  try {
+    const { label, expiresAt, scopes } = req.body || {};
+    const caller = req.apiKeyRecord;
+    // Revoked (and so rotated) and expired keys don't count
+    const usable = (await apiKeys.list(caller.ownerId))
+      .filter(record => [KEY_STATUS.ACTIVE, KEY_STATUS.SUSPENDED].includes(keyStatus(record)));
+    if (usable.length >= MAX_KEYS_PER_ACCOUNT) {
+      throw new ApiKeyError(
+        `This account already has ${usable.length} keys, the most it may have (${MAX_KEYS_PER_ACCOUNT}). Revoke one first.`,
+        'KEY_LIMIT_REACHED',
+        409
+      );
     }
-    acc[log.endpoint].count++;
-    acc[log.endpoint].totalTime += log.responseTime;
-    acc[log.endpoint].avgResponseTime = acc[log.endpoint].totalTime / acc[log.endpoint].count;
-    return acc;
-  }, {});
+    // Self-issued keys never exceed the caller: no admin role, no wider scopes
+    const { key, record } = await apiKeys.issue({
+      ownerId: caller.ownerId,
+      label,
+      expiresAt,
+      role: keyRole(caller) === ROLES.METRICS ? ROLES.METRICS : ROLES.USER,
+      scopes: parseScopes(scopes, keyScopes(caller)),
+      plan: planForKey(caller).name,
+    });
+    res.status(201).json({
+      key,
+      ...describeKey(record),
+      message: 'Store this key now. It will not be shown again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-  const errorRate = logs.filter(log => log.status >= 400).length / totalRequests;
+// Set label and/or expiry (null clears the expiry)
+app.patch('/keys/:id', async (req, res, next) => {
+  try {
+    await apiKeys.getOwned(req.params.id, req.apiKeyRecord.ownerId);
+    const { label, expiresAt, scopes } = req.body || {};
+    const record = await apiKeys.update(req.params.id, {
+      label,
+      expiresAt,
+      scopes: scopes === undefined ? undefined : parseScopes(scopes, keyScopes(req.apiKeyRecord)),
+    });
+    res.json(describeKey(record));
+  } catch (error) {
+    next(error);
+  }
+});
 
-  res.json({
-    platform: {
-      totalRequests,
-      uniqueApiKeys,
-      last24Hours: last24h,
-      errorRate: (errorRate * 100).toFixed(2) + '%',
-      uptime: process.uptime()
-    },
-    endpoints: endpointStats,
-    memory: process.memoryUsage(),
-    recentLogs: logs.slice(-20) // Last 20 logs
-  });
+// Rotate: issue a new secret and revoke the old key
+app.post('/keys/:id/rotate', keyIssueLimiter, async (req, res, next) => {
+  try {
+    await apiKeys.getOwned(req.params.id, req.apiKeyRecord.ownerId);
+    const { key, record } = await apiKeys.rotate(req.params.id);
+    res.status(201).json({
+      key,
+      ...describeKey(record),
+      rotatedFrom: req.params.id,
+      message: 'Store this key now. It will not be shown again. The previous key is revoked.'
+    });
+  } catch (error) {
+    next(error);
+  }
 });
 
-// Discovery endpoint for x402 Bazaar
-app.get('/discovery', (req, res) => {
-  res.json({
-    name: 'x402-tools',
-    description: 'AI-agent utilities: Clean Fetch, Screenshot, PDF extraction, Data extraction, URL comparison',
-    version: '2.0.0',
-    authentication: 'API key required (X-API-Key header)',
-    rateLimit: '100 requests/minute (global), 20 requests/minute (heavy endpoints)',
-    endpoints: [
-      {
-        path: '/fetch',
-        method: 'GET',
-        description: 'Convert URL to clean markdown/text',
-        price: FETCH_PRICE,
-        currency: 'USDC',
-        rateLimit: '100/minute',
-        params: {
-          url: { type: 'string', required: true },
-          format: { type: 'string', enum: ['markdown', 'text'], default: 'markdown' }
-        }
-      },
-      {
-        path: '/screenshot',
+// Revoke a key
+app.delete('/keys/:id', async (req, res, next) => {
+  try {
+    await apiKeys.getOwned(req.params.id, req.apiKeyRecord.ownerId);
+    const record = await apiKeys.revoke(req.params.id);
+    res.json(describeKey(record));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ ADMIN ENDPOINTS ============
+
+// Admin: list all keys (optional ?ownerId=, ?role=, ?status=)
+app.get('/admin/keys', requireAdmin, async (req, res, next) => {
+  try {
+    const { ownerId, role, status } = req.query;
+    const keys = (await apiKeys.list(ownerId))
+      .map(describeKey)
+      .filter(key => (!role || key.role === role) && (!status || key.status === status));
+    res.json({ count: keys.length, keys });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: issue a key with any role, scopes and plan
+app.post('/admin/keys', requireAdmin, async (req, res, next) => {
+  try {
+    const { ownerId, label, expiresAt, role, scopes, plan } = req.body || {};
+    const { key, record } = await apiKeys.issue({ ownerId, label, expiresAt, role, scopes, plan });
+    res.status(201).json({
+      key,
+      ...describeKey(record),
+      message: 'Store this key now. It will not be shown again.'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: change a key's role, scopes, plan, label or expiry
+app.patch('/admin/keys/:id', requireAdmin, async (req, res, next) => {
+  try {
+    const existing = await apiKeys.get(req.params.id);
+    if (!existing) {
+      throw new ApiKeyError('API key not found', 'KEY_NOT_FOUND', 404);
+    }
+    if (existing.source === 'env' && req.body?.role !== undefined) {
+      throw new ApiKeyError('Roles of env-configured keys follow API_KEYS / ADMIN_API_KEYS', 'KEY_MANAGED_BY_CONFIG', 409);
+    }
+    const { label, expiresAt, role, scopes, plan } = req.body || {};
+    res.json(describeKey(await apiKeys.update(req.params.id, { label, expiresAt, role, scopes, plan })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: usage for any key
+app.get('/admin/keys/:id/usage', requireAdmin, async (req, res, next) => {
+  try {
+    const record = await apiKeys.get(req.params.id);
+    if (!record) {
+      throw new ApiKeyError('API key not found', 'KEY_NOT_FOUND', 404);
+    }
+    const range = parseRange(req.query);
+    if (!range) return invalidRange(res);
+
+    res.json({
+      key: describeKey(record),
+      ...(await usageReport(record.id, range)),
+      ...(await quotaReport(record))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: purge request logs (optional ?keyId=, ?from=, ?to=). Aggregated
+// usage counters are kept, so usage totals are unaffected.
+app.delete('/admin/logs', requireAdmin, async (req, res, next) => {
+  try {
+    const range = parseRange(req.query);
+    if (!range) return invalidRange(res);
+
+    const deleted = await store.deleteLogs({ keyId: req.query.keyId, ...range });
+    res.json({ deleted, timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: drop every cached /fetch, /extract and /screenshot result
+app.delete('/admin/cache', requireAdmin, async (req, res, next) => {
+  try {
+    const cleared = await responseCache.clear();
+    res.json({ cleared, timestamp: new Date().toISOString() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Admin: suspend / unsuspend any key
+app.post('/admin/keys/:id/suspend', requireAdmin, async (req, res, next) => {
+  try {
+    const record = await apiKeys.get(req.params.id);
+    if (!record) {
+      throw new ApiKeyError('API key not found', 'KEY_NOT_FOUND', 404);
+    }
+    res.json(describeKey(await apiKeys.suspend(req.params.id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.post('/admin/keys/:id/unsuspend', requireAdmin, async (req, res, next) => {
+  try {
+    const record = await apiKeys.get(req.params.id);
+    if (!record) {
+      throw new ApiKeyError('API key not found', 'KEY_NOT_FOUND', 404);
+    }
+    res.json(describeKey(await apiKeys.unsuspend(req.params.id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Navigation options accepted by every endpoint that loads a page (see navigation.js)
+const NAVIGATION_PARAMS = {
+  waitUntil: { type: 'string', enum: WAIT_STRATEGIES, default: 'networkidle2' },
+  waitForSelector: { type: 'string', description: 'CSS selector to wait for after loading' },
+  waitForFunction: { type: 'string', description: 'JS expression to wait for until it is truthy' },
+  timeout: { type: 'number', default: 30000, description: 'Navigation and wait timeout in ms (1000-120000)' },
+  headers: { type: 'object', description: 'Extra request headers (JSON in a query string)' },
+  cookies: { type: 'string', description: '"name=value; ..." or a JSON array of { name, value, domain?, path? }' },
+  userAgent: { type: 'string' },
+  locale: { type: 'string', description: 'BCP 47 tag, e.g. de-DE: sets Accept-Language and navigator.language' },
+  timezone: { type: 'string', description: 'IANA time zone, e.g. Europe/Berlin' },
+  blockResources: { type: 'string', description: 'Comma-separated resource types not to load: ' + BLOCKABLE_RESOURCES.join(', ') },
+  actions: { type: 'array', description: 'Steps run after loading, before capture: { type: ' + ACTION_TYPES.join('|') + ', selector?, text?, key?, to?, y?, ms? }' },
+  respectRobots: { type: 'boolean', default: false, description: 'Refuse URLs robots.txt disallows (ROBOTS_DISALLOWED); always on when the operator enforces it' }
+};
+
+// Discovery endpoint for x402 Bazaar
+app.get('/discovery', (req, res) => {
+  res.json({
+    name: 'x402-tools',
+    description: 'AI-agent utilities: Clean Fetch, Screenshot, PDF extraction, Document conversion, Summarization, Data extraction, URL comparison',
+    version: '2.0.0',
+    authentication: 'API key required (X-API-Key header)',
+    rateLimit: 'Per API key, set by the key\'s plan. 100 requests/minute per IP without a key.',
+    plans: Object.fromEntries(
+      Object.values(PLANS)
+        .filter(plan => plan.name !== 'unlimited')
+        .map(({ name, ...limits }) => [name, limits])
+    ),
+    endpoints: [
+      {
+        path: '/fetch',
+        method: 'GET',
+        description: 'Convert URL to clean markdown/text/html',
+        price: FETCH_PRICE,
+        currency: 'USDC',
+        params: {
+          url: { type: 'string', required: true },
+          format: { type: 'string', enum: ['markdown', 'text', 'html'], default: 'markdown' },
+          ...NAVIGATION_PARAMS,
+          fresh: { type: 'boolean', default: false, description: 'Skip the response cache' }
+        }
+      },
+      {
+        path: '/screenshot',
         method: 'GET', 
-        description: 'Capture URL as PNG/JPEG image',
+        description: 'Capture URL (or one element) as PNG/JPEG/WebP, or render it as a PDF',
         price: SCREENSHOT_PRICE,
         currency: 'USDC',
-        rateLimit: '20/minute',
         params: {
           url: { type: 'string', required: true },
-          width: { type: 'number', default: 1280 },
-          height: { type: 'number', default: 720 },
+          width: { type: 'number', default: 1280, description: '100-5000' },
+          height: { type: 'number', default: 720, description: '100-5000' },
           fullPage: { type: 'boolean', default: false },
-          format: { type: 'string', enum: ['png', 'jpeg'], default: 'png' }
+          format: { type: 'string', enum: SCREENSHOT_FORMATS, default: 'png' },
+          quality: { type: 'number', description: 'jpeg/webp quality, 1-100' },
+          device: { type: 'string', enum: DEVICES, description: 'Emulate a device (viewport, scale, touch, user agent)' },
+          deviceScaleFactor: { type: 'number', description: '1-3, without device' },
+          colorScheme: { type: 'string', enum: COLOR_SCHEMES },
+          selector: { type: 'string', description: 'Capture only the first element matching this CSS selector' },
+          clip: { type: 'string', description: 'x,y,width,height in CSS pixels' },
+          delay: { type: 'number', description: 'Milliseconds to wait before capturing (0-10000)' },
+          hideSelectors: { type: 'string', description: 'Comma-separated selectors to hide, e.g. cookie banners' },
+          paperFormat: { type: 'string', enum: PAPER_FORMATS, default: 'A4', description: 'pdf only' },
+          landscape: { type: 'boolean', default: false, description: 'pdf only' },
+          margin: { type: 'string', description: 'pdf only: "1cm" or "top,right,bottom,left"' },
+          printBackground: { type: 'boolean', default: true, description: 'pdf only' },
+          ...NAVIGATION_PARAMS,
+          fresh: { type: 'boolean', default: false, description: 'Skip the response cache' }
         }
       },
       {
         path: '/pdf',
         method: 'POST',
-        description: 'Extract text from PDF document',
+        description: 'Extract text (per page, optionally layout-preserving), headings, tables and outline from a PDF. Send JSON, a multipart/form-data file (options as form fields) or a raw application/pdf body (options in the query string)',
         price: PDF_PRICE,
         currency: 'USDC',
-        rateLimit: '100/minute',
         body: {
           base64: { type: 'string', description: 'Base64-encoded PDF' },
-          url: { type: 'string', description: 'URL to PDF file' }
+          url: { type: 'string', description: 'URL to PDF file' },
+          pages: { type: 'string', description: 'Page selection, e.g. "1-5,8,10-" (default: all)' },
+          layout: { type: 'boolean', default: false, description: 'Keep horizontal positions so columns line up' },
+          password: { type: 'string', description: 'Password of an encrypted PDF' }
+        }
+      },
+      {
+        path: '/document',
+        method: 'POST',
+        description: 'Convert a PDF, DOCX, EPUB, HTML or plain-text document to markdown/text/html with its title, metadata and headings. The type is detected from the file. Send JSON, a multipart/form-data file (options as form fields) or the raw file as the body (options in the query string)',
+        price: DOCUMENT_PRICE,
+        currency: 'USDC',
+        body: {
+          base64: { type: 'string', description: 'Base64-encoded document' },
+          url: { type: 'string', description: 'URL to the document; its Content-Type helps tell HTML from text' },
+          filename: { type: 'string', description: 'File name, a hint for HTML vs text' },
+          type: { type: 'string', enum: DOCUMENT_TYPES, description: 'Skip detection and read the document as this type' },
+          format: { type: 'string', enum: FETCH_FORMATS, default: 'markdown' },
+          pages: { type: 'string', description: 'PDF only: page selection, e.g. "1-5,8,10-"' },
+          password: { type: 'string', description: 'PDF only: password of an encrypted PDF' }
+        }
+      },
+      {
+        path: '/summarize',
+        method: 'POST',
+        description: 'Summarize a URL or raw text: summary, key points, reading time',
+        price: SUMMARIZE_PRICE,
+        currency: 'USDC',
+        body: {
+          url: { type: 'string', description: 'URL to summarize' },
+          text: { type: 'string', description: 'Raw text to summarize (instead of url)' },
+          title: { type: 'string', description: 'Optional title for raw text' },
+          length: { type: 'string', enum: Object.keys(SUMMARY_LENGTHS), default: 'medium', description: 'Preset or a sentence count (1-50)' },
+          respectRobots: NAVIGATION_PARAMS.respectRobots
         }
       },
       {
         path: '/extract',
         method: 'GET',
-        description: 'Extract structured data from URL (emails, phones, links, prices, meta)',
+        description: 'Extract data from URL (emails, phones, links, prices, meta, schema.org structured data, tables)',
         price: EXTRACT_PRICE,
         currency: 'USDC',
-        rateLimit: '100/minute',
         params: {
           url: { type: 'string', required: true },
-          types: { type: 'string', default: 'emails,phones,links', description: 'Comma-separated: emails,phones,links,prices,meta' }
+          types: { type: 'string', default: 'emails,phones,links', description: 'Comma-separated: emails,phones,links,prices,meta,structured,tables' },
+          itemTypes: { type: 'string', description: 'With structured: comma-separated schema.org types to keep, e.g. Product,Article,Event (subtypes included)' },
+          table: { type: 'string', description: 'With tables: 0-based table index, or text to match in the caption' },
+          tableFormat: { type: 'string', enum: TABLE_FORMATS, default: 'json', description: 'With tables: rows as objects, or CSV' },
+          country: { type: 'string', description: 'With phones/prices: ISO country for numbers without a country code and for $, ¥ or kr (default: inferred from the page)' },
+          ...NAVIGATION_PARAMS,
+          fresh: { type: 'boolean', default: false, description: 'Skip the response cache' }
+        }
+      },
+      {
+        path: '/extract',
+        method: 'POST',
+        description: 'Extract structured JSON with a schema mapping field names to CSS selectors or XPath expressions',
+        price: EXTRACT_PRICE,
+        currency: 'USDC',
+        body: {
+          url: { type: 'string', required: true },
+          schema: {
+            type: 'object',
+            required: true,
+            description: 'Field name -> selector string, or { selector | xpath, attr, type, list, fields }; types: ' + FIELD_TYPES.join(', ')
+          },
+          ...NAVIGATION_PARAMS,
+          fresh: { type: 'boolean', default: false, description: 'Skip the response cache' }
         }
       },
       {
         path: '/compare',
         method: 'POST',
-        description: 'Compare two URLs and analyze differences',
+        description: 'Semantic diff of two URLs (content blocks, headings, links, meta tags) or a visual pixel diff',
         price: COMPARE_PRICE,
         currency: 'USDC',
-        rateLimit: '20/minute',
         body: {
           url1: { type: 'string', required: true },
-          url2: { type: 'string', required: true }
+          url2: { type: 'string', required: true },
+          format: { type: 'string', enum: DIFF_FORMATS, default: 'json' },
+          unified: { type: 'boolean', default: false, description: 'Include a unified diff in JSON output' },
+          context: { type: 'number', default: 3, description: 'Unified diff context lines (0-50)' },
+          mode: { type: 'string', enum: COMPARE_MODES, default: 'text' },
+          width: { type: 'number', default: 1280, description: 'Visual mode viewport' },
+          height: { type: 'number', default: 720, description: 'Visual mode viewport' },
+          fullPage: { type: 'boolean', default: false },
+          threshold: { type: 'number', default: 0.1, description: 'Visual mode per-pixel sensitivity (0-1)' },
+          minRegionPixels: { type: 'number', default: 1, description: 'Drop smaller changed regions' },
+          ignoreRegions: { type: 'array', description: '[{x, y, width, height}] excluded from the visual diff' },
+          output: { type: 'string', enum: VISUAL_OUTPUTS, default: 'json' },
+          ...NAVIGATION_PARAMS
+        }
+      },
+      {
+        path: '/sitemap',
+        method: 'GET',
+        description: 'List a site\'s URLs with lastmod, changefreq and priority. Follows sitemap indexes, gzipped sitemaps and the Sitemap: lines of robots.txt',
+        price: SITEMAP_PRICE,
+        currency: 'USDC',
+        params: {
+          url: { type: 'string', required: true, description: 'A sitemap, or any URL of the site to discover its sitemaps' },
+          limit: { type: 'number', default: SITEMAP_DEFAULT_LIMIT, description: `URLs returned at most (max ${SITEMAP_MAX_URLS})` },
+          fresh: { type: 'boolean', default: false, description: 'Skip the response cache' }
+        }
+      },
+      {
+        path: '/jobs',
+        method: 'POST',
+        description: 'Run any tool asynchronously. Poll GET /jobs/:id, fetch GET /jobs/:id/result, cancel with DELETE /jobs/:id',
+        price: 'Price of the tool it runs',
+        currency: 'USDC',
+        body: {
+          type: { type: 'string', required: true, enum: Object.keys(TOOL_RUNNERS) },
+          params: { type: 'object', description: 'The tool\'s usual query or body parameters' },
+          webhookUrl: { type: 'string', description: 'Receives the job and its result when it finishes' }
+        }
+      },
+      {
+        path: '/batch',
+        method: 'POST',
+        description: `Run up to ${BATCH_MAX_OPERATIONS} operations in one call; results stream back as NDJSON`,
+        price: 'Sum of the operations\' prices, paid once',
+        currency: 'USDC',
+        body: {
+          operations: { type: 'array', required: true, description: 'Items of { id, type, params }; type is any tool' },
+          concurrency: { type: 'number', default: BATCH_CONCURRENCY, description: `Operations run at once (max ${BATCH_CONCURRENCY})` }
+        }
+      },
+      {
+        path: '/crawl',
+        method: 'POST',
+        description: 'Crawl a site from a start URL, returning /fetch content for each page. Runs as a job: poll GET /jobs/:id for progress, read pages so far at GET /jobs/:id/result?partial=true',
+        price: 'Price of /fetch for each of maxPages, paid up front',
+        currency: 'USDC',
+        body: {
+          url: { type: 'string', required: true, description: 'Start URL' },
+          maxDepth: { type: 'number', default: 2, description: 'Links followed from the start (0-5)' },
+          maxPages: { type: 'number', default: Math.min(20, CRAWL_MAX_PAGES), description: `Pages fetched at most (max ${CRAWL_MAX_PAGES})` },
+          include: { type: 'array', description: 'URL globs to follow, e.g. "/blog/*"; patterns starting with / match the path' },
+          exclude: { type: 'array', description: 'URL globs never to follow' },
+          sameOrigin: { type: 'boolean', default: true },
+          delayMs: { type: 'number', default: CRAWL_DELAY_MS, description: `Time between requests to one host (min ${CRAWL_DELAY_MS})` },
+          format: { type: 'string', enum: FETCH_FORMATS, default: 'markdown' },
+          webhookUrl: { type: 'string', description: 'Receives the job and its result when it finishes' },
+          ...NAVIGATION_PARAMS,
+          respectRobots: { type: 'boolean', default: false, description: 'Skip URLs robots.txt disallows and honor its Crawl-delay' }
+        }
+      },
+      {
+        path: '/monitors',
+        method: 'POST',
+        description: 'Re-check a page on a schedule; changes are POSTed to a signed webhook with the diff. Manage with GET/PATCH/DELETE /monitors/:id, history at GET /monitors/:id/runs',
+        price: 'Free to register; each check counts against the key quota as one /fetch',
+        body: {
+          url: { type: 'string', required: true },
+          intervalSeconds: { type: 'number', default: monitors.minInterval, description: `Seconds between checks (min ${monitors.minInterval})` },
+          scope: { type: 'string', enum: MONITOR_SCOPES, default: 'readability', description: 'Compare the article, selector matches or the whole page' },
+          selector: { type: 'string', description: 'CSS selector, required with scope "selector"' },
+          webhookUrl: { type: 'string', description: 'Receives monitor.changed events' },
+          label: { type: 'string' }
         }
       }
     ]
   });
 });
 
-// ============ AUTHENTICATED ENDPOINTS ============
+// ============ AUTHENTICATED ENDPOINTS ============
+
+// ============ TOOLS ============
+//
+// Each tool is a runner: async (params, { fresh, signal, tag, allowTime }) => { body, contentType }.
+// Routes call runners with the request's query or body; the job queue calls
+// them with a job's params. `signal` and `tag` are handed to the browser pool
+// so jobs can be cancelled and report their queue position. Synchronous
+// requests pass allowTime, which runners call with their page-load time so the
+// request timeout covers it (or the request is refused).
+
+const FETCH_FORMATS = ['markdown', 'text', 'html'];
+
+// Clean Fetch - URL to markdown/text/html
+async function runFetch(params, { fresh, ...ctx } = {}) {
+  const { url, format = 'markdown' } = params;
+  if (!url) {
+    throw new ToolError('URL parameter required', 'MISSING_URL');
+  }
+
+  if (!FETCH_FORMATS.includes(format)) {
+    throw new ToolError(`Invalid format. Use one of: ${FETCH_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  const nav = parseNavigationOptions(params);
+  ctx.allowTime?.(navigationTimeMs(nav));
+
+  await urlPolicy.check(url);
+  await checkRobots(url, params);
+
+  const result = await responseCache.wrap(cacheKey('fetch', url, { format, navigation: navigationKey(nav) }), async signal => {
+    const { article, pageUrl } = await readArticle(url, { ...ctx, signal }, nav);
+    if (!article) return null;
+
+    const content = format === 'text' ? article.textContent
+      : format === 'html' ? article.content
+      : htmlToMarkdown(article.content, pageUrl);
+
+    return jsonEntry({
+      title: article.title,
+      byline: article.byline,
+      format,
+      content,
+      excerpt: article.excerpt,
+      length: article.length,
+      url: url,
+      timestamp: new Date().toISOString()
+    });
+  }, { fresh, signal: ctx.signal });
+
+  if (!result) {
+    throw new ToolError('Could not extract content from URL', 'EXTRACTION_FAILED', 422);
+  }
+  return result;
+}
+
+app.get('/fetch', async (req, res, next) => {
+  try {
+    sendResult(res, await runFetch(req.query, requestContext(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+const MAX_SUMMARIZE_CHARS = 200000;
+// Readability's textContent loses paragraph breaks; rebuild them from block elements
+function articleText(article) {
+  const blocks = textBlocks(new JSDOM(article.content).window.document).map(block => block.text);
+  return blocks.length ? blocks.join('\n\n') : article.textContent;
+}
+
+// Summarize - URL or raw text to summary, key points and reading time
+async function runSummarize({ url, text, title: providedTitle, length = 'medium', respectRobots }, ctx = {}) {
+  if (!url && !text) {
+    throw new ToolError('Either url or text required', 'MISSING_SOURCE');
+  }
+  if (text !== undefined && typeof text !== 'string') {
+    throw new ToolError('text must be a string', 'INVALID_TEXT');
+  }
+
+  const summaryLength = resolveLength(length);
+  if (!summaryLength) {
+    throw new ToolError(
+      `Invalid length. Use one of: ${Object.keys(SUMMARY_LENGTHS).join(', ')}, or a sentence count (1-50)`,
+      'INVALID_LENGTH'
+    );
+  }
+
+  let source, title;
+  if (url) {
+    await urlPolicy.check(url);
+    await checkRobots(url, { respectRobots });
+
+    const { article } = await readArticle(url, ctx);
+    if (!article) {
+      throw new ToolError('Could not extract content from URL', 'EXTRACTION_FAILED', 422);
+    }
+    source = articleText(article);
+    title = article.title;
+  } else {
+    source = String(text);
+    title = providedTitle || null;
+  }
+
+  if (source.length > MAX_SUMMARIZE_CHARS) {
+    throw new ToolError(`Text exceeds ${MAX_SUMMARIZE_CHARS} characters`, 'TEXT_TOO_LONG', 413);
+  }
+
+  const result = await summarizer.summarize(source, summaryLength, title);
+
+  return jsonEntry({
+    title,
+    summary: result.summary,
+    keyPoints: result.keyPoints,
+    readingTime: readingTime(source),
+    length: summaryLength.name,
+    backend: result.backend,
+    ...(result.fallback ? { fallback: true } : {}),
+    url: url || null,
+    timestamp: new Date().toISOString()
+  });
+}
+
+app.post('/summarize', async (req, res, next) => {
+  try {
+    sendResult(res, await runSummarize(req.body, requestContext(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Screenshot API - URL to PNG
+async function runScreenshot(params, { fresh, ...ctx } = {}) {
+  const { url } = params;
+
+  if (!url) {
+    throw new ToolError('URL parameter required', 'MISSING_URL');
+  }
+
+  // Validated before the URL is checked or any page is opened
+  const options = parseScreenshotOptions(params);
+  const nav = parseNavigationOptions(params);
+  ctx.allowTime?.(navigationTimeMs(nav));
+
+  await urlPolicy.check(url);
+  await checkRobots(url, params);
+
+  return responseCache.wrap(cacheKey('screenshot', url, { ...options, navigation: navigationKey(nav) }), async signal => {
+    const { page, release } = await pool.acquire({ ...ctx, signal, timeoutMs: navigationTimeMs(nav) });
+    try {
+      // The browser's own user agent (or the device's) unless one is given
+      return await capture(page, options, () => openPage(page, url, nav, { policy: urlPolicy, userAgent: null }));
+    } finally {
+      await release();
+    }
+  }, { fresh, signal: ctx.signal });
+}
+
+app.get('/screenshot', async (req, res, next) => {
+  try {
+    sendResult(res, await runScreenshot(req.query, requestContext(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PDF to Text - Extract text from PDF
+const PDF_MAX_BYTES = parseInt(process.env.PDF_MAX_BYTES || 25 * 1024 * 1024);
+const PDF_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.PDF_DOWNLOAD_TIMEOUT_MS || 30000);
+
+// `ctx.file` is an uploaded PDF on disk (see /pdf); it's never taken from params
+async function runPdf({ base64, url, pages, layout, password }, ctx = {}) {
+  // Validated before anything is downloaded
+  const pageRange = parsePageRange(pages);
+  if (password !== undefined && typeof password !== 'string') {
+    throw new PdfError('password must be a string', 'INVALID_PASSWORD');
+  }
+
+  let pdfBuffer;
+  if (ctx.file) {
+    pdfBuffer = checkPdf(await fs.promises.readFile(ctx.file), { maxBytes: PDF_MAX_BYTES });
+  } else if (base64) {
+    pdfBuffer = checkPdf(Buffer.from(base64, 'base64'), { maxBytes: PDF_MAX_BYTES });
+  } else if (url) {
+    pdfBuffer = await downloadPdf(url, {
+      policy: urlPolicy,
+      maxBytes: PDF_MAX_BYTES,
+      timeoutMs: PDF_DOWNLOAD_TIMEOUT_MS,
+      signal: ctx.signal
+    });
+  } else {
+    throw new ToolError('Either base64 or url required', 'MISSING_PDF_SOURCE');
+  }
+
+  const data = await extractPdf(pdfBuffer, {
+    pages: pageRange,
+    layout: layout === true || String(layout) === 'true',
+    password
+  });
+
+  return jsonEntry({
+    ...data,
+    timestamp: new Date().toISOString()
+  });
+}
+
+const PDF_UPLOAD_TYPES = ['application/pdf', 'application/octet-stream'];
+
+// JSON (base64 or url), a multipart file upload, or the raw PDF as the body.
+// Options come as form fields with multipart, and in the query string with a raw body.
+app.post('/pdf', async (req, res, next) => {
+  let upload = null;
+  try {
+    if (isUpload(req, PDF_UPLOAD_TYPES)) {
+      upload = await receiveUpload(req, { maxBytes: PDF_MAX_BYTES, tooLarge: () => pdfTooLarge(PDF_MAX_BYTES) });
+      sendResult(res, await runPdf({ ...req.query, ...upload.fields }, { file: upload.path }));
+    } else {
+      sendResult(res, await runPdf(req.body));
+    }
+  } catch (error) {
+    next(error);
+  } finally {
+    await upload?.cleanup();
+  }
+});
+
+// Document conversion - PDF, DOCX, EPUB, HTML or text to markdown/text/html
+const DOCUMENT_MAX_BYTES = parseInt(process.env.DOCUMENT_MAX_BYTES || 25 * 1024 * 1024);
+const DOCUMENT_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.DOCUMENT_DOWNLOAD_TIMEOUT_MS || 30000);
+
+// `ctx.file` is an upload from /document ({ path, filename, contentType }); it's never taken from params
+async function runDocument({ base64, url, filename, type, format = 'markdown', pages, password }, ctx = {}) {
+  if (!FETCH_FORMATS.includes(format)) {
+    throw new ToolError(`Invalid format. Use one of: ${FETCH_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  if (type !== undefined && !DOCUMENT_TYPES.includes(type)) {
+    throw new DocumentError(`Invalid type. Use one of: ${DOCUMENT_TYPES.join(', ')}`, 'INVALID_DOCUMENT_TYPE');
+  }
+  const pageRange = parsePageRange(pages);
+  if (password !== undefined && typeof password !== 'string') {
+    throw new PdfError('password must be a string', 'INVALID_PASSWORD');
+  }
+
+  let buffer, contentType = null;
+  if (ctx.file) {
+    buffer = await fs.promises.readFile(ctx.file.path);
+    contentType = ctx.file.contentType;
+    filename ??= ctx.file.filename;
+  } else if (base64) {
+    buffer = Buffer.from(base64, 'base64');
+    if (buffer.length > DOCUMENT_MAX_BYTES) throw fileTooLarge(DOCUMENT_MAX_BYTES);
+  } else if (url) {
+    ({ buffer, contentType } = await downloadFile(url, {
+      policy: urlPolicy,
+      maxBytes: DOCUMENT_MAX_BYTES,
+      timeoutMs: DOCUMENT_DOWNLOAD_TIMEOUT_MS,
+      signal: ctx.signal
+    }));
+    filename ??= path.posix.basename(new URL(url).pathname) || undefined;
+  } else {
+    throw new ToolError('Either base64 or url required', 'MISSING_DOCUMENT_SOURCE');
+  }
+  if (!buffer.length) {
+    throw new UploadError('The document is empty', 'MISSING_FILE');
+  }
+
+  const document = await convertDocument(buffer, { format, type, contentType, filename, url, pages: pageRange, password });
+  return jsonEntry({
+    ...document,
+    ...(filename && { filename }),
+    ...(url && { url }),
+    timestamp: new Date().toISOString()
+  });
+}
+
+const DOCUMENT_UPLOAD_TYPES = [
+  ...PDF_UPLOAD_TYPES,
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/epub+zip',
+  'text/html',
+  'application/xhtml+xml',
+  'text/plain',
+  'text/markdown',
+];
+
+// Same inputs as /pdf: JSON, multipart (options as form fields) or the raw
+// file as the body (options in the query string)
+app.post('/document', async (req, res, next) => {
+  let upload = null;
+  try {
+    if (isUpload(req, DOCUMENT_UPLOAD_TYPES)) {
+      upload = await receiveUpload(req, { maxBytes: DOCUMENT_MAX_BYTES });
+      sendResult(res, await runDocument({ ...req.query, ...upload.fields }, { file: upload }));
+    } else {
+      sendResult(res, await runDocument(req.body));
+    }
+  } catch (error) {
+    next(error);
+  } finally {
+    await upload?.cleanup();
+  }
+});
+
+// Extract structured data from URL
+async function runExtract(params, { fresh, ...ctx } = {}) {
+  const { url, types = 'emails,phones,links', schema, itemTypes, table, tableFormat = 'json', country } = params;
+  if (!url) {
+    throw new ToolError('URL parameter required', 'MISSING_URL');
+  }
+
+  // A schema replaces the fixed types; it is validated before the page loads
+  const fields = schema === undefined ? null : parseSchema(schema);
+  const nav = parseNavigationOptions(params);
+  ctx.allowTime?.(navigationTimeMs(nav));
+
+  await urlPolicy.check(url);
+  await checkRobots(url, params);
+
+  if (fields) {
+    return responseCache.wrap(cacheKey('extract', url, { schema: fields, navigation: navigationKey(nav) }), async signal => {
+      const { html, pageUrl } = await renderPage(url, { ...ctx, signal }, nav);
+      const { document } = new JSDOM(html, { url: pageUrl }).window;
+      return jsonEntry({
+        url: pageUrl,
+        data: extractWithSchema(document, fields),
+        schema: outputSchema(fields),
+        timestamp: new Date().toISOString()
+      });
+    }, { fresh, signal: ctx.signal });
+  }
+
+  const requested = Array.isArray(types) ? types : String(types).split(',');
+  const typesArray = [...new Set(requested.map(t => String(t).trim().toLowerCase()))].sort();
+  // Only narrows the structured type; left out of the key otherwise
+  const structuredTypes = typesArray.includes('structured') ? parseItemTypes(itemTypes) : [];
+
+  const wantsTables = typesArray.includes('tables');
+  if (wantsTables && !TABLE_FORMATS.includes(tableFormat)) {
+    throw new ToolError(`Invalid tableFormat. Use one of: ${TABLE_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  const tableSelector = wantsTables && table !== undefined && table !== '' ? String(table).trim() : undefined;
+  // Default country for phone numbers and ambiguous currency symbols; inferred from the page when omitted
+  const localeCountry = typesArray.includes('phones') || typesArray.includes('prices') ? parseCountry(country) : undefined;
+
+  const options = {
+    types: typesArray,
+    itemTypes: structuredTypes.length ? structuredTypes : undefined,
+    table: tableSelector,
+    tableFormat: wantsTables ? tableFormat : undefined,
+    country: localeCountry,
+    navigation: navigationKey(nav)
+  };
+  return responseCache.wrap(cacheKey('extract', url, options), async signal => {
+    const { html, pageUrl } = await renderPage(url, { ...ctx, signal }, nav);
+
+    const result = {
+      url: pageUrl,
+      extracted: {},
+      timestamp: new Date().toISOString()
+    };
+
+    // Extract emails and phone numbers from the visible text and mailto:/tel: links
+    if (typesArray.includes('emails') || typesArray.includes('phones')) {
+      const { document } = new JSDOM(html, { url: pageUrl }).window;
+      Object.assign(result.extracted, extractContacts(document, {
+        emails: typesArray.includes('emails'),
+        phones: typesArray.includes('phones'),
+        country: localeCountry
+      }));
+    }
+
+    // Extract links
+    if (typesArray.includes('links')) {
+      const dom = new JSDOM(html, { url: pageUrl });
+      const links = [...dom.window.document.querySelectorAll('a[href]')]
+        .map(a => a.href)
+        .filter(href => href.startsWith('http'))
+        .slice(0, 100); // Limit to 100 links
+      result.extracted.links = [...new Set(links)];
+    }
+
+    // Extract prices, structured markup first, with currencies and sale/original roles
+    if (typesArray.includes('prices')) {
+      const { document } = new JSDOM(html, { url: pageUrl }).window;
+      result.extracted.prices = extractPrices(document, { country: localeCountry });
+    }
+
+    // Extract meta tags
+    if (typesArray.includes('meta')) {
+      const dom = new JSDOM(html, { url: pageUrl });
+      const doc = dom.window.document;
+      const meta = {
+        title: doc.title,
+        description: doc.querySelector('meta[name="description"]')?.content,
+        keywords: doc.querySelector('meta[name="keywords"]')?.content,
+        ogTitle: doc.querySelector('meta[property="og:title"]')?.content,
+        ogDescription: doc.querySelector('meta[property="og:description"]')?.content,
+        ogImage: doc.querySelector('meta[property="og:image"]')?.content,
+        twitterCard: doc.querySelector('meta[name="twitter:card"]')?.content,
+      };
+      result.extracted.meta = meta;
+    }
+
+    // Extract JSON-LD, microdata, RDFa, OpenGraph and Twitter cards as schema.org items
+    if (typesArray.includes('structured')) {
+      const { document } = new JSDOM(html, { url: pageUrl }).window;
+      result.extracted.structured = extractStructuredData(document, { itemTypes: structuredTypes });
+    }
+
+    // Extract tables, with rowspan/colspan expanded and header rows as keys
+    if (wantsTables) {
+      const { document } = new JSDOM(html, { url: pageUrl }).window;
+      result.extracted.tables = extractTables(document, { table: tableSelector, format: tableFormat });
+    }
+
+    return jsonEntry(result);
+  }, { fresh, signal: ctx.signal });
+}
+
+app.get('/extract', async (req, res, next) => {
+  try {
+    sendResult(res, await runExtract(req.query, requestContext(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Same as GET, with the schema (or types) in a JSON body
+app.post('/extract', async (req, res, next) => {
+  try {
+    sendResult(res, await runExtract(req.body || {}, requestContext(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Render a URL in a pooled page and return its HTML and final URL (after redirects)
+async function renderPage(url, ctx, nav = {}) {
+  const { page, release } = await pool.acquire({ ...ctx, timeoutMs: navigationTimeMs(nav) });
+  try {
+    await openPage(page, url, nav, { policy: urlPolicy });
+    return { html: await page.content(), pageUrl: page.url() };
+  } finally {
+    await release();
+  }
+}
+
+const COMPARE_MODES = ['text', 'visual'];
+const VISUAL_OUTPUTS = ['json', 'image'];
+
+// Visual compare - screenshot both URLs at the same viewport and diff the pixels
+async function runVisualCompare(params, ctx) {
+  const {
+    url1,
+    url2,
+    width = 1280,
+    height = 720,
+    fullPage = false,
+    threshold = 0.1,
+    minRegionPixels = 1,
+    ignoreRegions,
+    output = 'json',
+  } = params;
+
+  const pixelThreshold = Number(threshold);
+  if (!Number.isFinite(pixelThreshold) || pixelThreshold < 0 || pixelThreshold > 1) {
+    throw new ToolError('threshold must be between 0 and 1', 'INVALID_THRESHOLD');
+  }
+  const minPixels = parseInt(minRegionPixels);
+  if (isNaN(minPixels) || minPixels < 1) {
+    throw new ToolError('minRegionPixels must be a positive integer', 'INVALID_THRESHOLD');
+  }
+  if (!VISUAL_OUTPUTS.includes(output)) {
+    throw new ToolError(`Invalid output. Use one of: ${VISUAL_OUTPUTS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  const regions = parseRegions(ignoreRegions);
+
+  await urlPolicy.check(url1);
+  await urlPolicy.check(url2);
+  await checkRobots(url1, params);
+  await checkRobots(url2, params);
+
+  // Same viewport and navigation for both, always PNG so compression artifacts don't show up as changes
+  const navigation = Object.fromEntries(NAVIGATION_OPTIONS.filter(name => params[name] !== undefined).map(name => [name, params[name]]));
+  const viewport = { ...navigation, width, height, fullPage, format: 'png' };
+  const shot1 = await runScreenshot({ url: url1, ...viewport }, ctx);
+  const shot2 = await runScreenshot({ url: url2, ...viewport }, ctx);
+
+  const diff = diffImages(shot1.body, shot2.body, {
+    threshold: pixelThreshold,
+    ignoreRegions: regions,
+    minRegionPixels: minPixels,
+  });
+
+  if (output === 'image') {
+    return { body: diff.image, contentType: 'image/png' };
+  }
+
+  const { image, ...stats } = diff;
+  return jsonEntry({
+    mode: 'visual',
+    url1,
+    url2,
+    viewport: { width: parseInt(width), height: parseInt(height), fullPage: String(fullPage) === 'true' },
+    threshold: pixelThreshold,
+    ignoreRegions: regions,
+    diff: {
+      ...stats,
+      image: { contentType: 'image/png', base64: image.toString('base64') },
+    },
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Compare two URLs: a semantic diff of their extracted content, or a pixel diff
+async function runCompare(params, ctx = {}) {
+  const { url1, url2, mode = 'text', format = 'json', unified = false, context = 3 } = params;
+  if (!url1 || !url2) {
+    throw new ToolError('Both url1 and url2 required', 'MISSING_URLS');
+  }
+  if (!COMPARE_MODES.includes(mode)) {
+    throw new ToolError(`Invalid mode. Use one of: ${COMPARE_MODES.join(', ')}`, 'INVALID_MODE');
+  }
+  const nav = parseNavigationOptions(params);
+  ctx.allowTime?.(navigationTimeMs(nav) * 2); // the pages load one after the other
+  if (mode === 'visual') {
+    return runVisualCompare(params, ctx);
+  }
+  if (!DIFF_FORMATS.includes(format)) {
+    throw new ToolError(`Invalid format. Use one of: ${DIFF_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  const contextLines = parseInt(context);
+  if (isNaN(contextLines) || contextLines < 0 || contextLines > 50) {
+    throw new ToolError('context must be between 0 and 50', 'INVALID_CONTEXT');
+  }
+
+  await urlPolicy.check(url1);
+  await urlPolicy.check(url2);
+  await checkRobots(url1, params);
+  await checkRobots(url2, params);
+
+  // Fetch both URLs via pool, one after the other
+  const page1 = await renderPage(url1, ctx, nav);
+  const page2 = await renderPage(url2, ctx, nav);
+
+  // Parse both, relative to where each page ended up
+  const dom1 = new JSDOM(page1.html, { url: page1.pageUrl });
+  const dom2 = new JSDOM(page2.html, { url: page2.pageUrl });
+
+  const reader1 = new Readability(dom1.window.document.cloneNode(true));
+  const reader2 = new Readability(dom2.window.document.cloneNode(true));
+
+  const article1 = reader1.parse();
+  const article2 = reader2.parse();
+
+  const diff = diffPages(
+    { url: url1, document: dom1.window.document, article: article1 },
+    { url: url2, document: dom2.window.document, article: article2 },
+    { unified: format === 'unified' || String(unified) === 'true', context: contextLines }
+  );
+
+  if (format === 'unified') {
+    return {
+      body: Buffer.from(diff.unified),
+      contentType: 'text/plain; charset=utf-8',
+    };
+  }
+  if (format === 'html') {
+    return {
+      body: Buffer.from(renderHtmlDiff(diff, url1, url2)),
+      contentType: 'text/html; charset=utf-8',
+    };
+  }
+
+  // Compare
+  return jsonEntry({
+    url1: {
+      title: article1?.title,
+      length: article1?.length,
+      excerpt: article1?.excerpt,
+    },
+    url2: {
+      title: article2?.title,
+      length: article2?.length,
+      excerpt: article2?.excerpt,
+    },
+    comparison: {
+      titleMatch: article1?.title === article2?.title,
+      lengthDiff: (article2?.length || 0) - (article1?.length || 0),
+      longer: (article2?.length || 0) > (article1?.length || 0) ? 'url2' : 'url1',
+      similarity: diff.similarity,
+    },
+    diff,
+    timestamp: new Date().toISOString()
+  });
+}
+
+app.post('/compare', async (req, res, next) => {
+  try {
+    sendResult(res, await runCompare(req.body, requestContext(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Sitemap - a site's URLs from its sitemaps (no browser involved)
+const SITEMAP_DEFAULT_LIMIT = 1000;
+const SITEMAP_MAX_URLS = parseInt(process.env.SITEMAP_MAX_URLS || 50000);
+const SITEMAP_MAX_FILES = parseInt(process.env.SITEMAP_MAX_FILES || 50);
+// Per downloaded file; gzipped sitemaps may unpack to 50 MB
+const SITEMAP_MAX_BYTES = parseInt(process.env.SITEMAP_MAX_BYTES || 10 * 1024 * 1024);
+const SITEMAP_DOWNLOAD_TIMEOUT_MS = parseInt(process.env.SITEMAP_DOWNLOAD_TIMEOUT_MS || 30000);
+
+async function runSitemap({ url, limit }, { fresh, ...ctx } = {}) {
+  if (!url) {
+    throw new ToolError('URL parameter required', 'MISSING_URL');
+  }
+  const maxUrls = limit === undefined || limit === '' ? Math.min(SITEMAP_DEFAULT_LIMIT, SITEMAP_MAX_URLS) : Number(limit);
+  if (!Number.isInteger(maxUrls) || maxUrls < 1 || maxUrls > SITEMAP_MAX_URLS) {
+    throw new SitemapError(`limit must be an integer from 1 to ${SITEMAP_MAX_URLS}`, 'INVALID_LIMIT');
+  }
+
+  await urlPolicy.check(url);
+
+  return responseCache.wrap(cacheKey('sitemap', url, { limit: maxUrls }), async signal => {
+    const result = await readSitemaps(url, {
+      policy: urlPolicy,
+      robots,
+      limit: maxUrls,
+      maxFiles: SITEMAP_MAX_FILES,
+      maxBytes: SITEMAP_MAX_BYTES,
+      timeoutMs: SITEMAP_DOWNLOAD_TIMEOUT_MS,
+      describeError: err => {
+        const { body } = describeError(err) || internalError(err);
+        return { code: body.code, message: body.message };
+      },
+      signal
+    });
+
+    return jsonEntry({
+      url,
+      ...result,
+      count: result.urls.length,
+      timestamp: new Date().toISOString()
+    });
+  }, { fresh, signal: ctx.signal });
+}
+
+app.get('/sitemap', async (req, res, next) => {
+  try {
+    sendResult(res, await runSitemap(req.query, requestContext(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Runners by scope name, for jobs and batches
+const TOOL_RUNNERS = {
+  fetch: runFetch,
+  screenshot: runScreenshot,
+  pdf: runPdf,
+  document: runDocument,
+  summarize: runSummarize,
+  extract: runExtract,
+  compare: runCompare,
+  sitemap: runSitemap,
+};
+
+// Run a tool with params from a job or batch, where `fresh` is a param
+function runTool(type, params, ctx = {}) {
+  return TOOL_RUNNERS[type](params, { fresh: String(params.fresh) === 'true', ...ctx });
+}
+
+// Tool work done outside its own endpoint (jobs, batches) is logged under that
+// endpoint and counts against quotas like a direct call: its unit was reserved
+// when the work was accepted, and goes back if the work failed
+function recordToolUsage({ keyId, type, method, status, startedAt, finishedAt = Date.now() }) {
+  store.recordRequest({
+    timestamp: new Date(finishedAt).toISOString(),
+    endpoint: `/${type}`,
+    method,
+    keyId,
+    responseTime: finishedAt - startedAt,
+    status,
+    ip: null,
+    userAgent: method.toLowerCase()
+  }).catch(err => {
+    console.error('Failed to record request:', err.message);
+  });
+  if (status >= 400) releaseQuota(keyId);
+}
+
+// ============ ASYNC JOBS ============
+
+const webhooks = new WebhookSender(urlPolicy);
+
+const jobs = new JobQueue({
+  runners: {
+    ...Object.fromEntries(Object.keys(TOOL_RUNNERS).map(type => [type, (params, ctx) => runTool(type, params, ctx)])),
+    crawl: runCrawl,
+  },
+  pool,
+  webhooks,
+  describeError: error => describeError(error) || internalError(error),
+  onFinish: job => {
+    // A crawl's pages are recorded one by one as it fetches them; the units
+    // reserved for pages it never fetched go back
+    if (job.type === 'crawl') {
+      settleCrawlQuota(job.id, job.keyId);
+    } else if (job.status === JOB_STATUS.CANCELLED) {
+      releaseQuota(job.keyId);
+    } else {
+      recordToolUsage({
+        keyId: job.keyId,
+        type: job.type,
+        method: 'JOB',
+        status: job.error ? job.error.statusCode : 200,
+        startedAt: Date.parse(job.startedAt),
+        finishedAt: Date.parse(job.finishedAt),
+      });
+    }
+  },
+});
+
+// Quota units still reserved for the pages of each crawl job:
+// job id -> { units, running }
+const crawlReservations = new Map();
+
+// Give back a crawl's unused units, once it is finished and no longer running
+// (a cancelled crawl finishes before its last page is recorded)
+function settleCrawlQuota(jobId, keyId) {
+  const reservation = crawlReservations.get(jobId);
+  if (!reservation || reservation.running) return;
+  crawlReservations.delete(jobId);
+  releaseQuota(keyId, reservation.units);
+}
 
-// Clean Fetch - URL to markdown/text
-app.get('/fetch', async (req, res, next) => {
+// Jobs are visible to every key on the owning account, and to admins
+function getOwnedJob(req) {
+  const job = jobs.get(req.params.id);
+  if (!job || (job.ownerId !== req.apiKeyRecord.ownerId && !hasRole(req, ROLES.ADMIN))) {
+    throw new JobError('Job not found', 'JOB_NOT_FOUND', 404);
+  }
+  return job;
+}
+
+const jobLinks = job => ({
+  statusUrl: `/jobs/${job.id}`,
+  resultUrl: `/jobs/${job.id}/result`,
+});
+
+// Submit a job: { type, params, webhookUrl }
+app.post('/jobs', payForJob, async (req, res, next) => {
   try {
-    const { url, format = 'markdown' } = req.query;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'Bad request',
-        message: 'URL parameter required',
-        code: 'MISSING_URL'
+    const { type, params = {}, webhookUrl } = req.body || {};
+    const record = req.apiKeyRecord;
+
+    // Crawls are priced per page and submitted through POST /crawl
+    if (!TOOL_RUNNERS[type]) {
+      throw new JobError(`Invalid job type. Use one of: ${Object.keys(TOOL_RUNNERS).join(', ')}`, 'INVALID_JOB_TYPE', 400);
+    }
+    if (!params || typeof params !== 'object' || Array.isArray(params)) {
+      throw new JobError('params must be an object', 'INVALID_PARAMS', 400);
+    }
+    if (!hasScope(record, type)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key is not allowed to run ${type} jobs (requires scope "${type}")`,
+        code: 'INSUFFICIENT_SCOPE'
       });
     }
 
-    let acquired;
-    try {
-      acquired = await pool.acquire();
-    } catch (err) {
-      if (err instanceof PoolError) {
-        return res.status(err.statusCode).json({
-          error: 'Service busy',
-          message: err.message,
-          estimated_wait_ms: err.estimatedWaitMs,
-          code: 'QUEUE_FULL'
-        });
-      }
-      throw err;
+    if (webhookUrl) {
+      await urlPolicy.check(webhookUrl);
     }
-    const { page, release } = acquired;
 
-    try {
-      await page.setUserAgent('Mozilla/5.0 (compatible; x402-tools/2.0)');
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-      
-      const html = await page.content();
-      
-      const dom = new JSDOM(html, { url });
-      const reader = new Readability(dom.window.document);
-      const article = reader.parse();
-
-      if (!article) {
-        return res.status(422).json({ 
-          error: 'Unprocessable content',
-          message: 'Could not extract content from URL',
-          code: 'EXTRACTION_FAILED'
-        });
-      }
+    const { allowed, exceeded, quota } = await quotas.check(record);
+    if (!allowed) return quotaExceeded(res, exceeded, quota);
 
-      res.json({
-        title: article.title,
-        byline: article.byline,
-        content: format === 'text' ? article.textContent : article.content,
-        excerpt: article.excerpt,
-        length: article.length,
-        url: url,
-        timestamp: new Date().toISOString()
+    let job;
+    try {
+      job = jobs.submit({
+        type,
+        params,
+        ownerId: record.ownerId,
+        keyId: record.id,
+        webhookUrl: webhookUrl || null,
       });
-    } finally {
-      await release();
+    } catch (error) {
+      releaseQuota(record.id);
+      throw error;
     }
+
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json({ ...jobs.describe(job), ...jobLinks(job) });
   } catch (error) {
     next(error);
   }
 });
 
-// Screenshot API - URL to PNG
-app.get('/screenshot', heavyEndpointLimiter, async (req, res, next) => {
-  try {
-    const { 
-      url, 
-      width = 1280, 
-      height = 720, 
-      fullPage = false,
-      format = 'png'
-    } = req.query;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'Bad request',
-        message: 'URL parameter required',
-        code: 'MISSING_URL'
-      });
-    }
-
-    let acquired;
-    try {
-      acquired = await pool.acquire();
-    } catch (err) {
-      if (err instanceof PoolError) {
-        return res.status(err.statusCode).json({
-          error: 'Service busy',
-          message: err.message,
-          estimated_wait_ms: err.estimatedWaitMs,
-          code: 'QUEUE_FULL'
-        });
-      }
-      throw err;
-    }
-    const { page, release } = acquired;
+// List the account's retained jobs (optional ?status=)
+app.get('/jobs', (req, res) => {
+  const list = jobs.list(req.apiKeyRecord.ownerId)
+    .filter(job => !req.query.status || job.status === req.query.status)
+    .map(job => jobs.describe(job));
+  res.json({ count: list.length, jobs: list });
+});
 
-    try {
-      await page.setViewport({ 
-        width: parseInt(width), 
-        height: parseInt(height) 
-      });
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-      
-      const screenshot = await page.screenshot({ 
-        type: format === 'jpeg' ? 'jpeg' : 'png',
-        fullPage: fullPage === 'true',
-      });
+// Job status, including queue position and estimated wait while unfinished
+app.get('/jobs/:id', (req, res, next) => {
+  try {
+    const job = getOwnedJob(req);
+    res.json({ ...jobs.describe(job), ...jobLinks(job) });
+  } catch (error) {
+    next(error);
+  }
+});
 
-      res.set('Content-Type', `image/${format === 'jpeg' ? 'jpeg' : 'png'}`);
-      res.send(screenshot);
-    } finally {
-      await release();
+// Job result: the same body the synchronous endpoint returns. With
+// ?partial=true, a crawl that is still running, was cancelled or failed
+// returns what it has so far.
+app.get('/jobs/:id/result', (req, res, next) => {
+  try {
+    const job = getOwnedJob(req);
+    if (req.query.partial === 'true' && job.partial) {
+      return res.json(job.partial);
+    }
+    switch (job.status) {
+      case JOB_STATUS.COMPLETED:
+        res.set('Content-Type', job.result.contentType);
+        return res.send(job.result.body);
+      case JOB_STATUS.FAILED: {
+        const { statusCode, ...body } = job.error;
+        return res.status(statusCode).json(body);
+      }
+      case JOB_STATUS.CANCELLED:
+        throw new JobError('Job was cancelled', 'JOB_CANCELLED', 409);
+      default:
+        return res.status(409).json({
+          error: 'Conflict',
+          message: `Job is ${job.status}`,
+          code: 'JOB_NOT_FINISHED',
+          ...jobs.describe(job)
+        });
     }
   } catch (error) {
     next(error);
   }
 });
 
-// PDF to Text - Extract text from PDF
-app.post('/pdf', async (req, res, next) => {
+// Cancel an unfinished job, or delete a finished one and its result
+app.delete('/jobs/:id', (req, res, next) => {
   try {
-    const { base64, url } = req.body;
-    
-    let pdfBuffer;
-    
-    if (base64) {
-      pdfBuffer = Buffer.from(base64, 'base64');
-    } else if (url) {
-      const response = await fetch(url);
-      pdfBuffer = Buffer.from(await response.arrayBuffer());
-    } else {
-      return res.status(400).json({ 
-        error: 'Bad request',
-        message: 'Either base64 or url required',
-        code: 'MISSING_PDF_SOURCE'
-      });
+    const job = getOwnedJob(req);
+    if (isFinished(job)) {
+      jobs.remove(job.id);
+      return res.json({ id: job.id, deleted: true });
     }
-
-    const data = await pdf(pdfBuffer);
-
-    res.json({
-      text: data.text,
-      pages: data.numpages,
-      info: data.info,
-      metadata: data.metadata,
-      timestamp: new Date().toISOString()
-    });
+    res.json(jobs.describe(jobs.cancel(job.id)));
   } catch (error) {
     next(error);
   }
 });
 
-// Extract structured data from URL
-app.get('/extract', async (req, res, next) => {
+// ============ BATCH ============
+
+const BATCH_MAX_OPERATIONS = parseInt(process.env.BATCH_MAX_OPERATIONS || 50);
+// Pages one batch may hold at once, so a large batch can't starve other callers
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY || 2);
+
+// Validate a batch before anything is charged or run; sets req.batch
+const parseBatch = async (req, res, next) => {
   try {
-    const { url, types = 'emails,phones,links' } = req.query;
-    
-    if (!url) {
-      return res.status(400).json({ 
-        error: 'Bad request',
-        message: 'URL parameter required',
-        code: 'MISSING_URL'
+    const { operations, concurrency } = req.body || {};
+    const record = req.apiKeyRecord;
+
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw new ToolError('operations must be a non-empty array', 'INVALID_BATCH');
+    }
+    if (operations.length > BATCH_MAX_OPERATIONS) {
+      throw new ToolError(`Too many operations (max ${BATCH_MAX_OPERATIONS})`, 'BATCH_TOO_LARGE', 413);
+    }
+
+    const normalized = operations.map((op, index) => {
+      if (!op || typeof op !== 'object' || !TOOL_RUNNERS[op.type]) {
+        throw new ToolError(`operations[${index}]: type must be one of ${Object.keys(TOOL_RUNNERS).join(', ')}`, 'INVALID_BATCH');
+      }
+      const params = op.params ?? {};
+      if (typeof params !== 'object' || Array.isArray(params)) {
+        throw new ToolError(`operations[${index}]: params must be an object`, 'INVALID_BATCH');
+      }
+      return { index, id: op.id ?? null, type: op.type, params };
+    });
+
+    const denied = normalized.find(op => !hasScope(record, op.type));
+    if (denied) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `This API key is not allowed to run ${denied.type} (operations[${denied.index}] requires scope "${denied.type}")`,
+        code: 'INSUFFICIENT_SCOPE'
       });
     }
 
-    let acquired;
-    try {
-      acquired = await pool.acquire();
-    } catch (err) {
-      if (err instanceof PoolError) {
-        return res.status(err.statusCode).json({
-          error: 'Service busy',
-          message: err.message,
-          estimated_wait_ms: err.estimatedWaitMs,
-          code: 'QUEUE_FULL'
+    // Per-endpoint plan limits still apply to the operations inside a batch
+    const plan = planForKey(record);
+    for (const [type, limit] of Object.entries(plan.endpointLimits)) {
+      const count = normalized.filter(op => op.type === type).length;
+      if (count > limit) {
+        return res.status(429).json({
+          error: 'Too many requests',
+          message: `The ${plan.name} plan allows ${limit} ${type} requests per minute; this batch has ${count}.`,
+          code: 'RATE_LIMIT_EXCEEDED'
         });
       }
-      throw err;
     }
-    const { page, release } = acquired;
-    
-    let html, pageUrl;
-    try {
-      await page.setUserAgent('Mozilla/5.0 (compatible; x402-tools/2.0)');
-      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
-      
-      html = await page.content();
-      pageUrl = page.url();
-    } finally {
-      await release();
+
+    // Every operation's unit is reserved up front
+    const { allowed, exceeded, quota } = await quotas.check(record, normalized.length);
+    if (!allowed && quota[exceeded].remaining === 0) return quotaExceeded(res, exceeded, quota);
+    if (!allowed) {
+      return res.status(429).json({
+        error: 'Quota exceeded',
+        message: `This batch has ${normalized.length} operations but only ${quota[exceeded].remaining} requests are left in the ${exceeded} quota.`,
+        code: 'QUOTA_EXCEEDED',
+        quota
+      });
     }
 
-    const typesArray = types.split(',').map(t => t.trim().toLowerCase());
-    const result = { 
-      url: pageUrl, 
-      extracted: {},
-      timestamp: new Date().toISOString()
+    const requested = parseInt(concurrency);
+    req.batch = {
+      operations: normalized,
+      concurrency: requested > 0 ? Math.min(requested, BATCH_CONCURRENCY) : BATCH_CONCURRENCY,
+      unused: normalized.length, // reserved units of operations not run yet
     };
+    // Operations that never ran (payment refused, client gone) give their units back
+    res.on('close', () => releaseQuota(record.id, req.batch.unused));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Extract emails
-    if (typesArray.includes('emails')) {
-      const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
-      const emails = [...new Set(html.match(emailRegex) || [])];
-      result.extracted.emails = emails;
+// Run many operations in one call: { operations: [{ id, type, params }], concurrency }.
+// Results stream back as NDJSON, one line per operation in completion order,
+// then a summary line.
+app.post('/batch', parseBatch, payForBatch, async (req, res) => {
+  const { operations, concurrency } = req.batch;
+  const keyId = req.keyId;
+  const started = Date.now();
+
+  // Stop outstanding work if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => controller.abort(new ToolError('Client disconnected', 'CLIENT_CLOSED', 499)));
+
+  res.status(200).set({
+    'Content-Type': 'application/x-ndjson; charset=utf-8',
+    'Cache-Control': 'no-store',
+  });
+  res.flushHeaders();
+  const writeLine = line => {
+    if (res.writableEnded || controller.signal.aborted) return;
+    res.write(JSON.stringify(line) + '\n');
+    res.flush?.(); // compression would otherwise hold lines back
+  };
+
+  let succeeded = 0;
+  const runOperation = async ({ index, id, type, params }) => {
+    const startedAt = Date.now();
+    const line = { index, id, type };
+    try {
+      const result = await runTool(type, params, { signal: controller.signal });
+      Object.assign(line, {
+        ok: true,
+        status: 200,
+        ...(result.hit !== undefined ? { cache: result.hit ? 'HIT' : 'MISS', age: result.age } : {}),
+        result: encodeResult(result),
+      });
+      succeeded++;
+    } catch (err) {
+      if (controller.signal.aborted) return;
+      const { statusCode, body } = describeError(err) || internalError(err);
+      if (statusCode === 500) console.error(`Batch operation ${index} failed:`, err);
+      Object.assign(line, { ok: false, status: statusCode, error: body });
     }
+    req.batch.unused--;
+    recordToolUsage({ keyId, type, method: 'BATCH', status: line.status, startedAt });
+    writeLine(line);
+  };
 
-    // Extract phone numbers
-    if (typesArray.includes('phones')) {
-      const phoneRegex = /(?:\+?1[-.\s]?)?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4}/g;
-      const phones = [...new Set(html.match(phoneRegex) || [])];
-      result.extracted.phones = phones;
+  // A fixed number of workers pull operations in order
+  const pending = [...operations];
+  const worker = async () => {
+    while (pending.length > 0 && !controller.signal.aborted) {
+      await runOperation(pending.shift());
     }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, operations.length) }, worker));
+
+  writeLine({
+    done: true,
+    total: operations.length,
+    succeeded,
+    failed: operations.length - succeeded,
+    durationMs: Date.now() - started,
+  });
+  res.end();
+});
 
-    // Extract links
-    if (typesArray.includes('links')) {
-      const dom = new JSDOM(html, { url });
-      const links = [...dom.window.document.querySelectorAll('a[href]')]
-        .map(a => a.href)
-        .filter(href => href.startsWith('http'))
-        .slice(0, 100); // Limit to 100 links
-      result.extracted.links = [...new Set(links)];
+// ============ CRAWL ============
+
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES || 100);
+// The least time between two requests to one host; callers can only raise it
+const CRAWL_DELAY_MS = parseInt(process.env.CRAWL_DELAY_MS || 1000);
+// How long to wait before asking again for a page when the browser pool is full
+const CRAWL_POOL_RETRY_MS = 1000;
+
+// Render one page of a crawl: the /fetch content in `format`, and its links
+async function crawlPage(url, format, ctx, nav) {
+  let lease;
+  // A crawl yields to a full pool rather than failing the page
+  while (!lease) {
+    try {
+      lease = await pool.acquire({ ...ctx, timeoutMs: navigationTimeMs(nav) });
+    } catch (err) {
+      if (!(err instanceof PoolError) || pool.shuttingDown) throw err;
+      await sleep(CRAWL_POOL_RETRY_MS, undefined, { signal: ctx.signal });
     }
+  }
+  const { page, release } = lease;
+  try {
+    const response = await openPage(page, url, nav, { policy: urlPolicy });
+    const finalUrl = page.url();
+    const { document } = new JSDOM(await page.content(), { url: finalUrl }).window;
+    // Before Readability, which rewrites the document
+    const links = [...document.querySelectorAll('a[href]')].map(a => a.href);
+    const article = new Readability(document).parse();
+
+    const content = !article ? null
+      : format === 'text' ? article.textContent
+      : format === 'html' ? article.content
+      : htmlToMarkdown(article.content, finalUrl);
+    return {
+      url: finalUrl,
+      status: response?.status() ?? null,
+      title: article?.title || document.title || null,
+      byline: article?.byline ?? null,
+      content,
+      excerpt: article?.excerpt ?? null,
+      length: article?.length ?? 0,
+      links,
+    };
+  } finally {
+    await release();
+  }
+}
 
-    // Extract prices
-    if (typesArray.includes('prices')) {
-      const priceRegex = /\$[\d,]+(?:\.\d{2})?|\d+(?:\.\d{2})?\s*(?:USD|EUR|GBP)/gi;
-      const prices = [...new Set(html.match(priceRegex) || [])];
-      result.extracted.prices = prices;
+// Crawl - runs as a job (see POST /crawl); `ctx.progress` publishes the pages so far
+async function runCrawl(params, ctx = {}) {
+  const options = parseCrawlOptions(params, { maxPages: CRAWL_MAX_PAGES, minDelayMs: CRAWL_DELAY_MS });
+  if (ROBOTS_ENFORCED) options.respectRobots = true;
+  const { format = 'markdown' } = params;
+  if (!FETCH_FORMATS.includes(format)) {
+    throw new ToolError(`Invalid format. Use one of: ${FETCH_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+  }
+  const nav = parseNavigationOptions(params);
+  await urlPolicy.check(options.url);
+
+  const describePageError = err => {
+    const { statusCode, body } = describeError(err) || internalError(err);
+    return { status: statusCode, code: body.code, message: body.message };
+  };
+
+  const reservation = crawlReservations.get(ctx.tag);
+  if (reservation) reservation.running = true;
+  try {
+    const result = await crawl(options, {
+      fetchPage: async url => {
+        const startedAt = Date.now();
+        let status = 200;
+        try {
+          return await crawlPage(url, format, ctx, nav);
+        } catch (err) {
+          status = ctx.signal?.aborted ? 499 : describePageError(err).status;
+          throw err;
+        } finally {
+          // Each page is a fetch for logs and quotas, using one of the crawl's reserved units
+          if (ctx.keyId) {
+            if (reservation) reservation.units = Math.max(0, reservation.units - 1);
+            recordToolUsage({ keyId: ctx.keyId, type: 'fetch', method: 'CRAWL', status, startedAt });
+          }
+        }
+      },
+      robotsFor: url => robots.get(url),
+      describeError: describePageError,
+      onProgress: (progress, partial) => ctx.progress?.(progress, { ...partial, format }),
+      signal: ctx.signal,
+    });
+
+    return jsonEntry({ ...result, format, timestamp: new Date().toISOString() });
+  } finally {
+    if (reservation) {
+      reservation.running = false;
+      // A crawl that was cancelled has already finished; otherwise onFinish settles
+      const job = jobs.get(ctx.tag);
+      if (!job || isFinished(job)) settleCrawlQuota(ctx.tag, ctx.keyId);
     }
+  }
+}
 
-    // Extract meta tags
-    if (typesArray.includes('meta')) {
-      const dom = new JSDOM(html, { url });
-      const doc = dom.window.document;
-      const meta = {
-        title: doc.title,
-        description: doc.querySelector('meta[name="description"]')?.content,
-        keywords: doc.querySelector('meta[name="keywords"]')?.content,
-        ogTitle: doc.querySelector('meta[property="og:title"]')?.content,
-        ogDescription: doc.querySelector('meta[property="og:description"]')?.content,
-        ogImage: doc.querySelector('meta[property="og:image"]')?.content,
-        twitterCard: doc.querySelector('meta[name="twitter:card"]')?.content,
-      };
-      result.extracted.meta = meta;
+// Validate a crawl before anything is charged or queued; sets req.crawl
+const parseCrawl = async (req, res, next) => {
+  try {
+    const params = req.body || {};
+    const record = req.apiKeyRecord;
+    if (!hasScope(record, 'crawl')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This API key is not allowed to call /crawl (requires scope "crawl")',
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+
+    const options = parseCrawlOptions(params, { maxPages: CRAWL_MAX_PAGES, minDelayMs: CRAWL_DELAY_MS });
+    if (params.format !== undefined && !FETCH_FORMATS.includes(params.format)) {
+      throw new ToolError(`Invalid format. Use one of: ${FETCH_FORMATS.join(', ')}`, 'INVALID_FORMAT');
+    }
+    parseNavigationOptions(params);
+    await urlPolicy.check(options.url);
+    if (params.webhookUrl) {
+      await urlPolicy.check(params.webhookUrl);
     }
 
-    res.json(result);
+    // Every page may be fetched, so maxPages units are reserved
+    const { allowed, exceeded, quota } = await quotas.check(record, options.maxPages);
+    if (!allowed && quota[exceeded].remaining === 0) return quotaExceeded(res, exceeded, quota);
+    if (!allowed) {
+      return res.status(429).json({
+        error: 'Quota exceeded',
+        message: `This crawl may fetch ${options.maxPages} pages but only ${quota[exceeded].remaining} requests are left in the ${exceeded} quota. Lower maxPages.`,
+        code: 'QUOTA_EXCEEDED',
+        quota
+      });
+    }
+
+    req.crawl = options;
+    // Until a job holds the reservation (see crawlReservations), it goes back with the response
+    res.on('close', () => {
+      if (!req.crawlJob) releaseQuota(record.id, options.maxPages);
+    });
+    next();
   } catch (error) {
     next(error);
   }
-});
+};
+
+// A crawl is paid up front at the /fetch price for each of its maxPages
+const payForCrawl = (req, res, next) => {
+  if (!paymentsEnabled) return next();
+  return paymentMiddleware({
+    'POST /crawl': {
+      price: (BigInt(FETCH_PRICE) * BigInt(req.crawl.maxPages)).toString(),
+      network: 'base',
+      currency: 'USDC',
+      description: `Crawl of up to ${req.crawl.maxPages} pages`,
+    },
+  }, paymentOptions)(req, res, next);
+};
 
-// Compare two URLs
-app.post('/compare', heavyEndpointLimiter, async (req, res, next) => {
+// Start a crawl: { url, maxDepth, maxPages, include, exclude, sameOrigin,
+// respectRobots, delayMs, format, webhookUrl, ...navigation options }.
+// It runs as a job; poll GET /jobs/:id for progress.
+app.post('/crawl', parseCrawl, payForCrawl, (req, res, next) => {
   try {
-    const { url1, url2 } = req.body;
-    
-    if (!url1 || !url2) {
-      return res.status(400).json({ 
-        error: 'Bad request',
-        message: 'Both url1 and url2 required',
-        code: 'MISSING_URLS'
-      });
-    }
+    const { webhookUrl, ...params } = req.body;
+    const record = req.apiKeyRecord;
+    const job = jobs.submit({
+      type: 'crawl',
+      params,
+      ownerId: record.ownerId,
+      keyId: record.id,
+      webhookUrl: webhookUrl || null,
+    });
+    crawlReservations.set(job.id, { units: req.crawl.maxPages, running: false });
+    req.crawlJob = job;
 
-    // Fetch first URL via pool
-    let html1;
-    {
-      let acquired;
-      try {
-        acquired = await pool.acquire();
-      } catch (err) {
-        if (err instanceof PoolError) {
-          return res.status(err.statusCode).json({
-            error: 'Service busy',
-            message: err.message,
-            estimated_wait_ms: err.estimatedWaitMs,
-            code: 'QUEUE_FULL'
-          });
-        }
-        throw err;
-      }
-      const { page, release } = acquired;
-      try {
-        await page.setUserAgent('Mozilla/5.0 (compatible; x402-tools/2.0)');
-        await page.goto(url1, { waitUntil: 'networkidle2', timeout: 30000 });
-        html1 = await page.content();
-      } finally {
-        await release();
-      }
+    res.status(202)
+      .location(`/jobs/${job.id}`)
+      .json({ ...jobs.describe(job), ...jobLinks(job), partialResultUrl: `/jobs/${job.id}/result?partial=true` });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// ============ MONITORS ============
+
+// Reduce a rendered page to the text blocks a monitor compares
+async function checkMonitor({ url, scope, selector }, ctx) {
+  await urlPolicy.check(url);
+  await checkRobots(url);
+  const { html, pageUrl } = await renderPage(url, ctx);
+  const { document } = new JSDOM(html, { url: pageUrl }).window;
+
+  if (scope === 'selector') {
+    const matches = [...document.querySelectorAll(selector)];
+    if (matches.length === 0) {
+      throw new ToolError(`Selector matched nothing: ${selector}`, 'SELECTOR_NOT_FOUND', 422);
     }
+    const blocks = matches.flatMap(el => {
+      const inner = textBlocks(el);
+      const text = el.textContent.replace(/\s+/g, ' ').trim();
+      return inner.length ? inner : text ? [{ tag: el.tagName.toLowerCase(), text }] : [];
+    });
+    return { title: document.title, blocks };
+  }
 
-    // Fetch second URL via pool
-    let html2;
-    {
-      let acquired;
-      try {
-        acquired = await pool.acquire();
-      } catch (err) {
-        if (err instanceof PoolError) {
-          return res.status(err.statusCode).json({
-            error: 'Service busy',
-            message: err.message,
-            estimated_wait_ms: err.estimatedWaitMs,
-            code: 'QUEUE_FULL'
-          });
-        }
-        throw err;
-      }
-      const { page, release } = acquired;
-      try {
-        await page.setUserAgent('Mozilla/5.0 (compatible; x402-tools/2.0)');
-        await page.goto(url2, { waitUntil: 'networkidle2', timeout: 30000 });
-        html2 = await page.content();
-      } finally {
-        await release();
-      }
+  if (scope === 'readability') {
+    const article = new Readability(document.cloneNode(true)).parse();
+    if (!article) {
+      throw new ToolError('Could not extract content from URL', 'EXTRACTION_FAILED', 422);
     }
+    return { title: article.title, blocks: textBlocks(new JSDOM(article.content).window.document) };
+  }
 
-    // Parse both
-    const dom1 = new JSDOM(html1, { url: url1 });
-    const dom2 = new JSDOM(html2, { url: url2 });
-    
-    const reader1 = new Readability(dom1.window.document.cloneNode(true));
-    const reader2 = new Readability(dom2.window.document.cloneNode(true));
-    
-    const article1 = reader1.parse();
-    const article2 = reader2.parse();
+  return { title: document.title, blocks: textBlocks(document.body) };
+}
 
-    // Compare
-    const result = {
-      url1: { 
-        title: article1?.title,
-        length: article1?.length,
-        excerpt: article1?.excerpt,
-      },
-      url2: {
-        title: article2?.title,
-        length: article2?.length,
-        excerpt: article2?.excerpt,
-      },
-      comparison: {
-        titleMatch: article1?.title === article2?.title,
-        lengthDiff: (article2?.length || 0) - (article1?.length || 0),
-        longer: (article2?.length || 0) > (article1?.length || 0) ? 'url2' : 'url1',
-      },
-      timestamp: new Date().toISOString()
+// Whether a monitor's key may still run checks. Rotated keys are followed to
+// their replacement; unusable keys pause the monitor, an exhausted quota skips the run.
+async function authorizeMonitor(monitor) {
+  let record = await apiKeys.get(monitor.keyId);
+  while (record?.rotatedTo && keyStatus(record) === KEY_STATUS.REVOKED) {
+    record = await apiKeys.get(record.rotatedTo);
+  }
+
+  if (!record || keyStatus(record) !== KEY_STATUS.ACTIVE) {
+    const status = record ? keyStatus(record) : 'deleted';
+    return { allowed: false, pause: true, code: 'KEY_INACTIVE', message: `The monitor's API key is ${status}` };
+  }
+  if (!hasScope(record, 'fetch')) {
+    return { allowed: false, pause: true, code: 'INSUFFICIENT_SCOPE', message: 'The monitor\'s API key lacks the "fetch" scope' };
+  }
+
+  const { allowed, exceeded, quota } = await quotas.check(record);
+  if (!allowed) {
+    return {
+      allowed: false,
+      pause: false,
+      code: 'QUOTA_EXCEEDED',
+      message: `The ${exceeded} quota is used up until ${quota[exceeded].resetsAt}`,
     };
+  }
+  return { allowed: true, keyId: record.id };
+}
+
+// Each check is a page fetch and is counted against the key's quota as one
+const monitors = new MonitorScheduler({
+  store,
+  // A check cut short (monitor deleted, shutdown) isn't recorded, so its unit goes back here
+  check: (monitor, ctx) => checkMonitor(monitor, ctx).catch(err => {
+    if (ctx.signal?.aborted) releaseQuota(monitor.keyId);
+    throw err;
+  }),
+  authorize: authorizeMonitor,
+  describeError: error => describeError(error) || internalError(error),
+  webhooks,
+  onRun: (monitor, run) => recordToolUsage({
+    keyId: monitor.keyId,
+    type: 'fetch',
+    method: 'MONITOR',
+    status: run.error?.statusCode || 200,
+    startedAt: Date.parse(run.startedAt),
+    finishedAt: Date.parse(run.finishedAt),
+  }),
+});
+monitors.start();
+
+async function getOwnedMonitor(req) {
+  const monitor = await monitors.get(req.params.id);
+  if (!monitor || (monitor.ownerId !== req.apiKeyRecord.ownerId && !hasRole(req, ROLES.ADMIN))) {
+    throw new MonitorError('Monitor not found', 'MONITOR_NOT_FOUND', 404);
+  }
+  return monitor;
+}
+
+const monitorLinks = monitor => ({
+  runsUrl: `/monitors/${monitor.id}/runs`,
+  snapshotUrl: `/monitors/${monitor.id}/snapshot`,
+});
+
+// Register a monitor: { url, intervalSeconds, scope, selector, webhookUrl, label }
+app.post('/monitors', async (req, res, next) => {
+  try {
+    const { url, webhookUrl, ...options } = req.body || {};
+    const record = req.apiKeyRecord;
+
+    if (!hasScope(record, 'fetch')) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'This API key is not allowed to create monitors (requires scope "fetch")',
+        code: 'INSUFFICIENT_SCOPE'
+      });
+    }
+    if (url) await urlPolicy.check(url);
+    if (webhookUrl) await urlPolicy.check(webhookUrl);
+
+    const monitor = await monitors.create({
+      ...options,
+      url,
+      webhookUrl,
+      ownerId: record.ownerId,
+      keyId: record.id,
+    });
+
+    // The signing secret is only shown here and after rotation
+    res.status(201)
+      .location(`/monitors/${monitor.id}`)
+      .json({ ...monitors.describe(monitor), webhookSecret: monitor.webhookSecret, ...monitorLinks(monitor) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/monitors', async (req, res, next) => {
+  try {
+    const list = (await monitors.list(req.apiKeyRecord.ownerId)).map(monitor => monitors.describe(monitor));
+    res.json({ count: list.length, monitors: list });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/monitors/:id', async (req, res, next) => {
+  try {
+    const monitor = await getOwnedMonitor(req);
+    res.json({ ...monitors.describe(monitor), ...monitorLinks(monitor) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change settings, pause/resume ({"status": "paused"|"active"}) or rotate the webhook secret
+app.patch('/monitors/:id', async (req, res, next) => {
+  try {
+    const monitor = await getOwnedMonitor(req);
+    const { url, webhookUrl } = req.body || {};
+    if (url) await urlPolicy.check(url);
+    if (webhookUrl) await urlPolicy.check(webhookUrl);
+
+    const updated = await monitors.update(monitor.id, req.body || {});
+    res.json({
+      ...monitors.describe(updated),
+      ...(req.body?.rotateSecret === true ? { webhookSecret: updated.webhookSecret } : {}),
+      ...monitorLinks(updated),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.delete('/monitors/:id', async (req, res, next) => {
+  try {
+    const monitor = await getOwnedMonitor(req);
+    await monitors.remove(monitor.id);
+    res.json({ id: monitor.id, deleted: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check now instead of waiting for the schedule
+app.post('/monitors/:id/run', async (req, res, next) => {
+  try {
+    const monitor = await getOwnedMonitor(req);
+    const updated = await monitors.trigger(monitor.id);
+    res.status(202).json({ ...monitors.describe(updated), ...monitorLinks(updated) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Run history, newest first (?limit=, default 20)
+app.get('/monitors/:id/runs', async (req, res, next) => {
+  try {
+    const monitor = await getOwnedMonitor(req);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), monitors.historyLimit);
+    const runs = await monitors.runs(monitor.id, { limit });
+    res.json({ id: monitor.id, count: runs.length, runs });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    res.json(result);
+// The latest snapshot: the text blocks the next check is compared against
+app.get('/monitors/:id/snapshot', async (req, res, next) => {
+  try {
+    const monitor = await getOwnedMonitor(req);
+    if (!monitor.snapshot) {
+      throw new MonitorError('No snapshot yet; no check has succeeded', 'NO_SNAPSHOT', 404);
+    }
+    res.json({ id: monitor.id, url: monitor.url, scope: monitor.scope, selector: monitor.selector, ...monitor.snapshot });
   } catch (error) {
     next(error);
   }
@@ -814,11 +2765,24 @@ app.use(handleError);
 const gracefulShutdown = async () => {
   console.log('Received shutdown signal, closing server gracefully...');
   
+  jobs.shutdown();
+  monitors.stop();
   await pool.shutdown();
+  urlPolicy.close();
+  await store.close();
   
   process.exit(0);
 };
 
+// Prune raw request logs past retention (aggregated usage counters are kept)
+if (LOG_RETENTION_DAYS > 0) {
+  setInterval(() => {
+    store.pruneLogs(Date.now() - LOG_RETENTION_DAYS * 24 * HOUR_MS).catch(err => {
+      console.error('Failed to prune logs:', err.message);
+    });
+  }, HOUR_MS).unref();
+}
+
 process.on('SIGTERM', gracefulShutdown);
 process.on('SIGINT', gracefulShutdown);
 
@@ -826,6 +2790,10 @@ const PORT = process.env.PORT || 3402;
 app.listen(PORT, () => {
   console.log(`x402-tools v2.0.0 running on port ${PORT}`);
   console.log(`Payment mode: ${process.env.ENABLE_PAYMENTS === 'true' ? 'ENABLED' : 'DISABLED (testing)'}`);
-  console.log(`API keys configured: ${API_KEYS.length}`);
+  console.log(`API keys configured: ${API_KEYS.length} (admin: ${ADMIN_API_KEYS.length})`);
+  if (ADMIN_API_KEYS.length === 0) {
+    console.warn('No ADMIN_API_KEYS configured — admin endpoints are unreachable');
+  }
+  console.log(`Storage: ${store.name}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
\ No newline at end of file
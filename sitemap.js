@@ -0,0 +1,249 @@
+/**
+ * Sitemap - A site's URL list from its sitemaps.
+ *
+ * Given a sitemap URL, that sitemap is read. Given any other URL, the site's
+ * sitemaps are discovered: the Sitemap: lines of its robots.txt, else
+ * /sitemap.xml. Sitemap indexes are followed (up to MAX_INDEX_DEPTH levels),
+ * gzipped sitemaps are unpacked, and plain-text sitemaps (one URL per line)
+ * are read too. Every file is downloaded through the URL policy with a size
+ * limit; one that fails is reported in `sitemaps` and the rest still count.
+ *
+ * Parsing is a tolerant forward scan for <url> and <sitemap> entries rather
+ * than a full XML parse, so namespace prefixes and sloppy markup don't matter
+ * and even malformed 50 MB files take time linear in their size.
+ */
+import zlib from 'zlib';
+import { promisify } from 'util';
+import { downloadFile } from './uploads.js';
+
+const gunzip = promisify(zlib.gunzip);
+
+// The sitemap protocol's own limits: 50,000 URLs and 50 MB uncompressed per file
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+// Entries past this in one file are ignored
+const MAX_SITEMAP_ENTRIES = 50000;
+const MAX_INDEX_DEPTH = 3;
+// Paths read as a sitemap; any other URL has its site's sitemaps discovered
+const SITEMAP_PATH = /sitemap[^/]*$|\.(xml|txt)(\.gz)?$/i;
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+const FIELDS = new Set(['loc', 'lastmod', 'changefreq', 'priority']);
+
+export class SitemapError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'SitemapError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+function decodeXml(value) {
+  let text = value.trim();
+  if (text.startsWith('<![CDATA[') && text.endsWith(']]>')) text = text.slice(9, -3);
+  return text
+    .replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (entity, hex, dec, name) => (
+      hex ? String.fromCodePoint(parseInt(hex, 16))
+        : dec ? String.fromCodePoint(parseInt(dec, 10))
+        : ENTITIES[name.toLowerCase()] ?? entity
+    ))
+    .trim();
+}
+
+/**
+ * The root element's name and the <url>/<sitemap> entries of a sitemap, each
+ * as { name, loc, lastmod, changefreq, priority } of decoded text.
+ *
+ * One forward scan with indexOf: namespace prefixes are dropped, comments and
+ * CDATA skipped, and a tag that is never closed ends where the next tag
+ * starts, so unclosed or stray tags cost no more than well-formed ones.
+ */
+function scanSitemap(xml) {
+  let root = null;
+  const found = [];
+  let entry = null; // the <url> or <sitemap> being read
+  let field = null; // { name, start } of the entry's field being read
+  let position = 0;
+
+  while (found.length < MAX_SITEMAP_ENTRIES && (position = xml.indexOf('<', position)) !== -1) {
+    if (xml.startsWith('<!--', position) || xml.startsWith('<![CDATA[', position)) {
+      const end = xml.indexOf(xml[position + 2] === '-' ? '-->' : ']]>', position);
+      position = end === -1 ? xml.length : end + 3;
+      continue;
+    }
+    const end = xml.indexOf('>', position);
+    if (end === -1) break;
+    const tagStart = position;
+    const tag = xml.slice(position + 1, end);
+    position = end + 1;
+    if (tag[0] === '?' || tag[0] === '!') continue;
+
+    if (field) {
+      entry[field.name] = decodeXml(xml.slice(field.start, tagStart));
+      field = null;
+    }
+    const closing = tag[0] === '/';
+    const name = tag.match(/^\/?(?:[\w.-]+:)?([\w.-]+)/)?.[1].toLowerCase();
+    if (!name) continue;
+    if (!root) {
+      root = name;
+    } else if (name === 'url' || name === 'sitemap') {
+      // An entry opening before the last one closed ends that one
+      if (entry) found.push(entry);
+      entry = closing || tag.endsWith('/') ? null : { name };
+    } else if (entry && !closing && FIELDS.has(name) && !(name in entry)) {
+      // The first of each field counts, so <image:loc> can't replace <loc>
+      field = { name, start: position };
+    }
+  }
+  if (field) entry[field.name] = decodeXml(xml.slice(field.start));
+  if (entry && found.length < MAX_SITEMAP_ENTRIES) found.push(entry);
+  return { root, entries: found };
+}
+
+// Absolute http(s) URL, or null
+function absoluteUrl(value, base) {
+  try {
+    const url = new URL(value, base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse one sitemap file.
+ *
+ * @returns {{ type: 'urlset'|'index'|'text', urls: Array, sitemaps: string[] }}
+ */
+export function parseSitemap(text, base) {
+  if (/^\s*</.test(text)) {
+    const { root, entries } = scanSitemap(text);
+    if (root === 'sitemapindex') {
+      return {
+        type: 'index',
+        urls: [],
+        sitemaps: entries.filter(entry => entry.name === 'sitemap').map(entry => absoluteUrl(entry.loc, base)).filter(Boolean),
+      };
+    }
+    if (root === 'urlset') {
+      const urls = entries.filter(entry => entry.name === 'url').flatMap(entry => {
+        const loc = absoluteUrl(entry.loc, base);
+        if (!loc) return [];
+        const priority = parseFloat(entry.priority);
+        return [{
+          loc,
+          lastmod: entry.lastmod ?? null,
+          changefreq: entry.changefreq ?? null,
+          priority: priority >= 0 && priority <= 1 ? priority : null,
+        }];
+      });
+      return { type: 'urlset', urls, sitemaps: [] };
+    }
+    throw new SitemapError('Not a sitemap: expected <urlset> or <sitemapindex>', 'INVALID_SITEMAP', 422);
+  }
+  // Text sitemaps: one absolute URL per line
+  const urls = text.split(/\r?\n/)
+    .filter(line => line.trim())
+    .slice(0, MAX_SITEMAP_ENTRIES)
+    .map(line => absoluteUrl(line.trim()))
+    .filter(Boolean)
+    .map(loc => ({ loc, lastmod: null, changefreq: null, priority: null }));
+  return { type: 'text', urls, sitemaps: [] };
+}
+
+async function downloadSitemap(url, { policy, maxBytes, timeoutMs, signal }) {
+  const tooLarge = () => new SitemapError(`Sitemap exceeds ${maxBytes} bytes`, 'SITEMAP_TOO_LARGE', 413);
+  const { buffer } = await downloadFile(url, { policy, maxBytes, timeoutMs, signal, tooLarge });
+  // .gz files, unless the server already undid the gzip with Content-Encoding
+  if (buffer[0] !== 0x1f || buffer[1] !== 0x8b) return buffer.toString('utf8');
+  try {
+    return (await gunzip(buffer, { maxOutputLength: MAX_SITEMAP_BYTES })).toString('utf8');
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') {
+      throw new SitemapError(`Sitemap unpacks to more than ${MAX_SITEMAP_BYTES} bytes`, 'SITEMAP_TOO_LARGE', 413);
+    }
+    throw new SitemapError(`Could not unpack the gzipped sitemap: ${err.message}`, 'INVALID_SITEMAP', 422);
+  }
+}
+
+/**
+ * Read a site's sitemaps.
+ *
+ * @param {string} url - a sitemap, or any page of the site to discover them for
+ * @param {object} options
+ * @param {UrlPolicy} options.policy
+ * @param {RobotsCache} options.robots - for the Sitemap: lines of robots.txt
+ * @param {number} options.limit - stop after this many URLs
+ * @param {number} options.maxFiles - sitemap files read at most
+ * @param {number} options.maxBytes - per downloaded file
+ * @param {number} options.timeoutMs - per downloaded file
+ * @param {function} options.describeError - error => { code, message } for failed files
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{ source, sitemaps, urls, truncated? }>}
+ */
+export async function readSitemaps(url, { policy, robots, limit, maxFiles, maxBytes, timeoutMs, describeError, signal }) {
+  let roots, source;
+  const { pathname } = new URL(url);
+  if (SITEMAP_PATH.test(pathname) && pathname !== '/robots.txt') {
+    roots = [url];
+    source = 'url';
+  } else {
+    const listed = (await robots.get(url)).sitemaps.map(loc => absoluteUrl(loc, url)).filter(Boolean);
+    roots = listed.length ? listed : [new URL('/sitemap.xml', url).href];
+    source = listed.length ? 'robots.txt' : 'default';
+  }
+
+  const result = { source, sitemaps: [], urls: [] };
+  const seenFiles = new Set();
+  const seenUrls = new Set();
+  // Depth first, so a sitemap's URLs come out in the order the index lists them
+  const pending = [...roots].reverse().map(loc => ({ loc, depth: 0 }));
+
+  while (pending.length && result.urls.length < limit) {
+    const { loc, depth } = pending.pop();
+    if (seenFiles.has(loc)) continue;
+    seenFiles.add(loc);
+    if (seenFiles.size > maxFiles) {
+      result.truncated = true;
+      break;
+    }
+
+    let sitemap;
+    try {
+      sitemap = parseSitemap(await downloadSitemap(loc, { policy, maxBytes, timeoutMs, signal }), loc);
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason ?? err;
+      result.sitemaps.push({ url: loc, ...describeError(err) });
+      continue;
+    }
+
+    const entry = { url: loc, type: sitemap.type };
+    if (sitemap.type === 'index') {
+      entry.sitemaps = sitemap.sitemaps.length;
+      if (depth < MAX_INDEX_DEPTH) {
+        pending.push(...[...sitemap.sitemaps].reverse().map(child => ({ loc: child, depth: depth + 1 })));
+      }
+    } else {
+      const fresh = sitemap.urls.filter(item => !seenUrls.has(item.loc));
+      const taken = fresh.slice(0, limit - result.urls.length);
+      taken.forEach(item => seenUrls.add(item.loc));
+      result.urls.push(...taken);
+      entry.urls = sitemap.urls.length;
+      if (taken.length < fresh.length) result.truncated = true;
+    }
+    result.sitemaps.push(entry);
+  }
+  if (pending.length && result.urls.length >= limit) result.truncated = true;
+
+  if (!result.sitemaps.some(entry => entry.type)) {
+    const [first] = result.sitemaps;
+    throw new SitemapError(
+      source === 'default'
+        ? `No sitemap found: robots.txt lists none and /sitemap.xml failed (${first.message})`
+        : `No sitemap could be read (${first.message})`,
+      'SITEMAP_NOT_FOUND',
+      422
+    );
+  }
+  return result;
+}
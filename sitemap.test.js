@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSitemap, SitemapError } from './sitemap.js';
+
+const BASE = 'https://example.com/sitemap.xml';
+
+test('reads a urlset with namespace prefixes, CDATA and entities', () => {
+  const { type, urls } = parseSitemap(`<?xml version="1.0" encoding="UTF-8"?>
+<!-- <url><loc>/commented-out</loc></url> -->
+<sm:urlset xmlns:sm="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+  <sm:url>
+    <sm:loc><![CDATA[ https://example.com/a?x=1&y=2 ]]></sm:loc>
+    <image:image><image:loc>https://example.com/a.png</image:loc></image:image>
+    <sm:lastmod>2024-01-29</sm:lastmod>
+    <sm:changefreq>weekly</sm:changefreq>
+    <sm:priority>0.8</sm:priority>
+  </sm:url>
+  <sm:url><sm:loc>/b?q=1&amp;r=2</sm:loc><sm:priority>7</sm:priority></sm:url>
+</sm:urlset>`, BASE);
+
+  assert.equal(type, 'urlset');
+  assert.deepEqual(urls, [
+    { loc: 'https://example.com/a?x=1&y=2', lastmod: '2024-01-29', changefreq: 'weekly', priority: 0.8 },
+    { loc: 'https://example.com/b?q=1&r=2', lastmod: null, changefreq: null, priority: null },
+  ]);
+});
+
+test('reads sitemap indexes and text sitemaps', () => {
+  const index = parseSitemap('<sitemapindex><sitemap><loc>/posts.xml.gz</loc></sitemap></sitemapindex>', BASE);
+  assert.deepEqual(index, { type: 'index', urls: [], sitemaps: ['https://example.com/posts.xml.gz'] });
+
+  const text = parseSitemap('https://example.com/a\n\nnot a url\r\nhttps://example.com/b\n', BASE);
+  assert.equal(text.type, 'text');
+  assert.deepEqual(text.urls.map(url => url.loc), ['https://example.com/a', 'https://example.com/b']);
+});
+
+test('rejects XML that is not a sitemap', () => {
+  assert.throws(() => parseSitemap('<html><body>Not found</body></html>', BASE), error => (
+    error instanceof SitemapError && error.code === 'INVALID_SITEMAP'
+  ));
+});
+
+test('reads unclosed tags up to the next tag', () => {
+  const { urls } = parseSitemap('<urlset><url><loc>/a<url><loc>/b</loc><lastmod>2024-01-29', BASE);
+  assert.deepEqual(urls.map(url => [url.loc, url.lastmod]), [
+    ['https://example.com/a', null],
+    ['https://example.com/b', '2024-01-29'],
+  ]);
+});
+
+test('parses malformed input in linear time', () => {
+  const unclosed = '<urlset>' + '<url><loc>https://example.com/page</loc>'.repeat(100000);
+  const tags = '<urlset><url><loc>' + 'a<'.repeat(1000000);
+  const cdata = '<urlset><url><loc><![CDATA[' + ']]> '.repeat(1000000);
+  for (const xml of [unclosed, tags, cdata]) {
+    const started = Date.now();
+    parseSitemap(xml, BASE);
+    // Seconds to hours with a backtracking scan
+    assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms for ${xml.length} characters`);
+  }
+});
+
+test('stops at 50,000 entries per file', () => {
+  const { urls } = parseSitemap('<urlset>' + '<url><loc>/p</loc></url>'.repeat(60000), BASE);
+  assert.equal(urls.length, 50000);
+});
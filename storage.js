@@ -0,0 +1,574 @@
+/**
+ * Storage - Durable API keys, request logs and usage counters.
+ *
+ * Two interchangeable backends with the same async interface:
+ * - MemoryStore: process-local, logs capped at maxLogs (lost on restart)
+ * - SqliteStore: better-sqlite3 file database (survives redeploys)
+ *
+ * Request logs are raw per-request entries and may be pruned by retention.
+ * Usage counters are hourly aggregates per key and endpoint, kept forever, so
+ * usage over arbitrary time ranges stays answerable after logs are pruned.
+ * Monitors and their run history (newest `keep` runs per monitor) live here too,
+ * so schedules survive restarts with the sqlite backend.
+ *
+ * Backend selection (env): STORAGE_BACKEND=memory|sqlite, SQLITE_PATH
+ */
+import fs from 'fs';
+import path from 'path';
+
+// Key id recorded for unauthenticated requests
+export const PUBLIC_KEY_ID = 'public';
+
+/**
+ * Hour bucket for a timestamp, e.g. "2024-01-30T10".
+ */
+function bucketOf(ms) {
+  return new Date(ms).toISOString().slice(0, 13);
+}
+
+function toMs(value) {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.getTime();
+  return typeof value === 'string' && Number.isNaN(Number(value)) ? Date.parse(value) : Number(value);
+}
+
+function emptyUsage() {
+  return { requests: 0, errors: 0, totalTime: 0, endpoints: {} };
+}
+
+function addToUsage(usage, { endpoint, requests, errors, totalTime }) {
+  usage.requests += requests;
+  usage.errors += errors;
+  usage.totalTime += totalTime;
+  const ep = usage.endpoints[endpoint] || (usage.endpoints[endpoint] = { requests: 0, errors: 0, totalTime: 0 });
+  ep.requests += requests;
+  ep.errors += errors;
+  ep.totalTime += totalTime;
+}
+
+export class MemoryStore {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.maxLogs = parseInt(options.maxLogs || process.env.MAX_LOGS || 10000);
+    this.keys = new Map(); // id -> key record
+    this.keysByHash = new Map(); // hash -> id
+    this.logs = []; // chronological
+    this.counters = new Map(); // `${keyId}|${bucket}|${endpoint}` -> counter
+    this.monitors = new Map(); // id -> monitor record
+    this.monitorRuns = new Map(); // monitor id -> runs, oldest first
+  }
+
+  // ---- API keys ----
+
+  async putKey(record) {
+    this.keys.set(record.id, { ...record });
+    this.keysByHash.set(record.hash, record.id);
+    return { ...record };
+  }
+
+  async getKey(id) {
+    const record = this.keys.get(id);
+    return record ? { ...record } : null;
+  }
+
+  async getKeyByHash(hash) {
+    const id = this.keysByHash.get(hash);
+    return id ? this.getKey(id) : null;
+  }
+
+  async listKeys({ ownerId } = {}) {
+    return [...this.keys.values()]
+      .filter(k => !ownerId || k.ownerId === ownerId)
+      .map(k => ({ ...k }));
+  }
+
+  async updateKey(id, changes) {
+    const record = this.keys.get(id);
+    if (!record) return null;
+    if (changes.hash && changes.hash !== record.hash) {
+      this.keysByHash.delete(record.hash);
+      this.keysByHash.set(changes.hash, id);
+    }
+    Object.assign(record, changes);
+    return { ...record };
+  }
+
+  async deleteKey(id) {
+    const record = this.keys.get(id);
+    if (!record) return false;
+    this.keysByHash.delete(record.hash);
+    this.keys.delete(id);
+    return true;
+  }
+
+  // ---- Request logs & counters ----
+
+  async recordRequest(entry) {
+    const ms = toMs(entry.timestamp) ?? Date.now();
+    const keyId = entry.keyId || PUBLIC_KEY_ID;
+
+    this.logs.push({ ...entry, keyId, timestamp: ms });
+    if (this.logs.length > this.maxLogs) {
+      this.logs.shift(); // Remove oldest log
+    }
+
+    const counterKey = `${keyId}|${bucketOf(ms)}|${entry.endpoint}`;
+    let counter = this.counters.get(counterKey);
+    if (!counter) {
+      counter = { keyId, bucket: bucketOf(ms), endpoint: entry.endpoint, requests: 0, errors: 0, totalTime: 0 };
+      this.counters.set(counterKey, counter);
+    }
+    counter.requests++;
+    if (entry.status >= 400) counter.errors++;
+    counter.totalTime += entry.responseTime;
+
+    if (entry.keyId && this.keys.has(entry.keyId)) {
+      this.keys.get(entry.keyId).lastUsedAt = new Date(ms).toISOString();
+    }
+  }
+
+  _filterLogs({ keyId, from, to, minStatus } = {}) {
+    const fromMs = toMs(from);
+    const toMsValue = toMs(to);
+    return this.logs.filter(log =>
+      (!keyId || log.keyId === keyId) &&
+      (fromMs === null || log.timestamp >= fromMs) &&
+      (toMsValue === null || log.timestamp <= toMsValue) &&
+      (!minStatus || log.status >= minStatus)
+    );
+  }
+
+  async getLogs({ limit = 100, ...filter } = {}) {
+    return this._filterLogs(filter)
+      .slice(-limit)
+      .map(log => ({ ...log, timestamp: new Date(log.timestamp).toISOString() }));
+  }
+
+  async countLogs(filter = {}) {
+    return this._filterLogs(filter).length;
+  }
+
+  // `keyIds` sums the usage of several keys, e.g. all of an account's
+  async getUsage({ keyId, keyIds, from, to } = {}) {
+    const fromBucket = from != null ? bucketOf(toMs(from)) : null;
+    const toBucket = to != null ? bucketOf(toMs(to)) : null;
+    const usage = emptyUsage();
+    const keys = new Set();
+    const wanted = keyIds ? new Set(keyIds) : null;
+
+    for (const counter of this.counters.values()) {
+      if (keyId && counter.keyId !== keyId) continue;
+      if (wanted && !wanted.has(counter.keyId)) continue;
+      if (fromBucket && counter.bucket < fromBucket) continue;
+      if (toBucket && counter.bucket > toBucket) continue;
+      addToUsage(usage, counter);
+      keys.add(counter.keyId);
+    }
+
+    usage.uniqueKeys = keys.size;
+    return usage;
+  }
+
+  async pruneLogs(before) {
+    const beforeMs = toMs(before);
+    const kept = this.logs.filter(log => log.timestamp >= beforeMs);
+    const removed = this.logs.length - kept.length;
+    this.logs = kept;
+    return removed;
+  }
+
+  async deleteLogs(filter = {}) {
+    const doomed = new Set(this._filterLogs(filter));
+    this.logs = this.logs.filter(log => !doomed.has(log));
+    return doomed.size;
+  }
+
+  // ---- Monitors ----
+
+  async putMonitor(record) {
+    this.monitors.set(record.id, structuredClone(record));
+    return structuredClone(record);
+  }
+
+  async getMonitor(id) {
+    const record = this.monitors.get(id);
+    return record ? structuredClone(record) : null;
+  }
+
+  async listMonitors({ ownerId } = {}) {
+    return [...this.monitors.values()]
+      .filter(m => !ownerId || m.ownerId === ownerId)
+      .map(m => structuredClone(m));
+  }
+
+  async updateMonitor(id, changes) {
+    const record = this.monitors.get(id);
+    if (!record) return null;
+    Object.assign(record, structuredClone(changes));
+    return structuredClone(record);
+  }
+
+  async deleteMonitor(id) {
+    this.monitorRuns.delete(id);
+    return this.monitors.delete(id);
+  }
+
+  async addMonitorRun(run, { keep = 100 } = {}) {
+    const runs = this.monitorRuns.get(run.monitorId) || [];
+    runs.push(structuredClone(run));
+    this.monitorRuns.set(run.monitorId, runs.slice(-keep));
+  }
+
+  async listMonitorRuns(monitorId, { limit = 20 } = {}) {
+    const runs = this.monitorRuns.get(monitorId) || [];
+    return runs.slice(-limit).reverse().map(run => structuredClone(run));
+  }
+
+  async close() {}
+}
+
+const SQLITE_SCHEMA = `
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id TEXT PRIMARY KEY,
+    hash TEXT NOT NULL UNIQUE,
+    owner_id TEXT,
+    created_at TEXT NOT NULL,
+    last_used_at TEXT,
+    data TEXT NOT NULL DEFAULT '{}'
+  );
+  CREATE INDEX IF NOT EXISTS api_keys_owner ON api_keys (owner_id);
+
+  CREATE TABLE IF NOT EXISTS request_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    timestamp INTEGER NOT NULL,
+    key_id TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    method TEXT NOT NULL,
+    status INTEGER NOT NULL,
+    response_time INTEGER NOT NULL,
+    ip TEXT,
+    user_agent TEXT
+  );
+  CREATE INDEX IF NOT EXISTS request_logs_time ON request_logs (timestamp);
+  CREATE INDEX IF NOT EXISTS request_logs_key_time ON request_logs (key_id, timestamp);
+
+  CREATE TABLE IF NOT EXISTS usage_counters (
+    key_id TEXT NOT NULL,
+    bucket TEXT NOT NULL,
+    endpoint TEXT NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    errors INTEGER NOT NULL DEFAULT 0,
+    total_time INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (key_id, bucket, endpoint)
+  );
+  CREATE INDEX IF NOT EXISTS usage_counters_bucket ON usage_counters (bucket);
+
+  CREATE TABLE IF NOT EXISTS monitors (
+    id TEXT PRIMARY KEY,
+    owner_id TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS monitors_owner ON monitors (owner_id);
+
+  CREATE TABLE IF NOT EXISTS monitor_runs (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    monitor_id TEXT NOT NULL,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS monitor_runs_monitor ON monitor_runs (monitor_id, seq);
+`;
+
+// Columns stored natively; everything else on a key record lives in `data`
+const KEY_COLUMNS = { id: 'id', hash: 'hash', ownerId: 'owner_id', createdAt: 'created_at', lastUsedAt: 'last_used_at' };
+
+function rowToKey(row) {
+  if (!row) return null;
+  return {
+    ...JSON.parse(row.data),
+    id: row.id,
+    hash: row.hash,
+    ownerId: row.owner_id,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+  };
+}
+
+function splitKey(record) {
+  const data = {};
+  for (const [field, value] of Object.entries(record)) {
+    if (!(field in KEY_COLUMNS)) data[field] = value;
+  }
+  return data;
+}
+
+function rowToLog(row) {
+  return {
+    timestamp: new Date(row.timestamp).toISOString(),
+    endpoint: row.endpoint,
+    method: row.method,
+    keyId: row.key_id,
+    responseTime: row.response_time,
+    status: row.status,
+    ip: row.ip,
+    userAgent: row.user_agent,
+  };
+}
+
+/**
+ * WHERE clause + params for log queries.
+ */
+function logFilter({ keyId, from, to, minStatus } = {}) {
+  const clauses = [];
+  const params = {};
+  if (keyId) { clauses.push('key_id = @keyId'); params.keyId = keyId; }
+  if (from != null) { clauses.push('timestamp >= @from'); params.from = toMs(from); }
+  if (to != null) { clauses.push('timestamp <= @to'); params.to = toMs(to); }
+  if (minStatus) { clauses.push('status >= @minStatus'); params.minStatus = minStatus; }
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+export class SqliteStore {
+  constructor(Database, options = {}) {
+    this.name = 'sqlite';
+    this.path = options.path || process.env.SQLITE_PATH || path.join(process.cwd(), 'data', 'x402-tools.db');
+    fs.mkdirSync(path.dirname(this.path), { recursive: true });
+
+    this.db = new Database(this.path);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(SQLITE_SCHEMA);
+
+    this.statements = {
+      insertKey: this.db.prepare(`
+        INSERT INTO api_keys (id, hash, owner_id, created_at, last_used_at, data)
+        VALUES (@id, @hash, @ownerId, @createdAt, @lastUsedAt, @data)
+        ON CONFLICT (id) DO UPDATE SET hash = excluded.hash, owner_id = excluded.owner_id,
+          last_used_at = excluded.last_used_at, data = excluded.data
+      `),
+      getKey: this.db.prepare('SELECT * FROM api_keys WHERE id = ?'),
+      getKeyByHash: this.db.prepare('SELECT * FROM api_keys WHERE hash = ?'),
+      deleteKey: this.db.prepare('DELETE FROM api_keys WHERE id = ?'),
+      touchKey: this.db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?'),
+      insertLog: this.db.prepare(`
+        INSERT INTO request_logs (timestamp, key_id, endpoint, method, status, response_time, ip, user_agent)
+        VALUES (@timestamp, @keyId, @endpoint, @method, @status, @responseTime, @ip, @userAgent)
+      `),
+      bumpCounter: this.db.prepare(`
+        INSERT INTO usage_counters (key_id, bucket, endpoint, requests, errors, total_time)
+        VALUES (@keyId, @bucket, @endpoint, 1, @error, @responseTime)
+        ON CONFLICT (key_id, bucket, endpoint) DO UPDATE SET
+          requests = requests + 1,
+          errors = errors + excluded.errors,
+          total_time = total_time + excluded.total_time
+      `),
+      pruneLogs: this.db.prepare('DELETE FROM request_logs WHERE timestamp < ?'),
+      putMonitor: this.db.prepare(`
+        INSERT INTO monitors (id, owner_id, created_at, data) VALUES (@id, @ownerId, @createdAt, @data)
+        ON CONFLICT (id) DO UPDATE SET owner_id = excluded.owner_id, data = excluded.data
+      `),
+      getMonitor: this.db.prepare('SELECT data FROM monitors WHERE id = ?'),
+      deleteMonitor: this.db.prepare('DELETE FROM monitors WHERE id = ?'),
+      deleteMonitorRuns: this.db.prepare('DELETE FROM monitor_runs WHERE monitor_id = ?'),
+      insertMonitorRun: this.db.prepare('INSERT INTO monitor_runs (monitor_id, data) VALUES (?, ?)'),
+      trimMonitorRuns: this.db.prepare(`
+        DELETE FROM monitor_runs WHERE monitor_id = @monitorId AND seq NOT IN (
+          SELECT seq FROM monitor_runs WHERE monitor_id = @monitorId ORDER BY seq DESC LIMIT @keep
+        )
+      `),
+      listMonitorRuns: this.db.prepare('SELECT data FROM monitor_runs WHERE monitor_id = ? ORDER BY seq DESC LIMIT ?'),
+    };
+
+    this._record = this.db.transaction(entry => {
+      this.statements.insertLog.run(entry);
+      this.statements.bumpCounter.run({
+        keyId: entry.keyId,
+        bucket: bucketOf(entry.timestamp),
+        endpoint: entry.endpoint,
+        error: entry.status >= 400 ? 1 : 0,
+        responseTime: entry.responseTime,
+      });
+      if (entry.keyId !== PUBLIC_KEY_ID) {
+        this.statements.touchKey.run(new Date(entry.timestamp).toISOString(), entry.keyId);
+      }
+    });
+
+    this._addMonitorRun = this.db.transaction((run, keep) => {
+      this.statements.insertMonitorRun.run(run.monitorId, JSON.stringify(run));
+      this.statements.trimMonitorRuns.run({ monitorId: run.monitorId, keep });
+    });
+    this._deleteMonitor = this.db.transaction(id => {
+      this.statements.deleteMonitorRuns.run(id);
+      return this.statements.deleteMonitor.run(id).changes > 0;
+    });
+  }
+
+  // ---- API keys ----
+
+  async putKey(record) {
+    this.statements.insertKey.run({
+      id: record.id,
+      hash: record.hash,
+      ownerId: record.ownerId ?? null,
+      createdAt: record.createdAt || new Date().toISOString(),
+      lastUsedAt: record.lastUsedAt ?? null,
+      data: JSON.stringify(splitKey(record)),
+    });
+    return this.getKey(record.id);
+  }
+
+  async getKey(id) {
+    return rowToKey(this.statements.getKey.get(id));
+  }
+
+  async getKeyByHash(hash) {
+    return rowToKey(this.statements.getKeyByHash.get(hash));
+  }
+
+  async listKeys({ ownerId } = {}) {
+    const rows = ownerId
+      ? this.db.prepare('SELECT * FROM api_keys WHERE owner_id = ? ORDER BY created_at').all(ownerId)
+      : this.db.prepare('SELECT * FROM api_keys ORDER BY created_at').all();
+    return rows.map(rowToKey);
+  }
+
+  async updateKey(id, changes) {
+    const current = await this.getKey(id);
+    if (!current) return null;
+    return this.putKey({ ...current, ...changes });
+  }
+
+  async deleteKey(id) {
+    return this.statements.deleteKey.run(id).changes > 0;
+  }
+
+  // ---- Request logs & counters ----
+
+  async recordRequest(entry) {
+    this._record({
+      timestamp: toMs(entry.timestamp) ?? Date.now(),
+      keyId: entry.keyId || PUBLIC_KEY_ID,
+      endpoint: entry.endpoint,
+      method: entry.method,
+      status: entry.status,
+      responseTime: entry.responseTime,
+      ip: entry.ip ?? null,
+      userAgent: entry.userAgent ?? null,
+    });
+  }
+
+  async getLogs({ limit = 100, ...filter } = {}) {
+    const { where, params } = logFilter(filter);
+    const rows = this.db
+      .prepare(`SELECT * FROM request_logs ${where} ORDER BY timestamp DESC, id DESC LIMIT @limit`)
+      .all({ ...params, limit });
+    return rows.reverse().map(rowToLog);
+  }
+
+  async countLogs(filter = {}) {
+    const { where, params } = logFilter(filter);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM request_logs ${where}`).get(params).count;
+  }
+
+  async getUsage({ keyId, keyIds, from, to } = {}) {
+    const clauses = [];
+    const params = {};
+    if (keyId) { clauses.push('key_id = @keyId'); params.keyId = keyId; }
+    if (keyIds) { clauses.push('key_id IN (SELECT value FROM json_each(@keyIds))'); params.keyIds = JSON.stringify(keyIds); }
+    if (from != null) { clauses.push('bucket >= @from'); params.from = bucketOf(toMs(from)); }
+    if (to != null) { clauses.push('bucket <= @to'); params.to = bucketOf(toMs(to)); }
+    const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+
+    const rows = this.db.prepare(`
+      SELECT endpoint, SUM(requests) AS requests, SUM(errors) AS errors, SUM(total_time) AS totalTime
+      FROM usage_counters ${where} GROUP BY endpoint
+    `).all(params);
+    const { uniqueKeys } = this.db
+      .prepare(`SELECT COUNT(DISTINCT key_id) AS uniqueKeys FROM usage_counters ${where}`)
+      .get(params);
+
+    const usage = emptyUsage();
+    rows.forEach(row => addToUsage(usage, row));
+    usage.uniqueKeys = uniqueKeys;
+    return usage;
+  }
+
+  async pruneLogs(before) {
+    return this.statements.pruneLogs.run(toMs(before)).changes;
+  }
+
+  async deleteLogs(filter = {}) {
+    const { where, params } = logFilter(filter);
+    return this.db.prepare(`DELETE FROM request_logs ${where}`).run(params).changes;
+  }
+
+  // ---- Monitors ----
+
+  async putMonitor(record) {
+    this.statements.putMonitor.run({
+      id: record.id,
+      ownerId: record.ownerId,
+      createdAt: record.createdAt,
+      data: JSON.stringify(record),
+    });
+    return this.getMonitor(record.id);
+  }
+
+  async getMonitor(id) {
+    const row = this.statements.getMonitor.get(id);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async listMonitors({ ownerId } = {}) {
+    const rows = ownerId
+      ? this.db.prepare('SELECT data FROM monitors WHERE owner_id = ? ORDER BY created_at').all(ownerId)
+      : this.db.prepare('SELECT data FROM monitors ORDER BY created_at').all();
+    return rows.map(row => JSON.parse(row.data));
+  }
+
+  async updateMonitor(id, changes) {
+    const current = await this.getMonitor(id);
+    if (!current) return null;
+    return this.putMonitor({ ...current, ...changes });
+  }
+
+  async deleteMonitor(id) {
+    return this._deleteMonitor(id);
+  }
+
+  async addMonitorRun(run, { keep = 100 } = {}) {
+    this._addMonitorRun(run, keep);
+  }
+
+  async listMonitorRuns(monitorId, { limit = 20 } = {}) {
+    return this.statements.listMonitorRuns.all(monitorId, limit).map(row => JSON.parse(row.data));
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+/**
+ * Build the configured store. The SQLite driver is an optional dependency and
+ * only loaded when selected.
+ */
+export async function createStore(options = {}) {
+  const backend = options.backend || process.env.STORAGE_BACKEND || 'memory';
+
+  if (backend === 'memory') {
+    return new MemoryStore(options);
+  }
+
+  if (backend === 'sqlite') {
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (err) {
+      throw new Error(`STORAGE_BACKEND=sqlite requires the better-sqlite3 package: ${err.message}`);
+    }
+    return new SqliteStore(Database, options);
+  }
+
+  throw new Error(`Unknown storage backend: ${backend}`);
+}
@@ -0,0 +1,508 @@
+/**
+ * StructuredData - schema.org data embedded in a page.
+ *
+ * Reads every JSON-LD block (arrays and @graph included, @id references
+ * resolved), microdata itemscopes, RDFa Lite typeof/property markup, and the
+ * full OpenGraph and Twitter card tag sets. All of it is normalized into
+ * schema.org-style items:
+ *
+ *   { "@type": "Product", "@source": "json-ld", "name": "...", "offers": {...} }
+ *
+ * Types are short names ("Product", not "https://schema.org/Product").
+ * Items are indexed by type, including common supertypes, so asking for
+ * Article also returns NewsArticle and BlogPosting items. Typed entities
+ * nested inside others (e.g. a WebPage's mainEntity) are indexed too.
+ */
+
+const SCHEMA_PREFIX = /^https?:\/\/(www\.)?schema\.org\//i;
+
+// Subtype -> supertype, for the types agents most often ask for
+const SUPERTYPES = {
+  NewsArticle: 'Article',
+  BlogPosting: 'Article',
+  Report: 'Article',
+  ScholarlyArticle: 'Article',
+  TechArticle: 'Article',
+  SocialMediaPosting: 'Article',
+  AnalysisNewsArticle: 'NewsArticle',
+  ReportageNewsArticle: 'NewsArticle',
+  ProductModel: 'Product',
+  IndividualProduct: 'Product',
+  SomeProducts: 'Product',
+  Vehicle: 'Product',
+  Car: 'Vehicle',
+  BusinessEvent: 'Event',
+  ChildrensEvent: 'Event',
+  ComedyEvent: 'Event',
+  CourseInstance: 'Event',
+  DanceEvent: 'Event',
+  EducationEvent: 'Event',
+  ExhibitionEvent: 'Event',
+  Festival: 'Event',
+  FoodEvent: 'Event',
+  LiteraryEvent: 'Event',
+  MusicEvent: 'Event',
+  SaleEvent: 'Event',
+  ScreeningEvent: 'Event',
+  SocialEvent: 'Event',
+  SportsEvent: 'Event',
+  TheaterEvent: 'Event',
+  VisualArtsEvent: 'Event',
+  Corporation: 'Organization',
+  EducationalOrganization: 'Organization',
+  GovernmentOrganization: 'Organization',
+  NGO: 'Organization',
+  NewsMediaOrganization: 'Organization',
+  LocalBusiness: 'Organization',
+  Restaurant: 'FoodEstablishment',
+  FoodEstablishment: 'LocalBusiness',
+  Store: 'LocalBusiness',
+  Hotel: 'LodgingBusiness',
+  LodgingBusiness: 'LocalBusiness',
+  MedicalBusiness: 'LocalBusiness',
+  ProfessionalService: 'LocalBusiness',
+  AggregateOffer: 'Offer',
+  AggregateRating: 'Rating',
+  EmployerAggregateRating: 'AggregateRating',
+  CollectionPage: 'WebPage',
+  ItemPage: 'WebPage',
+  AboutPage: 'WebPage',
+  ContactPage: 'WebPage',
+  FAQPage: 'WebPage',
+  ProfilePage: 'WebPage',
+  SearchResultsPage: 'WebPage',
+  VideoObject: 'MediaObject',
+  ImageObject: 'MediaObject',
+  AudioObject: 'MediaObject',
+  Movie: 'CreativeWork',
+  Book: 'CreativeWork',
+  Recipe: 'HowTo',
+  HowTo: 'CreativeWork',
+  Article: 'CreativeWork',
+  WebPage: 'CreativeWork',
+  WebSite: 'CreativeWork',
+  MusicRecording: 'CreativeWork',
+  MusicAlbum: 'CreativeWork',
+  TVEpisode: 'Episode',
+  Episode: 'CreativeWork',
+};
+
+// og:type -> schema.org type for the item synthesized from OpenGraph tags
+const OG_TYPES = {
+  article: 'Article',
+  website: 'WebSite',
+  product: 'Product',
+  'product.item': 'Product',
+  profile: 'Person',
+  book: 'Book',
+  'video.movie': 'Movie',
+  'video.episode': 'TVEpisode',
+  'video.tv_show': 'TVSeries',
+  'video.other': 'VideoObject',
+  'music.song': 'MusicRecording',
+  'music.album': 'MusicAlbum',
+  'music.playlist': 'MusicPlaylist',
+  'music.radio_station': 'RadioStation',
+};
+
+// og:* properties that describe a list of media objects; og:image:width etc. attach to the latest one
+const OG_MEDIA = ['image', 'video', 'audio'];
+// Type-specific OpenGraph namespaces (article:published_time, product:price:amount, ...)
+const OG_NAMESPACES = ['article', 'book', 'profile', 'product', 'music', 'video'];
+
+const MAX_DEPTH = 20;
+
+/**
+ * Short schema.org type names from a type value ("https://schema.org/Product",
+ * ["Product", "Thing"], "schema:Product").
+ */
+function typeNames(value) {
+  const values = Array.isArray(value) ? value : String(value || '').split(/\s+/);
+  return values
+    .filter(Boolean)
+    .map(type => String(type).replace(SCHEMA_PREFIX, '').replace(/^schema:/, ''));
+}
+
+function withSupertypes(types) {
+  const all = new Set();
+  for (let type of types) {
+    while (type && !all.has(type)) {
+      all.add(type);
+      type = SUPERTYPES[type];
+    }
+  }
+  return [...all];
+}
+
+/**
+ * Normalize requested type names (comma-separated string or array).
+ */
+export function parseItemTypes(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(values.map(type => typeNames(String(type).trim())[0]).filter(Boolean))].sort();
+}
+
+function addValue(target, name, value) {
+  if (!(name in target)) {
+    target[name] = value;
+  } else if (Array.isArray(target[name])) {
+    target[name].push(value);
+  } else {
+    target[name] = [target[name], value];
+  }
+}
+
+// ---- JSON-LD ----
+
+function parseJsonLd(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    // Common breakage: HTML comments / CDATA wrappers and trailing commas
+    const cleaned = text
+      .replace(/^\s*(<!--|\/\/\s*<!\[CDATA\[|<!\[CDATA\[)/, '')
+      .replace(/(-->|\/\/\s*\]\]>|\]\]>)\s*$/, '')
+      .replace(/,\s*([}\]])/g, '$1');
+    return JSON.parse(cleaned);
+  }
+}
+
+function jsonLdNodes(document, errors) {
+  const nodes = [];
+  [...document.querySelectorAll('script[type="application/ld+json"]')].forEach((script, index) => {
+    let data;
+    try {
+      data = parseJsonLd(script.textContent);
+    } catch (err) {
+      errors.push(`JSON-LD block ${index + 1}: ${err.message}`);
+      return;
+    }
+    for (const entry of [data].flat()) {
+      if (!entry || typeof entry !== 'object') continue;
+      if (Array.isArray(entry['@graph'])) {
+        nodes.push(...entry['@graph'].filter(node => node && typeof node === 'object'));
+      } else {
+        nodes.push(entry);
+      }
+    }
+  });
+  return nodes;
+}
+
+/**
+ * Copy a JSON-LD node: short type names, no @context, and bare {"@id"}
+ * references replaced by the node they point to (once per path, so cycles end).
+ */
+function normalizeJsonLd(value, byId, seen = new Set(), depth = 0) {
+  if (Array.isArray(value)) {
+    return value.map(item => normalizeJsonLd(item, byId, seen, depth + 1));
+  }
+  if (!value || typeof value !== 'object' || depth > MAX_DEPTH) return value;
+
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === '@id' && byId.has(value['@id']) && !seen.has(value['@id'])) {
+    value = byId.get(value['@id']);
+  }
+
+  const id = value['@id'];
+  const path = id ? new Set([...seen, id]) : seen;
+  const item = {};
+  for (const [key, child] of Object.entries(value)) {
+    if (key === '@context') continue;
+    if (key === '@type') {
+      const types = typeNames(child);
+      item['@type'] = types.length === 1 ? types[0] : types;
+      continue;
+    }
+    item[key.replace(SCHEMA_PREFIX, '')] = normalizeJsonLd(child, byId, path, depth + 1);
+  }
+  return item;
+}
+
+// ---- Microdata ----
+
+function propertyValue(el, baseUrl) {
+  const tag = el.tagName.toLowerCase();
+  if (el.hasAttribute('content')) return el.getAttribute('content');
+  const resolve = attr => {
+    const raw = el.getAttribute(attr);
+    if (raw === null) return null;
+    try {
+      return new URL(raw, baseUrl).href;
+    } catch {
+      return raw;
+    }
+  };
+  switch (tag) {
+    case 'a': case 'area': case 'link': return resolve('href');
+    case 'img': case 'audio': case 'video': case 'source': case 'embed': case 'iframe': case 'track': return resolve('src');
+    case 'object': return resolve('data');
+    case 'time': return el.getAttribute('datetime') || el.textContent.trim();
+    case 'data': case 'meter': return el.getAttribute('value');
+    default: return el.textContent.replace(/\s+/g, ' ').trim();
+  }
+}
+
+/**
+ * Properties of an itemscope: descendants with itemprop, not descending into
+ * nested itemscopes (their properties belong to the nested item), plus itemref'd elements.
+ */
+function microdataItem(scope, baseUrl, depth = 0) {
+  const item = {};
+  const types = typeNames(scope.getAttribute('itemtype'));
+  if (types.length) item['@type'] = types.length === 1 ? types[0] : types;
+  if (scope.hasAttribute('itemid')) item['@id'] = scope.getAttribute('itemid');
+
+  const document = scope.ownerDocument;
+  const roots = [
+    ...scope.children,
+    ...(scope.getAttribute('itemref') || '').split(/\s+/).filter(Boolean).map(id => document.getElementById(id)).filter(Boolean),
+  ];
+
+  const visit = el => {
+    if (el.hasAttribute('itemprop')) {
+      const value = el.hasAttribute('itemscope')
+        ? (depth < MAX_DEPTH ? microdataItem(el, baseUrl, depth + 1) : null)
+        : propertyValue(el, baseUrl);
+      for (const name of el.getAttribute('itemprop').split(/\s+/).filter(Boolean)) {
+        addValue(item, name.replace(SCHEMA_PREFIX, ''), value);
+      }
+    }
+    if (!el.hasAttribute('itemscope')) {
+      [...el.children].forEach(visit);
+    }
+  };
+  roots.forEach(visit);
+  return item;
+}
+
+function microdataItems(document, baseUrl) {
+  return [...document.querySelectorAll('[itemscope]:not([itemprop])')].map(scope => microdataItem(scope, baseUrl));
+}
+
+// ---- RDFa Lite ----
+
+function rdfaItem(scope, baseUrl, depth = 0) {
+  const item = {};
+  const types = typeNames(scope.getAttribute('typeof'));
+  if (types.length) item['@type'] = types.length === 1 ? types[0] : types;
+  if (scope.hasAttribute('resource')) item['@id'] = scope.getAttribute('resource');
+
+  const visit = el => {
+    if (el.hasAttribute('property')) {
+      const value = el.hasAttribute('typeof')
+        ? (depth < MAX_DEPTH ? rdfaItem(el, baseUrl, depth + 1) : null)
+        : propertyValue(el, baseUrl);
+      for (const name of el.getAttribute('property').split(/\s+/).filter(Boolean)) {
+        addValue(item, name.replace(SCHEMA_PREFIX, '').replace(/^schema:/, ''), value);
+      }
+    }
+    if (!el.hasAttribute('typeof')) {
+      [...el.children].forEach(visit);
+    }
+  };
+  [...scope.children].forEach(visit);
+  return item;
+}
+
+function rdfaItems(document, baseUrl) {
+  return [...document.querySelectorAll('[typeof]:not([property])')].map(scope => rdfaItem(scope, baseUrl));
+}
+
+// ---- OpenGraph & Twitter ----
+
+function metaTags(document, attr, pattern) {
+  return [...document.querySelectorAll(`meta[${attr}]`)]
+    .map(el => ({ name: el.getAttribute(attr).trim(), content: el.getAttribute('content') }))
+    .filter(tag => pattern.test(tag.name) && tag.content !== null);
+}
+
+/**
+ * All og:* tags and the type-specific namespaces, in document order.
+ * og:image / og:video / og:audio become lists of objects; their :width,
+ * :height, :alt... attach to the latest entry.
+ */
+function openGraph(document) {
+  const pattern = new RegExp(`^(og|${OG_NAMESPACES.join('|')}):`);
+  const og = {};
+  for (const { name, content } of metaTags(document, 'property', pattern)) {
+    const [namespace, ...parts] = name.split(':');
+    if (namespace !== 'og') {
+      const group = og[namespace] || (og[namespace] = {});
+      addValue(group, parts.join(':'), content);
+      continue;
+    }
+
+    const [key, sub] = parts;
+    if (OG_MEDIA.includes(key)) {
+      const media = og[key] || (og[key] = []);
+      const field = sub || 'url';
+      // og:image starts a new entry, unless the latest one is still waiting for its url
+      if (!media.length || (field === 'url' && 'url' in media[media.length - 1])) media.push({});
+      media[media.length - 1][field] = content;
+    } else {
+      addValue(og, parts.join(':'), content);
+    }
+  }
+  return og;
+}
+
+function twitterCard(document) {
+  const card = {};
+  // Twitter's own docs use name=, but property= is common in the wild
+  for (const attr of ['name', 'property']) {
+    for (const { name, content } of metaTags(document, attr, /^twitter:/)) {
+      const key = name.slice('twitter:'.length);
+      if (!(key in card)) card[key] = content;
+    }
+  }
+  return card;
+}
+
+const first = value => (Array.isArray(value) ? value[0] : value);
+const list = value => (value === undefined ? undefined : [value].flat());
+
+/**
+ * A schema.org item built from OpenGraph tags, or null without og:title/og:type.
+ */
+function openGraphItem(og, baseUrl) {
+  const resolve = value => {
+    try {
+      return value && new URL(value, baseUrl).href;
+    } catch {
+      return value;
+    }
+  };
+
+  if (!og.title && !og.type) return null;
+  const item = {
+    '@type': OG_TYPES[first(og.type)] || 'WebPage',
+    name: first(og.title),
+    description: first(og.description),
+    url: resolve(first(og.url)),
+    image: og.image?.map(image => resolve(image.secure_url || image.url)).filter(Boolean),
+    inLanguage: first(og.locale),
+    publisher: og.site_name ? { '@type': 'Organization', name: first(og.site_name) } : undefined,
+  };
+
+  if (og.article) {
+    Object.assign(item, {
+      datePublished: first(og.article.published_time),
+      dateModified: first(og.article.modified_time),
+      expires: first(og.article.expiration_time),
+      author: list(og.article.author),
+      articleSection: first(og.article.section),
+      keywords: list(og.article.tag),
+    });
+  }
+  if (og.product) {
+    const price = first(og.product['price:amount']) ?? first(og.product['sale_price:amount']);
+    if (price !== undefined) {
+      item.offers = {
+        '@type': 'Offer',
+        price,
+        priceCurrency: first(og.product['price:currency']) ?? first(og.product['sale_price:currency']),
+        availability: first(og.product.availability),
+      };
+    }
+    item.brand = first(og.product.brand);
+  }
+
+  return Object.fromEntries(Object.entries(item).filter(([, value]) => value !== undefined && !(Array.isArray(value) && !value.length)));
+}
+
+// ---- Indexing ----
+
+// Every typed entity in `value`, including nested ones
+function collectTyped(value, found, depth = 0) {
+  if (depth > MAX_DEPTH || !value || typeof value !== 'object') return;
+  if (Array.isArray(value)) {
+    value.forEach(child => collectTyped(child, found, depth + 1));
+    return;
+  }
+  if (value['@type']) found.push(value);
+  for (const [key, child] of Object.entries(value)) {
+    if (!key.startsWith('@')) collectTyped(child, found, depth + 1);
+  }
+}
+
+/**
+ * Index items by type and supertype. Top-level items come first; a nested
+ * entity already listed (same @id, or identical content) isn't repeated.
+ */
+function indexByType(items) {
+  const typed = [...items];
+  items.forEach(item => {
+    for (const [key, child] of Object.entries(item)) {
+      if (!key.startsWith('@')) collectTyped(child, typed);
+    }
+  });
+
+  const byType = {};
+  const seen = new Set();
+  for (const entity of typed) {
+    const { '@source': source, ...content } = entity;
+    const identity = entity['@id'] ? `id:${entity['@id']}` : JSON.stringify(content);
+    if (seen.has(identity)) continue;
+    seen.add(identity);
+    for (const type of withSupertypes(typeNames(entity['@type']))) {
+      (byType[type] || (byType[type] = [])).push(entity);
+    }
+  }
+  return byType;
+}
+
+/**
+ * Extract structured data from a document.
+ *
+ * @param {Document} document - created with the page URL so links resolve
+ * @param {object} [options]
+ * @param {string[]} [options.itemTypes] - only return items of these types (and their subtypes)
+ */
+export function extractStructuredData(document, { itemTypes = [] } = {}) {
+  const baseUrl = document.URL;
+  const errors = [];
+
+  const jsonLd = jsonLdNodes(document, errors);
+  const byId = new Map(jsonLd.filter(node => node['@id']).map(node => [node['@id'], node]));
+  const og = openGraph(document);
+  const ogItem = openGraphItem(og, baseUrl);
+
+  const twitter = twitterCard(document);
+  const microdata = microdataItems(document, baseUrl);
+  const rdfa = rdfaItems(document, baseUrl);
+
+  const tag = source => item => ({ '@source': source, ...item });
+  let items = [
+    ...jsonLd.map(node => normalizeJsonLd(node, byId)).map(tag('json-ld')),
+    ...microdata.map(tag('microdata')),
+    ...rdfa.map(tag('rdfa')),
+    ...(ogItem ? [tag('opengraph')(ogItem)] : []),
+  ];
+
+  const byType = indexByType(items);
+
+  if (itemTypes.length) {
+    const matches = item => withSupertypes(typeNames(item['@type'])).some(type => itemTypes.includes(type));
+    items = items.filter(matches);
+    for (const type of Object.keys(byType)) {
+      if (!itemTypes.includes(type)) delete byType[type];
+    }
+  }
+
+  return {
+    items,
+    byType,
+    sources: {
+      jsonLd: jsonLd.length,
+      microdata: microdata.length,
+      rdfa: rdfa.length,
+      openGraph: Object.keys(og).length > 0,
+      twitter: Object.keys(twitter).length > 0,
+    },
+    openGraph: og,
+    twitter,
+    errors,
+  };
+}
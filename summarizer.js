@@ -0,0 +1,262 @@
+/**
+ * Summarizer - Pluggable text summarization backends.
+ *
+ * - ExtractiveSummarizer: offline, picks sentences scored by TF-IDF and position.
+ * - LlmSummarizer: calls an OpenAI-compatible /chat/completions endpoint, and falls
+ *   back to the extractive backend if the call fails.
+ *
+ * Backend selection (env):
+ *   SUMMARIZER_BACKEND=extractive|llm (default: extractive)
+ *   LLM_API_BASE, LLM_API_KEY, LLM_MODEL, LLM_TIMEOUT_MS, LLM_MAX_INPUT_CHARS
+ */
+
+const WORDS_PER_MINUTE = 238;
+
+export const SUMMARY_LENGTHS = {
+  short: { sentences: 3, keyPoints: 3 },
+  medium: { sentences: 5, keyPoints: 5 },
+  long: { sentences: 10, keyPoints: 7 },
+};
+
+const STOPWORDS = new Set(`a about above after again against all am an and any are as at be because been
+before being below between both but by can could did do does doing down during each few for from further
+had has have having he her here hers herself him himself his how i if in into is it its itself just me
+more most my myself no nor not now of off on once only or other our ours ourselves out over own same she
+should so some such than that the their theirs them themselves then there these they this those through
+to too under until up very was we were what when where which while who whom why will with would you your
+yours yourself yourselves also may might must shall said says one two new like get got use used using`.split(/\s+/));
+
+export class SummarizerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SummarizerError';
+  }
+}
+
+export function countWords(text) {
+  return (text.match(/\S+/g) || []).length;
+}
+
+/**
+ * Reading time at an average adult reading speed, rounded up to whole minutes.
+ */
+export function readingTime(text) {
+  const words = countWords(text);
+  return { words, minutes: Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)) };
+}
+
+/**
+ * Resolve a `length` request parameter to sentence and key-point counts.
+ * Accepts a preset name or a sentence count.
+ */
+export function resolveLength(length = 'medium') {
+  if (typeof length === 'string' && Object.hasOwn(SUMMARY_LENGTHS, length)) {
+    return { name: length, ...SUMMARY_LENGTHS[length] };
+  }
+  // Whole numbers only: "5abc" or "2.5" are not sentence counts
+  if (!/^\d+$/.test(String(length))) return null;
+  const sentences = Number(length);
+  if (sentences > 0 && sentences <= 50) {
+    return { name: 'custom', sentences, keyPoints: Math.min(sentences, 7) };
+  }
+  return null;
+}
+
+const segmenter = new Intl.Segmenter('en', { granularity: 'sentence' });
+
+/**
+ * Split text into paragraphs of sentences, keeping each sentence's paragraph
+ * index and position so the scorer can reward lead sentences.
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const paragraphs = text.split(/\n\s*\n|\n(?=\s*[-*•]\s)/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+
+  paragraphs.forEach((paragraph, paragraphIndex) => {
+    let positionInParagraph = 0;
+    for (const { segment } of segmenter.segment(paragraph)) {
+      const sentence = segment.trim();
+      if (!sentence) continue;
+      sentences.push({
+        text: sentence,
+        index: sentences.length,
+        paragraphIndex,
+        positionInParagraph: positionInParagraph++,
+      });
+    }
+  });
+
+  return sentences;
+}
+
+function tokenize(sentence) {
+  return (sentence.toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}'-]*/gu) || [])
+    .filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
+
+export class ExtractiveSummarizer {
+  constructor() {
+    this.name = 'extractive';
+  }
+
+  /**
+   * Score every sentence: mean TF-IDF weight of its terms (each sentence is a
+   * "document"), boosted for early sentences in the text and in each paragraph,
+   * and damped for fragments and run-ons.
+   */
+  _score(sentences) {
+    const tokens = sentences.map(s => tokenize(s.text));
+    const documentFrequency = new Map();
+    for (const terms of tokens) {
+      for (const term of new Set(terms)) {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const total = sentences.length;
+    const idf = term => Math.log((1 + total) / (1 + documentFrequency.get(term))) + 1;
+
+    return sentences.map((sentence, i) => {
+      const terms = tokens[i];
+      if (terms.length === 0) return { ...sentence, score: 0 };
+
+      const termFrequency = new Map();
+      for (const term of terms) termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+
+      let weight = 0;
+      for (const [term, tf] of termFrequency) weight += (tf / terms.length) * idf(term);
+      // Terms that recur across the text mark the central topic
+      const centrality = terms.filter(term => documentFrequency.get(term) > 1).length / terms.length;
+
+      const documentPosition = 1 - i / total;
+      const leadBonus = sentence.positionInParagraph === 0 ? 0.15 : 0;
+      const positionWeight = 0.8 + 0.3 * documentPosition + leadBonus;
+
+      const words = countWords(sentence.text);
+      const lengthWeight = words < 6 ? 0.5 : words > 45 ? 0.75 : 1;
+
+      return { ...sentence, score: weight * (0.6 + centrality) * positionWeight * lengthWeight };
+    });
+  }
+
+  async summarize(text, { sentences: summaryCount, keyPoints: keyPointCount }) {
+    const sentences = splitSentences(text);
+    if (sentences.length === 0) {
+      return { summary: '', keyPoints: [], backend: this.name };
+    }
+
+    const ranked = this._score(sentences).sort((a, b) => b.score - a.score);
+
+    const summary = ranked
+      .slice(0, summaryCount)
+      .sort((a, b) => a.index - b.index)
+      .map(s => s.text)
+      .join(' ');
+
+    // Key points favour coverage: best sentence per paragraph first
+    const seenParagraphs = new Set();
+    const keyPoints = [];
+    for (const sentence of ranked) {
+      if (keyPoints.length >= keyPointCount) break;
+      if (seenParagraphs.has(sentence.paragraphIndex)) continue;
+      seenParagraphs.add(sentence.paragraphIndex);
+      keyPoints.push(sentence);
+    }
+    for (const sentence of ranked) {
+      if (keyPoints.length >= keyPointCount) break;
+      if (!keyPoints.includes(sentence)) keyPoints.push(sentence);
+    }
+
+    return {
+      summary,
+      keyPoints: keyPoints.sort((a, b) => a.index - b.index).map(s => s.text),
+      backend: this.name,
+    };
+  }
+}
+
+export class LlmSummarizer {
+  constructor(options = {}) {
+    this.name = 'llm';
+    this.apiBase = (options.apiBase || process.env.LLM_API_BASE || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.LLM_API_KEY;
+    this.model = options.model || process.env.LLM_MODEL || 'gpt-4o-mini';
+    this.timeout = parseInt(options.timeout || process.env.LLM_TIMEOUT_MS || 30000);
+    this.maxInputChars = parseInt(options.maxInputChars || process.env.LLM_MAX_INPUT_CHARS || 48000);
+    this.fallback = options.fallback || new ExtractiveSummarizer();
+  }
+
+  async _complete(text, { sentences, keyPoints }, title) {
+    const response = await fetch(`${this.apiBase}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {}),
+      },
+      body: JSON.stringify({
+        model: this.model,
+        temperature: 0.2,
+        messages: [
+          {
+            role: 'system',
+            content: 'You summarize documents. Reply with JSON only: {"summary": string, "keyPoints": string[]}.',
+          },
+          {
+            role: 'user',
+            content: `Summarize the following${title ? ` document titled "${title}"` : ''} in about ${sentences} sentences, `
+              + `and list ${keyPoints} key points.\n\n${text.slice(0, this.maxInputChars)}`,
+          },
+        ],
+      }),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw new SummarizerError(`LLM endpoint returned ${response.status}`);
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content || '';
+    // Models sometimes wrap JSON in a fenced block
+    const json = content.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+
+    let parsed;
+    try {
+      parsed = JSON.parse(json);
+    } catch {
+      throw new SummarizerError('LLM endpoint returned malformed JSON');
+    }
+    if (typeof parsed.summary !== 'string' || !Array.isArray(parsed.keyPoints)) {
+      throw new SummarizerError('LLM response is missing summary or keyPoints');
+    }
+
+    return {
+      summary: parsed.summary.trim(),
+      keyPoints: parsed.keyPoints.map(String).slice(0, keyPoints),
+    };
+  }
+
+  async summarize(text, length, title) {
+    try {
+      return { ...(await this._complete(text, length, title)), backend: this.name };
+    } catch (err) {
+      console.warn(`[Summarizer] LLM backend failed, falling back to ${this.fallback.name}: ${err.message}`);
+      return { ...(await this.fallback.summarize(text, length)), fallback: true };
+    }
+  }
+}
+
+/**
+ * Build the configured summarizer backend.
+ */
+export function createSummarizer(options = {}) {
+  const backend = options.backend || process.env.SUMMARIZER_BACKEND || 'extractive';
+  switch (backend) {
+    case 'llm':
+      return new LlmSummarizer(options);
+    case 'extractive':
+      return new ExtractiveSummarizer();
+    default:
+      throw new SummarizerError(`Unknown summarizer backend: ${backend}`);
+  }
+}
@@ -0,0 +1,160 @@
+/**
+ * TableExtract - HTML tables as JSON rows or CSV.
+ *
+ * Each <table> is laid out on a grid first, so a cell spanning several rows
+ * or columns fills every position it covers. Header rows are the <thead>
+ * rows, or else the leading rows made only of <th> cells; stacked header rows
+ * are joined per column ("Price / Monthly"). Tables without a header row get
+ * column1, column2, ...
+ *
+ * Nested tables are extracted on their own; their cells don't leak into the
+ * table that contains them.
+ */
+
+export const TABLE_FORMATS = ['json', 'csv'];
+
+const MAX_TABLES = 100;
+const MAX_ROWS = 5000;
+const MAX_COLUMNS = 200;
+
+function cellText(cell) {
+  let source = cell;
+  if (cell.querySelector('table')) {
+    source = cell.cloneNode(true);
+    source.querySelectorAll('table').forEach(nested => nested.remove());
+  }
+  return source.textContent.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Lay the table's rows out on a grid, expanding rowspan and colspan.
+ * Returns [{ cells: [{ text, header }], head }] with every row padded to the same width.
+ */
+function layout(table) {
+  const rows = [...table.rows].slice(0, MAX_ROWS);
+  const grid = rows.map(() => []);
+
+  rows.forEach((row, r) => {
+    let c = 0;
+    for (const cell of row.cells) {
+      while (grid[r][c]) c++;
+      if (c >= MAX_COLUMNS) break;
+      const value = { text: cellText(cell), header: cell.tagName === 'TH' };
+      // rowspan="0" spans the rest of its section
+      const sectionRows = row.parentElement.rows?.length ?? rows.length;
+      const rowSpan = cell.rowSpan === 0 ? sectionRows - row.sectionRowIndex : Math.max(1, cell.rowSpan);
+      const colSpan = Math.max(1, cell.colSpan);
+      for (let dr = 0; dr < rowSpan && r + dr < rows.length; dr++) {
+        for (let dc = 0; dc < colSpan && c + dc < MAX_COLUMNS; dc++) {
+          grid[r + dr][c + dc] = value;
+        }
+      }
+      c += colSpan;
+    }
+  });
+
+  const width = Math.max(0, ...grid.map(cells => cells.length));
+  return grid.map((cells, r) => ({
+    cells: Array.from({ length: width }, (_, c) => cells[c] || { text: '', header: false }),
+    head: rows[r].parentElement.tagName === 'THEAD',
+  }));
+}
+
+function headerRowCount(rows) {
+  const bodyStart = rows.findIndex(row => !row.head);
+  if (bodyStart > 0) return bodyStart;
+  if (bodyStart === -1) return rows.length;
+
+  let count = 0;
+  while (count < rows.length - 1 && rows[count].cells.every(cell => cell.header)) count++;
+  return count;
+}
+
+// Column names from the header rows; blanks and duplicates get unique fallbacks
+function columnNames(headerRows, width) {
+  const seen = new Map();
+  return Array.from({ length: width }, (_, c) => {
+    const parts = [];
+    for (const row of headerRows) {
+      const text = row.cells[c].text;
+      if (text && parts[parts.length - 1] !== text) parts.push(text);
+    }
+    let name = parts.join(' / ') || `column${c + 1}`;
+    const count = (seen.get(name) || 0) + 1;
+    seen.set(name, count);
+    if (count > 1) name = `${name}_${count}`;
+    return name;
+  });
+}
+
+function csvField(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * RFC 4180 CSV: a header line, then one line per row.
+ */
+export function tableToCsv(headers, rows) {
+  return [headers, ...rows]
+    .map(cells => cells.map(csvField).join(','))
+    .join('\r\n');
+}
+
+function tableCaption(table) {
+  const caption = table.caption ? cellText(table.caption) : '';
+  return caption || table.getAttribute('aria-label') || table.getAttribute('summary') || null;
+}
+
+/**
+ * Does `table` (an index, or text to find in the caption) pick this table?
+ */
+function selects(selector, index, caption) {
+  if (selector === undefined || selector === null || selector === '') return true;
+  const text = String(selector).trim();
+  if (/^\d+$/.test(text)) return Number(text) === index;
+  return Boolean(caption) && caption.toLowerCase().includes(text.toLowerCase());
+}
+
+/**
+ * Extract the tables in a document.
+ *
+ * @param {Document} document
+ * @param {object} [options]
+ * @param {string|number} [options.table] - 0-based index, or text to match against the caption
+ * @param {string} [options.format] - json (rows as objects) or csv
+ * @returns {Array<{ index, caption, headers, rowCount, columnCount, truncated, rows | csv }>}
+ */
+export function extractTables(document, { table, format = 'json' } = {}) {
+  const tables = [];
+  [...document.querySelectorAll('table')].forEach((element, index) => {
+    if (tables.length >= MAX_TABLES) return;
+    const caption = tableCaption(element);
+    if (!selects(table, index, caption)) return;
+
+    const grid = layout(element);
+    const width = grid[0]?.cells.length || 0;
+    if (!width) return;
+
+    const headerCount = headerRowCount(grid);
+    const headers = columnNames(grid.slice(0, headerCount), width);
+    const body = grid.slice(headerCount)
+      .map(row => row.cells.map(cell => cell.text))
+      .filter(cells => cells.some(Boolean));
+
+    const entry = {
+      index,
+      caption,
+      headers,
+      rowCount: body.length,
+      columnCount: width,
+      truncated: element.rows.length > MAX_ROWS || grid.some(row => row.cells.length >= MAX_COLUMNS),
+    };
+    if (format === 'csv') {
+      entry.csv = tableToCsv(headers, body);
+    } else {
+      entry.rows = body.map(cells => Object.fromEntries(headers.map((name, c) => [name, cells[c]])));
+    }
+    tables.push(entry);
+  });
+  return tables;
+}
@@ -0,0 +1,230 @@
+/**
+ * Uploads - Files handed to tools that take documents: request bodies, and
+ * downloads from a URL under the same kind of limits.
+ *
+ * Two body forms are accepted: multipart/form-data with one file part (other
+ * parts become plain string fields), or the raw bytes as the whole body with
+ * a binary Content-Type such as application/pdf. Either way the file is
+ * streamed to a temp file and cut off at `maxBytes`, so large uploads never
+ * sit in memory or in express.json's limit. The caller removes the temp file
+ * with `cleanup()` once it is done with it.
+ *
+ * Downloads are streamed too, with a byte limit and a timeout, and can be
+ * rejected from their first bytes (see downloadFile's `inspect`).
+ */
+import busboy from 'busboy';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const MAX_FIELDS = 20;
+const MAX_FIELD_BYTES = 64 * 1024;
+// How much of a download `inspect` sees
+const HEAD_BYTES = 1024;
+
+export class UploadError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'UploadError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+export const fileTooLarge = maxBytes => new UploadError(`File exceeds ${maxBytes} bytes`, 'FILE_TOO_LARGE', 413);
+
+/**
+ * Whether `req` carries a file rather than JSON: multipart, or a body of one
+ * of `rawTypes` (e.g. ['application/pdf', 'application/octet-stream']).
+ */
+export function isUpload(req, rawTypes = []) {
+  return Boolean(req.is('multipart/form-data') || (rawTypes.length && req.is(rawTypes)));
+}
+
+// Keep reading what the client still sends, so the error response gets through
+function discardRest(req) {
+  req.resume();
+}
+
+function receiveRaw(req, file, { maxBytes, tooLarge }) {
+  return new Promise((resolve, reject) => {
+    const out = fs.createWriteStream(file);
+    let size = 0;
+    let failed = false;
+    const fail = err => {
+      if (failed) return;
+      failed = true;
+      out.destroy();
+      discardRest(req);
+      reject(err);
+    };
+
+    req.on('data', chunk => {
+      if (failed) return;
+      size += chunk.length;
+      if (size > maxBytes) return fail(tooLarge());
+      if (!out.write(chunk)) {
+        req.pause();
+        out.once('drain', () => req.resume());
+      }
+    });
+    req.on('end', () => {
+      if (!failed) out.end();
+    });
+    req.on('error', fail);
+    out.on('error', fail);
+    out.on('finish', () => {
+      if (!failed) resolve({ size, filename: null, contentType: req.get('Content-Type').split(';')[0].trim(), fields: {} });
+    });
+  });
+}
+
+function receiveMultipart(req, file, { maxBytes, tooLarge }) {
+  return new Promise((resolve, reject) => {
+    let parser;
+    try {
+      parser = busboy({
+        headers: req.headers,
+        limits: { files: 1, fileSize: maxBytes, fields: MAX_FIELDS, fieldSize: MAX_FIELD_BYTES },
+      });
+    } catch (err) {
+      reject(new UploadError(`Malformed multipart body: ${err.message}`, 'INVALID_UPLOAD'));
+      return;
+    }
+
+    const fields = {};
+    let received = null; // resolves once the file part is on disk
+    let failed = false;
+    const fail = err => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(parser);
+      discardRest(req);
+      reject(err);
+    };
+
+    parser.on('field', (name, value, { valueTruncated }) => {
+      if (valueTruncated) return fail(new UploadError(`Field "${name}" is too long`, 'INVALID_UPLOAD'));
+      fields[name] = value;
+    });
+    parser.on('file', (name, stream, { filename, mimeType }) => {
+      const out = fs.createWriteStream(file);
+      let size = 0;
+      stream.on('data', chunk => {
+        size += chunk.length;
+      });
+      stream.on('limit', () => {
+        out.destroy();
+        stream.resume();
+        fail(tooLarge());
+      });
+      received = new Promise((done, error) => {
+        out.on('finish', () => done({ size, filename: filename || null, contentType: mimeType }));
+        out.on('error', error);
+      });
+      stream.pipe(out);
+    });
+    parser.on('filesLimit', () => fail(new UploadError('Send one file per request', 'INVALID_UPLOAD')));
+    parser.on('fieldsLimit', () => fail(new UploadError(`At most ${MAX_FIELDS} form fields`, 'INVALID_UPLOAD')));
+    parser.on('error', err => fail(new UploadError(`Malformed multipart body: ${err.message}`, 'INVALID_UPLOAD')));
+    parser.on('close', async () => {
+      if (failed) return;
+      if (!received) return fail(new UploadError('No file in the multipart body', 'MISSING_FILE'));
+      try {
+        resolve({ ...(await received), fields });
+      } catch (err) {
+        fail(err);
+      }
+    });
+    req.on('error', fail);
+    req.pipe(parser);
+  });
+}
+
+/**
+ * Stream an uploaded file to a temp file.
+ *
+ * @param {Request} req - multipart or raw, see isUpload
+ * @param {object} options
+ * @param {number} options.maxBytes
+ * @param {() => Error} [options.tooLarge] - the error for an oversized file
+ * @returns {Promise<{ path, size, filename, contentType, fields, cleanup }>}
+ */
+export async function receiveUpload(req, { maxBytes, tooLarge }) {
+  const limitError = tooLarge || (() => fileTooLarge(maxBytes));
+  const multipart = Boolean(req.is('multipart/form-data'));
+  // A raw body's declared size is the file's size
+  if (!multipart && Number(req.get('Content-Length')) > maxBytes) {
+    discardRest(req);
+    throw limitError();
+  }
+
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'x402-upload-'));
+  const cleanup = () => fs.promises.rm(dir, { recursive: true, force: true });
+  const file = path.join(dir, 'upload');
+  try {
+    const receive = multipart ? receiveMultipart : receiveRaw;
+    const upload = await receive(req, file, { maxBytes, tooLarge: limitError });
+    if (!upload.size) {
+      throw new UploadError('The uploaded file is empty', 'MISSING_FILE');
+    }
+    return { path: file, ...upload, cleanup };
+  } catch (err) {
+    await cleanup();
+    throw err;
+  }
+}
+
+/**
+ * Download a file through the URL policy, streaming it so oversized files
+ * are cut off at `maxBytes`.
+ *
+ * @param {string} url
+ * @param {object} options
+ * @param {UrlPolicy} options.policy
+ * @param {number} options.maxBytes
+ * @param {number} options.timeoutMs - for the whole download
+ * @param {AbortSignal} [options.signal] - e.g. a cancelled job
+ * @param {() => Error} [options.tooLarge] - the error for an oversized file
+ * @param {(head: Buffer, contentType: string|null) => void} [options.inspect] - sees the
+ *   first KB as soon as it's in, and may throw to stop the download
+ * @returns {Promise<{ buffer: Buffer, contentType: string|null }>}
+ */
+export async function downloadFile(url, { policy, maxBytes, timeoutMs, signal, tooLarge, inspect }) {
+  const limitError = tooLarge || (() => fileTooLarge(maxBytes));
+  const timeout = AbortSignal.timeout(timeoutMs);
+  const chunks = [];
+  let received = 0;
+  try {
+    const response = await policy.fetch(url, { signal: signal ? AbortSignal.any([timeout, signal]) : timeout });
+    if (!response.ok) {
+      await response.body?.cancel();
+      throw new UploadError(`Download failed with HTTP ${response.status}`, 'DOWNLOAD_FAILED', 422);
+    }
+    const contentType = response.headers.get('content-type');
+    if (Number(response.headers.get('content-length')) > maxBytes) {
+      await response.body?.cancel();
+      throw limitError();
+    }
+
+    let inspected = !inspect;
+    // Leaving the loop early cancels the rest of the download
+    for await (const chunk of response.body || []) {
+      received += chunk.length;
+      if (received > maxBytes) throw limitError();
+      chunks.push(chunk);
+      if (!inspected && received >= HEAD_BYTES) {
+        inspect(Buffer.concat(chunks).subarray(0, HEAD_BYTES), contentType);
+        inspected = true;
+      }
+    }
+    const buffer = Buffer.concat(chunks);
+    if (!inspected) inspect(buffer, contentType);
+    return { buffer, contentType };
+  } catch (err) {
+    if (err.name === 'TimeoutError' || (err.name === 'AbortError' && timeout.aborted)) {
+      throw new UploadError(`Download didn't finish within ${timeoutMs / 1000}s`, 'DOWNLOAD_TIMEOUT', 504);
+    }
+    throw err;
+  }
+}
@@ -0,0 +1,418 @@
+/**
+ * UrlPolicy - SSRF protection for every user-supplied URL.
+ * Only http(s) is allowed, hostnames are resolved and rejected when they point at
+ * private, loopback, link-local or otherwise non-public addresses. Puppeteer pages
+ * are guarded through request interception so redirects and sub-resources are
+ * re-checked too.
+ *
+ * Checking a name and then letting something else resolve it again leaves room
+ * for DNS rebinding, so connections go to the address that was checked: fetch()
+ * pins it itself, and the browser is launched behind a local egress proxy (see
+ * startProxy) that does the same for every connection it makes, including
+ * WebSockets, which request interception never sees.
+ *
+ * Operator lists (comma-separated hostnames, `*.wildcard` hostnames, IPs or CIDRs):
+ *   URL_DENYLIST  - always blocked, even if public
+ *   URL_ALLOWLIST - exempt from the private-address check (e.g. an internal docs host)
+ */
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { once } from 'events';
+import { Readable } from 'stream';
+
+const ALLOWED_SCHEMES = ['http:', 'https:'];
+// Sub-resources with these schemes never touch the network
+const LOCAL_RESOURCE_SCHEMES = ['data:', 'blob:', 'about:'];
+const MAX_REDIRECTS = 5;
+// Request headers that may follow a redirect to another origin; credentials,
+// signatures and the like were meant for the first one
+const CROSS_ORIGIN_HEADERS = new Set(['accept', 'accept-language', 'user-agent']);
+
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([addr, prefix]) => PRIVATE_RANGES.addSubnet(addr, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10],
+  ['ff00::', 8], ['2001:db8::', 32], ['100::', 64],
+].forEach(([addr, prefix]) => PRIVATE_RANGES.addSubnet(addr, prefix, 'ipv6'));
+
+export class UrlPolicyError extends Error {
+  constructor(message, reason, { code = 'URL_BLOCKED', statusCode = 403 } = {}) {
+    super(message);
+    this.name = 'UrlPolicyError';
+    this.code = code;
+    this.statusCode = statusCode;
+    this.reason = reason;
+  }
+}
+
+/**
+ * IPv4 addresses embedded in IPv6 (mapped ::ffff:a.b.c.d and NAT64 64:ff9b::/96)
+ * are unwrapped so they can't be used to smuggle a private v4 address.
+ */
+function embeddedIpv4(address) {
+  const match = address.toLowerCase().match(/^(?:::ffff:|64:ff9b::)(?:0:)?([\d.]+|[0-9a-f]{1,4}:[0-9a-f]{1,4})$/);
+  if (!match) return null;
+  if (net.isIPv4(match[1])) return match[1];
+  const [hi, lo] = match[1].split(':').map(h => parseInt(h, 16));
+  return [hi >> 8, hi & 255, lo >> 8, lo & 255].join('.');
+}
+
+export function isPrivateAddress(address) {
+  const v4 = net.isIPv4(address) ? address : embeddedIpv4(address);
+  if (v4) return PRIVATE_RANGES.check(v4, 'ipv4');
+  return net.isIPv6(address) ? PRIVATE_RANGES.check(address, 'ipv6') : true;
+}
+
+const hostnameOf = url => url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+/**
+ * The request to send after a `status` redirect from `from` to `to`, as
+ * browsers do it: 303, and 301/302 after a POST, become a GET without a body.
+ * Another origin only gets the CROSS_ORIGIN_HEADERS, and never a body.
+ */
+function redirectInit(init, status, from, to) {
+  let { method = 'GET', headers = {}, body } = init;
+  headers = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+  if ((status === 303 && method !== 'HEAD') || ([301, 302].includes(status) && method === 'POST')) {
+    method = 'GET';
+    body = undefined;
+    headers = Object.fromEntries(Object.entries(headers).filter(([name]) => !name.startsWith('content-')));
+  }
+  if (from.origin !== to.origin) {
+    if (body !== undefined) {
+      throw new UrlPolicyError(`Won't resend the request body to another origin (${to.origin}) on a ${status} redirect`, 'redirects');
+    }
+    headers = Object.fromEntries(Object.entries(headers).filter(([name]) => CROSS_ORIGIN_HEADERS.has(name)));
+  }
+  return { ...init, method, headers, body };
+}
+
+// A dns.lookup stand-in that always answers `address`, for http(s).request
+function pinnedLookup(address) {
+  const family = net.isIPv6(address) ? 6 : 4;
+  return (hostname, options, callback) => (
+    options.all ? callback(null, [{ address, family }]) : callback(null, address, family)
+  );
+}
+
+/**
+ * One HTTP request to `url` connecting to `address`, whatever DNS says now,
+ * answered as a fetch() Response. TLS still verifies the URL's hostname.
+ */
+function pinnedFetch(url, address, { method = 'GET', headers = {}, body, signal } = {}) {
+  const transport = url.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(url, { method, headers, lookup: pinnedLookup(address), signal });
+    // Like fetch(), reject with the signal's reason (e.g. a TimeoutError)
+    request.on('error', err => reject(signal?.aborted ? signal.reason ?? err : err));
+    request.on('response', response => {
+      const responseHeaders = new Headers();
+      for (let i = 0; i < response.rawHeaders.length; i += 2) {
+        responseHeaders.append(response.rawHeaders[i], response.rawHeaders[i + 1]);
+      }
+      const empty = method === 'HEAD' || [204, 205, 304].includes(response.statusCode);
+      if (empty) response.resume();
+      resolve(new Response(empty ? null : Readable.toWeb(response), {
+        status: response.statusCode,
+        statusText: response.statusMessage,
+        headers: responseHeaders,
+      }));
+    });
+    request.end(body);
+  });
+}
+
+function parseList(value) {
+  if (!value) return [];
+  const entries = Array.isArray(value) ? value : value.split(',');
+  return entries.map(e => e.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Compile list entries into a matcher over (hostname, addresses).
+ */
+function compileList(entries) {
+  const hosts = [];
+  const suffixes = [];
+  const ranges = new net.BlockList();
+  let hasRanges = false;
+
+  for (const entry of entries) {
+    const [addr, prefix] = entry.split('/');
+    const type = net.isIPv4(addr) ? 'ipv4' : net.isIPv6(addr) ? 'ipv6' : null;
+    if (type) {
+      if (prefix) ranges.addSubnet(addr, parseInt(prefix), type);
+      else ranges.addAddress(addr, type);
+      hasRanges = true;
+    } else if (entry.startsWith('*.')) {
+      suffixes.push(entry.slice(1));
+    } else {
+      hosts.push(entry);
+    }
+  }
+
+  return (hostname, addresses = []) => {
+    if (hosts.includes(hostname)) return true;
+    if (suffixes.some(suffix => hostname.endsWith(suffix))) return true;
+    if (!hasRanges) return false;
+    return addresses.some(a => ranges.check(a, net.isIPv4(a) ? 'ipv4' : 'ipv6'));
+  };
+}
+
+export class UrlPolicy {
+  constructor(options = {}) {
+    this.isAllowListed = compileList(parseList(options.allowList ?? process.env.URL_ALLOWLIST));
+    this.isDenyListed = compileList(parseList(options.denyList ?? process.env.URL_DENYLIST));
+    this.dnsCacheTtl = parseInt(options.dnsCacheTtl || 30000);
+
+    this.dnsCache = new Map(); // hostname -> { addresses, expires }
+    this.blockedNavigations = new WeakMap(); // page -> UrlPolicyError
+    this.requestFilters = new WeakMap(); // page -> request => true to abort
+  }
+
+  async _resolve(hostname) {
+    if (net.isIP(hostname)) return [hostname];
+
+    const cached = this.dnsCache.get(hostname);
+    if (cached && cached.expires > Date.now()) return cached.addresses;
+
+    let records;
+    try {
+      records = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    } catch (err) {
+      throw new UrlPolicyError(`Could not resolve host: ${hostname}`, 'unresolvable', {
+        code: 'INVALID_URL',
+        statusCode: 400,
+      });
+    }
+    const addresses = records.map(r => r.address);
+    this.dnsCache.set(hostname, { addresses, expires: Date.now() + this.dnsCacheTtl });
+    return addresses;
+  }
+
+  /**
+   * Validate a URL against the policy. Resolves to the parsed URL, or rejects
+   * with a UrlPolicyError. Every resolved address must be public — a host with
+   * one private A record among public ones is still rejected.
+   */
+  async check(rawUrl) {
+    return (await this._vet(rawUrl)).parsed;
+  }
+
+  // check(), also resolving to the checked addresses: { parsed, addresses }
+  async _vet(rawUrl) {
+    let parsed;
+    try {
+      parsed = new URL(rawUrl);
+    } catch {
+      throw new UrlPolicyError('Invalid URL', 'malformed', { code: 'INVALID_URL', statusCode: 400 });
+    }
+
+    if (!ALLOWED_SCHEMES.includes(parsed.protocol)) {
+      throw new UrlPolicyError(`URL scheme not allowed: ${parsed.protocol}`, 'scheme');
+    }
+
+    return { parsed, addresses: await this._vetHost(hostnameOf(parsed)) };
+  }
+
+  // The addresses of `hostname`, if the policy lets them be connected to
+  async _vetHost(hostname) {
+    if (this.isDenyListed(hostname)) {
+      throw new UrlPolicyError(`Host is blocked by policy: ${hostname}`, 'denylist');
+    }
+
+    const addresses = await this._resolve(hostname);
+
+    if (this.isDenyListed(hostname, addresses)) {
+      throw new UrlPolicyError(`Host is blocked by policy: ${hostname}`, 'denylist');
+    }
+
+    if (!this.isAllowListed(hostname, addresses) && addresses.some(isPrivateAddress)) {
+      throw new UrlPolicyError(`URL resolves to a private or reserved address: ${hostname}`, 'private_address');
+    }
+
+    return addresses;
+  }
+
+  /**
+   * Start the egress proxy the browser must be launched behind. Resolves to
+   * the Chrome flags for that: everything goes through the proxy (loopback
+   * too), Chrome resolves no hostnames itself, and WebRTC may only use the
+   * proxy, which leaves it no UDP at all.
+   *
+   * The proxy vets every plain HTTP request and every CONNECT tunnel (HTTPS,
+   * WebSockets) and connects to the checked address only, so a hostname that
+   * resolves differently the second time can't reach an internal address.
+   */
+  async startProxy() {
+    const server = http.createServer((req, res) => this._proxyRequest(req, res));
+    server.on('connect', (req, socket, head) => this._proxyConnect(req, socket, head));
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    server.unref();
+    this.proxy = server;
+    return [
+      `--proxy-server=http://127.0.0.1:${server.address().port}`,
+      '--proxy-bypass-list=<-loopback>',
+      '--host-resolver-rules=MAP * ~NOTFOUND',
+      '--force-webrtc-ip-handling-policy=disable_non_proxied_udp',
+    ];
+  }
+
+  // CONNECT host:port - a tunnel to the checked address
+  async _proxyConnect(req, socket, head) {
+    socket.on('error', () => {});
+    let upstream;
+    try {
+      const target = new URL(`http://${req.url}`);
+      const [address] = await this._vetHost(hostnameOf(target));
+      upstream = net.connect(Number(target.port) || 443, address);
+      await once(upstream, 'connect');
+    } catch (err) {
+      upstream?.destroy();
+      socket.end(`HTTP/1.1 ${err instanceof UrlPolicyError ? '403 Forbidden' : '502 Bad Gateway'}\r\n\r\n`);
+      return;
+    }
+    socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+    if (head.length) upstream.write(head);
+    upstream.on('error', () => socket.destroy());
+    socket.on('close', () => upstream.destroy());
+    socket.pipe(upstream).pipe(socket);
+  }
+
+  // GET http://host/path - plain HTTP, forwarded to the checked address
+  async _proxyRequest(req, res) {
+    let target, address;
+    try {
+      target = new URL(req.url);
+      if (target.protocol !== 'http:') {
+        throw new UrlPolicyError(`URL scheme not allowed: ${target.protocol}`, 'scheme');
+      }
+      [address] = await this._vetHost(hostnameOf(target));
+    } catch (err) {
+      res.writeHead(err instanceof UrlPolicyError ? 403 : 400).end();
+      return;
+    }
+
+    const { 'proxy-connection': _, 'proxy-authorization': __, ...headers } = req.headers;
+    const upstream = http.request(target, { method: req.method, headers, lookup: pinnedLookup(address) });
+    upstream.on('response', response => {
+      res.writeHead(response.statusCode, response.statusMessage, response.rawHeaders);
+      response.pipe(res);
+    });
+    upstream.on('error', () => {
+      if (res.headersSent) res.destroy();
+      else res.writeHead(502).end();
+    });
+    req.pipe(upstream);
+  }
+
+  /**
+   * Stop the egress proxy, on shutdown.
+   */
+  close() {
+    this.proxy?.close();
+    this.proxy = null;
+  }
+
+  /**
+   * Enable request interception on a page so every request it makes — the
+   * initial navigation, each redirect hop, frames and sub-resources — goes
+   * through check(). Blocked main-frame navigations are remembered so goto()
+   * can surface the policy error instead of a generic net:: error.
+   *
+   * WebSockets never reach request interception, so they are blocked outright.
+   */
+  async protectPage(page) {
+    await page.setRequestInterception(true);
+    page.on('request', request => this._intercept(page, request));
+
+    const client = await page.target().createCDPSession();
+    await client.send('Network.enable');
+    await client.send('Network.setBlockedURLs', { urls: ['ws://*', 'wss://*'] });
+  }
+
+  /**
+   * Abort a page's requests that `filter(request)` returns true for, on top of
+   * the policy (e.g. to skip images and fonts). Pages have one interception
+   * handler, so extra rules go through here rather than their own listener.
+   */
+  filterRequests(page, filter) {
+    this.requestFilters.set(page, filter);
+  }
+
+  async _intercept(page, request) {
+    if (request.isInterceptResolutionHandled()) return;
+
+    if (this.requestFilters.get(page)?.(request)) {
+      await request.abort('blockedbyclient').catch(() => {});
+      return;
+    }
+
+    const url = request.url();
+    const scheme = url.slice(0, url.indexOf(':') + 1).toLowerCase();
+
+    try {
+      if (!LOCAL_RESOURCE_SCHEMES.includes(scheme)) {
+        await this.check(url);
+      }
+      await request.continue();
+    } catch (err) {
+      if (err instanceof UrlPolicyError) {
+        if (request.isNavigationRequest() && request.frame() === page.mainFrame()) {
+          this.blockedNavigations.set(page, err);
+        }
+        await request.abort('blockedbyclient').catch(() => {});
+      }
+      // Anything else means the page was closed mid-request; nothing to resolve
+    }
+  }
+
+  /**
+   * page.goto() that reports policy blocks (including blocked redirects) as
+   * UrlPolicyError.
+   */
+  async goto(page, url, options) {
+    this.blockedNavigations.delete(page);
+    try {
+      const response = await page.goto(url, options);
+      const blocked = this.blockedNavigations.get(page);
+      if (blocked) throw blocked;
+      return response;
+    } catch (err) {
+      throw this.blockedNavigations.get(page) || err;
+    }
+  }
+
+  /**
+   * fetch() with redirects followed manually so each hop is checked, each
+   * connecting to the address that was checked (see redirectInit for what a
+   * redirected request keeps). `init` takes method, headers (a plain object),
+   * body, signal, and redirect: 'manual' to get redirects back unfollowed.
+   */
+  async fetch(url, { redirect = 'follow', ...init } = {}) {
+    let current = url;
+    for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+      const { parsed, addresses } = await this._vet(current);
+      const response = await pinnedFetch(parsed, addresses[0], init);
+      const location = response.headers.get('location');
+      if (redirect === 'follow' && response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel();
+        const next = new URL(location, parsed);
+        init = redirectInit(init, response.status, parsed, next);
+        current = next.href;
+        continue;
+      }
+      return response;
+    }
+    throw new UrlPolicyError(`Too many redirects (max ${MAX_REDIRECTS})`, 'redirects');
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * VisualDiff - Pixel diff between two PNG screenshots.
+ *
+ * Screenshots of different sizes (e.g. full-page captures of different
+ * heights) are padded with white to a common size and flagged as sizeChanged.
+ * Ignore regions are blanked in both images before comparing, so ads,
+ * timestamps and the like never register.
+ *
+ * Changed pixels are grouped into bounding boxes: the image is split into
+ * CELL_SIZE cells, cells containing changed pixels are joined with their
+ * neighbours, and each group's box is tightened to the pixels it holds.
+ */
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+
+const CELL_SIZE = 16;
+// Cells this far apart (in cells) still belong to the same region
+const JOIN_DISTANCE = 1;
+const MAX_REGIONS = 100;
+// Both images are held in memory several times over (decoded, padded and the
+// diff output, 4 bytes a pixel each); refuse anything larger. 8M pixels is a
+// 1280 px wide full-page capture about 6250 px tall.
+export const MAX_DIFF_PIXELS = 8_000_000;
+
+const DIFF_COLOR = [255, 0, 0];
+const BOX_COLOR = [255, 0, 255];
+const IGNORED_COLOR = [190, 200, 230];
+
+export class VisualDiffError extends Error {
+  constructor(message, code, statusCode = 400) {
+    super(message);
+    this.name = 'VisualDiffError';
+    this.code = code;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Validate ignore regions: an array of { x, y, width, height } in pixels.
+ */
+export function parseRegions(regions) {
+  if (regions === undefined || regions === null) return [];
+  if (!Array.isArray(regions)) {
+    throw new VisualDiffError('ignoreRegions must be an array of { x, y, width, height }', 'INVALID_REGION');
+  }
+  return regions.map((region, i) => {
+    const parsed = {};
+    for (const name of ['x', 'y', 'width', 'height']) {
+      const value = Number(region?.[name]);
+      if (!Number.isFinite(value) || value < 0) {
+        throw new VisualDiffError(`ignoreRegions[${i}].${name} must be a non-negative number`, 'INVALID_REGION');
+      }
+      parsed[name] = Math.round(value);
+    }
+    return parsed;
+  });
+}
+
+// Copy `png` onto a white canvas of width x height
+function pad(png, width, height) {
+  if (png.width === width && png.height === height) return png.data;
+  const data = Buffer.alloc(width * height * 4, 255);
+  for (let y = 0; y < png.height; y++) {
+    png.data.copy(data, y * width * 4, y * png.width * 4, (y + 1) * png.width * 4);
+  }
+  return data;
+}
+
+function fillRect(data, width, height, { x, y, width: w, height: h }, [r, g, b]) {
+  for (let py = y; py < Math.min(y + h, height); py++) {
+    for (let px = x; px < Math.min(x + w, width); px++) {
+      const pos = (py * width + px) * 4;
+      data[pos] = r;
+      data[pos + 1] = g;
+      data[pos + 2] = b;
+      data[pos + 3] = 255;
+    }
+  }
+}
+
+function strokeRect(data, width, height, { x, y, width: w, height: h }, color) {
+  const right = x + w - 1;
+  const bottom = y + h - 1;
+  fillRect(data, width, height, { x, y, width: w, height: 2 }, color);
+  fillRect(data, width, height, { x, y: Math.max(y, bottom - 1), width: w, height: 2 }, color);
+  fillRect(data, width, height, { x, y, width: 2, height: h }, color);
+  fillRect(data, width, height, { x: Math.max(x, right - 1), y, width: 2, height: h }, color);
+}
+
+/**
+ * Group changed pixels (red in pixelmatch's output) into bounding boxes.
+ */
+function changedRegions(output, width, height) {
+  const cols = Math.ceil(width / CELL_SIZE);
+  const rows = Math.ceil(height / CELL_SIZE);
+  const cells = new Map(); // cell index -> { minX, minY, maxX, maxY, pixels }
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const pos = (y * width + x) * 4;
+      if (output[pos] !== DIFF_COLOR[0] || output[pos + 1] !== DIFF_COLOR[1] || output[pos + 2] !== DIFF_COLOR[2]) continue;
+      const index = Math.floor(y / CELL_SIZE) * cols + Math.floor(x / CELL_SIZE);
+      const cell = cells.get(index);
+      if (cell) {
+        cell.minX = Math.min(cell.minX, x);
+        cell.maxX = Math.max(cell.maxX, x);
+        cell.maxY = y;
+        cell.pixels++;
+      } else {
+        cells.set(index, { minX: x, minY: y, maxX: x, maxY: y, pixels: 1 });
+      }
+    }
+  }
+
+  // Flood-fill groups of nearby cells
+  const regions = [];
+  const seen = new Set();
+  for (const start of cells.keys()) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+    const region = { minX: Infinity, minY: Infinity, maxX: -1, maxY: -1, pixels: 0 };
+    const stack = [start];
+    while (stack.length) {
+      const index = stack.pop();
+      const cell = cells.get(index);
+      region.minX = Math.min(region.minX, cell.minX);
+      region.minY = Math.min(region.minY, cell.minY);
+      region.maxX = Math.max(region.maxX, cell.maxX);
+      region.maxY = Math.max(region.maxY, cell.maxY);
+      region.pixels += cell.pixels;
+
+      const row = Math.floor(index / cols);
+      const col = index % cols;
+      for (let r = Math.max(0, row - JOIN_DISTANCE); r <= Math.min(rows - 1, row + JOIN_DISTANCE); r++) {
+        for (let c = Math.max(0, col - JOIN_DISTANCE); c <= Math.min(cols - 1, col + JOIN_DISTANCE); c++) {
+          const neighbour = r * cols + c;
+          if (cells.has(neighbour) && !seen.has(neighbour)) {
+            seen.add(neighbour);
+            stack.push(neighbour);
+          }
+        }
+      }
+    }
+    regions.push({
+      x: region.minX,
+      y: region.minY,
+      width: region.maxX - region.minX + 1,
+      height: region.maxY - region.minY + 1,
+      pixels: region.pixels,
+    });
+  }
+
+  return regions.sort((a, b) => b.pixels - a.pixels);
+}
+
+// Width and height from a PNG's IHDR chunk, which always comes first
+function pngSize(png) {
+  if (png.length < 24 || png.toString('latin1', 12, 16) !== 'IHDR') {
+    throw new VisualDiffError('Screenshot is not a PNG image', 'INVALID_IMAGE', 422);
+  }
+  return { width: png.readUInt32BE(16), height: png.readUInt32BE(20) };
+}
+
+/**
+ * Compare two PNG buffers.
+ *
+ * @param {Buffer} png1
+ * @param {Buffer} png2
+ * @param {object} [options]
+ * @param {number} [options.threshold] - per-pixel color sensitivity, 0-1 (default 0.1)
+ * @param {Array} [options.ignoreRegions] - [{ x, y, width, height }] left out of the diff
+ * @param {number} [options.minRegionPixels] - regions with fewer changed pixels are dropped as noise
+ * @returns {{ changedPixels, totalPixels, changedPercent, regionCount, regions, dimensions, sizeChanged, image: Buffer }}
+ */
+export function diffImages(png1, png2, { threshold = 0.1, ignoreRegions = [], minRegionPixels = 1 } = {}) {
+  // Checked from the headers, before anything is decoded
+  const size1 = pngSize(png1);
+  const size2 = pngSize(png2);
+  const width = Math.max(size1.width, size2.width);
+  const height = Math.max(size1.height, size2.height);
+  if (width * height > MAX_DIFF_PIXELS) {
+    throw new VisualDiffError(
+      `Screenshots are too large to compare (${width}x${height}, over ${MAX_DIFF_PIXELS} pixels)`,
+      'IMAGE_TOO_LARGE',
+      413
+    );
+  }
+  const image1 = PNG.sync.read(png1);
+  const image2 = PNG.sync.read(png2);
+
+  const data1 = Buffer.from(pad(image1, width, height));
+  const data2 = Buffer.from(pad(image2, width, height));
+  for (const region of ignoreRegions) {
+    fillRect(data1, width, height, region, [0, 0, 0]);
+    fillRect(data2, width, height, region, [0, 0, 0]);
+  }
+
+  const output = new PNG({ width, height });
+  pixelmatch(data1, data2, output.data, width, height, { threshold, diffColor: DIFF_COLOR });
+
+  const regions = changedRegions(output.data, width, height).filter(region => region.pixels >= minRegionPixels);
+  const changedPixels = regions.reduce((sum, region) => sum + region.pixels, 0);
+
+  for (const region of ignoreRegions) {
+    fillRect(output.data, width, height, region, IGNORED_COLOR);
+  }
+  for (const region of regions.slice(0, MAX_REGIONS)) {
+    strokeRect(output.data, width, height, region, BOX_COLOR);
+  }
+
+  return {
+    changedPixels,
+    totalPixels: width * height,
+    changedPercent: Math.round((changedPixels / (width * height)) * 1000000) / 10000,
+    regionCount: regions.length,
+    regions: regions.slice(0, MAX_REGIONS),
+    dimensions: {
+      before: { width: image1.width, height: image1.height },
+      after: { width: image2.width, height: image2.height },
+    },
+    sizeChanged: image1.width !== image2.width || image1.height !== image2.height,
+    image: PNG.sync.write(output),
+  };
+}
@@ -0,0 +1,86 @@
+/**
+ * WebhookSender - Delivers JSON callbacks to user-supplied URLs.
+ * Every delivery goes through the URL policy, so a callback can't be pointed
+ * at internal addresses. Failed deliveries are retried with exponential backoff.
+ *
+ * Deliveries sent with a secret are signed: X-Webhook-Signature carries
+ * "sha256=" + HMAC-SHA256(secret, `${timestamp}.${body}`), where timestamp is
+ * the X-Webhook-Timestamp header (unix seconds). Receivers should recompute it
+ * and reject stale timestamps.
+ *
+ * Config (env): WEBHOOK_TIMEOUT_MS, WEBHOOK_MAX_ATTEMPTS
+ */
+import crypto from 'crypto';
+
+export function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+export function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('base64url');
+}
+
+export class WebhookSender {
+  constructor(urlPolicy, options = {}) {
+    this.urlPolicy = urlPolicy;
+    this.timeout = parseInt(options.timeout || process.env.WEBHOOK_TIMEOUT_MS || 10000);
+    this.maxAttempts = parseInt(options.maxAttempts || process.env.WEBHOOK_MAX_ATTEMPTS || 3);
+    this.retryDelay = parseInt(options.retryDelay || 1000); // doubled after each failure
+  }
+
+  async _post(url, payload, secret) {
+    const body = JSON.stringify(payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'x402-tools-webhook/2.0',
+    };
+    if (secret) {
+      // Re-signed on every attempt so retries carry a current timestamp
+      const timestamp = Math.floor(Date.now() / 1000);
+      headers['X-Webhook-Timestamp'] = String(timestamp);
+      headers['X-Webhook-Signature'] = signPayload(secret, timestamp, body);
+    }
+
+    // A redirect counts as a failed delivery; the signed body goes nowhere else
+    const response = await this.urlPolicy.fetch(url, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(this.timeout),
+    });
+    await response.body?.cancel();
+    if (!response.ok) {
+      throw new Error(`Webhook endpoint returned ${response.status}`);
+    }
+    return response.status;
+  }
+
+  /**
+   * POST `payload` to `url`, signed when `secret` is given. Never throws;
+   * resolves to a delivery record
+   * { status: 'delivered' | 'failed', attempts, responseStatus, lastError, deliveredAt }.
+   */
+  async send(url, payload, { secret = null } = {}) {
+    const delivery = { status: 'pending', attempts: 0, responseStatus: null, lastError: null, deliveredAt: null };
+
+    while (delivery.attempts < this.maxAttempts) {
+      delivery.attempts++;
+      try {
+        delivery.responseStatus = await this._post(url, payload, secret);
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        return delivery;
+      } catch (err) {
+        delivery.lastError = err.message;
+        if (delivery.attempts < this.maxAttempts) {
+          await new Promise(r => setTimeout(r, this.retryDelay * 2 ** (delivery.attempts - 1)));
+        }
+      }
+    }
+
+    delivery.status = 'failed';
+    console.warn(`[Webhook] Delivery to ${url} failed after ${delivery.attempts} attempts: ${delivery.lastError}`);
+    return delivery;
+  }
+}